@@ -0,0 +1,688 @@
+// Catalog editor for shop staff (admin.html).
+// - Loads the current catalog (catalog.json, falling back to plans-data.js) through catalog.js
+// - Every edit is checked with Catalog.validateCatalog; errors are listed and the fields marked
+// - The calculator runs on the edited data in an <iframe> (index.html?preview, see main.js)
+// - Exports plans-data.js / catalog.json with catalog-export.js
+//
+// Form fields carry data-path (JSON array of keys into the raw catalog) and data-kind (how the value is read back).
+// Adding, renaming or removing entries re-renders the editor; plain value edits only re-validate.
+const CATALOG_URL = 'catalog.json';
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+const TIER_LABELS = { weekday: '平日', saturday: '土曜', sunday: '日曜', holiday: '祝日' };
+const PEOPLE_LABELS = { men: '男性', women: '女性', student: '子供' };
+// 仕立て船 extraPolicy (pricing.js); the default is expensiveFirst
+const EXTRA_POLICY_LABELS = { cheapestFirst: '安い区分から', proportional: '人数比で按分', flat: '一律（追加料金の金額）' };
+const PREVIEW_DELAY = 300;
+
+// Raw catalog being edited, and the data as loaded (for 元に戻す)
+let draft = null;
+let loaded = null;
+let dirty = false;
+let valid = false;
+let previewTimer = null;
+// Plans shown expanded ('乗合船/午前アジ'); kept across re-renders
+const openPlans = new Set();
+
+// DOM refs
+const editorEl = document.getElementById('editor');
+const regularPlansEl = document.getElementById('regularPlans');
+const charterPlansEl = document.getElementById('charterPlans');
+const commonRentalEl = document.getElementById('commonRental');
+const cancellationEl = document.getElementById('cancellation');
+const holidaysEl = document.getElementById('holidays');
+const loadStatusEl = document.getElementById('loadStatus');
+const validationErrorsEl = document.getElementById('validationErrors');
+const exportJsBtn = document.getElementById('exportJsBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const importFileEl = document.getElementById('importFile');
+const revertBtn = document.getElementById('revertBtn');
+const previewFrameEl = document.getElementById('previewFrame');
+
+// --- Helpers ---
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// ['plans', '乗合船', '午前アジ', 'availability', 'periods', 0, 'from'] -> 'plans.乗合船.午前アジ.availability.periods[0].from'
+// (the path format of catalog.js errors)
+function pathString(path) {
+  return path.reduce((s, key) => typeof key === 'number' ? `${s}[${key}]` : (s ? `${s}.${key}` : String(key)), '');
+}
+
+function getAt(path) {
+  return path.reduce((v, key) => (v === null || v === undefined) ? undefined : v[key], draft);
+}
+
+// Sets (or with `undefined` removes) a value, creating missing parents
+function setAt(path, value) {
+  let obj = draft;
+  for (let i = 0; i < path.length - 1; i++) {
+    if (obj[path[i]] === undefined || obj[path[i]] === null) obj[path[i]] = typeof path[i + 1] === 'number' ? [] : {};
+    obj = obj[path[i]];
+  }
+  const last = path[path.length - 1];
+  if (value !== undefined) obj[last] = value;
+  else if (Array.isArray(obj)) obj.splice(last, 1);
+  else delete obj[last];
+}
+
+// Object key rename that keeps the entry order (plan order is the order of the plan select)
+function renameKey(path, newKey) {
+  const parentPath = path.slice(0, -1);
+  const renamed = {};
+  for (const [key, value] of Object.entries(getAt(parentPath))) {
+    renamed[key === path[path.length - 1] ? newKey : key] = value;
+  }
+  setAt(parentPath, renamed);
+}
+
+// Object with `key` inserted after `afterKey` (or at the end)
+function insertKey(obj, key, value, afterKey) {
+  const out = {};
+  let placed = false;
+  for (const [k, v] of Object.entries(obj || {})) {
+    out[k] = v;
+    if (k === afterKey) { out[key] = value; placed = true; }
+  }
+  if (!placed) out[key] = value;
+  return out;
+}
+
+const yen = (n) => typeof n === 'number' ? n.toLocaleString() + '円' : '—';
+const attrPath = (path) => escapeHtml(JSON.stringify(path));
+
+// <input> bound to a catalog value.
+// kind: amount | int | text | label (empty string kept) | time | amountOrWord (number, or a keyword such as 'men' / 'fare')
+function field(path, kind, value, opts) {
+  const o = opts || {};
+  const type = o.type || (kind === 'amount' || kind === 'int' ? 'number' : kind === 'time' ? 'time' : 'text');
+  return `<input class="form-input admin-input${o.cls ? ' ' + o.cls : ''}" type="${type}"`
+    + (type === 'number' ? ' min="0" inputmode="numeric"' : '')
+    + ` data-path="${attrPath(path)}" data-kind="${kind}" data-error-path="${escapeHtml(pathString(o.errorPath || path))}"`
+    + (o.field ? ` data-field="${o.field}"` : '')
+    + (o.placeholder ? ` placeholder="${escapeHtml(o.placeholder)}"` : '')
+    + (o.label ? ` aria-label="${escapeHtml(o.label)}"` : '')
+    + (o.disabled ? ' disabled' : '')
+    + ` value="${escapeHtml(value === undefined || value === null ? '' : value)}">`;
+}
+
+// Name of an object entry (plan, rental, item, holiday date); renamed on change
+function keyField(path, opts) {
+  const o = opts || {};
+  return `<input class="form-input admin-input admin-key" type="${o.type || 'text'}" data-path="${attrPath(path)}" data-kind="key"`
+    + ` data-error-path="${escapeHtml(pathString(path))}"`
+    + (o.label ? ` aria-label="${escapeHtml(o.label)}"` : '')
+    + ` value="${escapeHtml(path[path.length - 1])}">`;
+}
+
+function actionButton(action, label, attrs) {
+  const extra = Object.entries(attrs || {}).map(([k, v]) => ` data-${k}="${escapeHtml(v)}"`).join('');
+  return `<button type="button" class="btn btn-link" data-action="${action}"${extra}>${escapeHtml(label)}</button>`;
+}
+
+// --- Rendering ---
+function renderRentalTable(path, rentals) {
+  const rows = Object.entries(rentals || {}).map(([name, r]) => {
+    const entry = isObject(r) ? r : { price: r };
+    const p = path.concat([name]);
+    return '<tr>'
+      + `<td>${keyField(p, { label: 'レンタル品名' })}</td>`
+      + `<td>${field(p, 'rental', entry.price, { type: 'number', field: 'price', errorPath: p.concat(['price']), label: '料金' })}</td>`
+      + `<td>${field(p, 'rental', entry.refund, { type: 'number', field: 'refund', errorPath: p.concat(['refund']), label: '返却時返金' })}</td>`
+      + `<td>${field(p, 'rental', entry.taxRate, { type: 'number', field: 'taxRate', errorPath: p.concat(['taxRate']), label: '税率', placeholder: '標準' })}</td>`
+      + `<td>${actionButton('remove', '削除', { path: JSON.stringify(p) })}</td>`
+      + '</tr>';
+  });
+  return '<table class="admin-table"><thead><tr><th>名称</th><th>料金（円）</th><th>返却時返金（円）</th><th>税率（%）</th><th></th></tr></thead>'
+    + `<tbody>${rows.join('') || '<tr><td colspan="5" class="muted">なし</td></tr>'}</tbody></table>`
+    + actionButton('add-entry', '＋ レンタル品を追加', { path: JSON.stringify(path) });
+}
+
+function renderItems(path, items) {
+  const rows = Object.entries(items || {}).map(([name, item]) => {
+    const p = path.concat([name]);
+    return '<tr>'
+      + `<td>${keyField(p, { label: '購入品名' })}</td>`
+      + `<td>${field(p.concat(['min']), 'amount', item.min, { label: '最低' })}</td>`
+      + `<td>${field(p.concat(['max']), 'amount', item.max, { label: '最高' })}</td>`
+      + `<td>${field(p.concat(['note']), 'text', item.note, { label: '表示', placeholder: '例: 450円程度' })}</td>`
+      + `<td>${actionButton('remove', '削除', { path: JSON.stringify(p) })}</td>`
+      + '</tr>';
+  });
+  const auto = items === undefined ? '<p class="meta">未設定のため、プラン名から推定した目安を表示しています。</p>' : '';
+  return auto + '<table class="admin-table"><thead><tr><th>名称</th><th>最低（円）</th><th>最高（円）</th><th>表示（任意）</th><th></th></tr></thead>'
+    + `<tbody>${rows.join('') || '<tr><td colspan="5" class="muted">なし</td></tr>'}</tbody></table>`
+    + actionButton('add-entry', '＋ 購入品を追加', { path: JSON.stringify(path) });
+}
+
+function renderAvailability(path, av) {
+  const a = av || {};
+  const periods = (a.periods || []).map((pr, i) => {
+    const p = path.concat(['periods', i]);
+    return '<div class="admin-row">'
+      + field(p.concat(['from']), 'text', pr.from, { placeholder: 'MM-DD', label: '開始' })
+      + '<span>〜</span>'
+      + field(p.concat(['to']), 'text', pr.to, { placeholder: 'MM-DD', label: '終了' })
+      + actionButton('remove', '削除', { path: JSON.stringify(p) })
+      + '</div>';
+  }).join('');
+  const days = a.daysOfWeek || [0, 1, 2, 3, 4, 5, 6];
+  const dow = DAY_NAMES.map((name, d) => `<label class="admin-check"><input type="checkbox" data-path="${attrPath(path.concat(['daysOfWeek']))}"`
+    + ` data-kind="dow" data-day="${d}"${days.indexOf(d) !== -1 ? ' checked' : ''}>${name}</label>`).join('');
+  const exclude = (a.excludeDates || []).join('\n');
+  return '<div class="admin-subtitle">運航期間（空欄なら通年）</div>'
+    + periods
+    + actionButton('add-period', '＋ 期間を追加', { path: JSON.stringify(path.concat(['periods'])) })
+    + `<div class="admin-subtitle">運航する曜日</div><div class="admin-row" data-error-path="${escapeHtml(pathString(path.concat(['daysOfWeek'])))}">${dow}</div>`
+    + '<div class="admin-subtitle">運休日（YYYY-MM-DD、改行またはカンマ区切り）</div>'
+    + `<textarea class="form-input admin-input" rows="2" data-path="${attrPath(path.concat(['excludeDates']))}" data-kind="dateList"`
+    + ` data-error-path="${escapeHtml(pathString(path.concat(['excludeDates'])))}">${escapeHtml(exclude)}</textarea>`;
+}
+
+function planHeader(tripType, name, plan, index, count, summary) {
+  const path = ['plans', tripType, name];
+  const key = `${tripType}/${name}`;
+  return `<details class="admin-plan${plan.disabled ? ' is-disabled' : ''}" data-open-key="${escapeHtml(key)}"${openPlans.has(key) ? ' open' : ''}>`
+    + `<summary><strong>${escapeHtml(name)}</strong>${plan.disabled ? ' <span class="admin-badge">受付停止</span>' : ''}`
+    + ` <span class="muted">${escapeHtml(summary)}</span></summary>`
+    + '<div class="admin-plan-body">'
+    + '<div class="admin-row">'
+    + `<label>プラン名 ${keyField(path, { label: 'プラン名' })}</label>`
+    + `<label class="admin-check"><input type="checkbox" data-path="${attrPath(path.concat(['disabled']))}" data-kind="bool"${plan.disabled ? ' checked' : ''}>受付停止</label>`
+    + '</div><div class="admin-row admin-plan-actions">'
+    + (index > 0 ? actionButton('move-plan', '↑ 上へ', { path: JSON.stringify(path), dir: '-1' }) : '')
+    + (index < count - 1 ? actionButton('move-plan', '↓ 下へ', { path: JSON.stringify(path), dir: '1' }) : '')
+    + actionButton('duplicate-plan', '複製', { path: JSON.stringify(path) })
+    + actionButton('remove', '削除', { path: JSON.stringify(path), confirm: `「${name}」を削除しますか？（一時的に止める場合は「受付停止」を使ってください）` })
+    + '</div>';
+}
+
+// Relay legs (pricing.js getRelayLegs): the plan of each leg and the plan whose fare the leg costs
+function renderRelay(path, legs) {
+  const rows = legs.map((leg, i) => {
+    const p = path.concat([i]);
+    return '<tr>'
+      + `<td>${i + 1}</td>`
+      + `<td>${field(p.concat(['plan']), 'text', leg.plan, { label: '区間のプラン', placeholder: '例: 午前アジ' })}</td>`
+      + `<td>${field(p.concat(['fare']), 'text', leg.fare, { label: '料金にするプラン', placeholder: '区間のプランの料金' })}</td>`
+      + `<td>${legs.length > 2 ? actionButton('remove', '削除', { path: JSON.stringify(p) }) : ''}</td>`
+      + '</tr>';
+  }).join('');
+  return `<table class="admin-table" data-error-path="${escapeHtml(pathString(path))}">`
+    + '<thead><tr><th>区間</th><th>釣り物（乗合船のプラン）</th><th>料金（乗合船のプラン）</th><th></th></tr></thead>'
+    + `<tbody>${rows}</tbody></table>`
+    + actionButton('add-leg', '＋ 区間を追加', { path: JSON.stringify(path) })
+    + actionButton('unrelay', '通常のプランに戻す', { path: JSON.stringify(path.slice(0, -1)) });
+}
+
+// Per-person fare of a relay plan from the draft (legs whose fare cannot be found count as 0)
+function relayFare(legs) {
+  const plans = (draft.plans && draft.plans['乗合船']) || {};
+  const fare = {};
+  for (const k of Catalog.PEOPLE_KEYS) {
+    fare[k] = legs.reduce((sum, leg) => sum + (Number(((plans[leg.fare || leg.plan] || {}).fare || {})[k]) || 0), 0);
+  }
+  return fare;
+}
+
+function renderRegularPlan(name, plan, index, count) {
+  const path = ['plans', '乗合船', name];
+  const relay = Array.isArray(plan.relay) ? plan.relay : null;
+  const fare = relay ? relayFare(relay) : (plan.fare || {});
+  const times = plan.times || {};
+  const summary = (relay ? `リレー（${relay.map(l => l.plan || '—').join(' ＋ ')}） ` : '')
+    + Catalog.PEOPLE_KEYS.map(k => `${PEOPLE_LABELS[k]} ${yen(fare[k])}`).join(' / ');
+  const difficulty = plan.difficulty === undefined ? 'auto' : plan.difficulty === null ? 'none' : plan.difficulty;
+  const difficultyOptions = [['auto', '自動（プラン名から推定）'], ['none', '表示しない']]
+    .concat(Catalog.DIFFICULTIES.map(d => [d, d]))
+    .map(([v, label]) => `<option value="${escapeHtml(v)}"${v === difficulty ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+  const fareFields = relay
+    ? '<div class="admin-subtitle">リレーの区間（料金は各区間の合計。集合・出船時刻を空欄にすると最初の区間の時刻）</div>'
+      + renderRelay(path.concat(['relay']), relay)
+    : '<div class="admin-subtitle">料金（1人あたり・円）</div><div class="admin-row">'
+      + Catalog.PEOPLE_KEYS.map(k => `<label>${PEOPLE_LABELS[k]} ${field(path.concat(['fare', k]), 'amount', fare[k], { label: PEOPLE_LABELS[k] })}</label>`).join('')
+      + '</div>'
+      + actionButton('make-relay', 'リレー（区間の組み合わせ）にする', { path: JSON.stringify(path) });
+  return planHeader('乗合船', name, plan, index, count, summary)
+    + fareFields
+    + `<label class="admin-block">料金に含まれるもの ${field(path.concat(['note']), 'text', plan.note, { cls: 'wide', placeholder: '例: コマセ・氷付' })}</label>`
+    + '<div class="admin-row">'
+    + `<label>集合 ${field(path.concat(['times', 'meet']), 'time', times.meet, { label: '集合時刻' })}</label>`
+    + `<label>出船 ${field(path.concat(['times', 'depart']), 'time', times.depart, { label: '出船時刻' })}</label>`
+    + `<label>定員 ${field(path.concat(['capacity']), 'int', plan.capacity, { label: '定員', placeholder: '制限なし' })}</label>`
+    + `<label>難易度 <select class="form-input admin-input" data-path="${attrPath(path.concat(['difficulty']))}" data-kind="difficulty"`
+    + ` data-error-path="${escapeHtml(pathString(path.concat(['difficulty'])))}">${difficultyOptions}</select></label>`
+    + '</div>'
+    + '<div class="admin-subtitle">プラン専用レンタル</div>'
+    + renderRentalTable(path.concat(['rental']), plan.rental)
+    + '<div class="admin-subtitle">購入品の目安</div>'
+    + renderItems(path.concat(['items']), plan.items)
+    + renderAvailability(path.concat(['availability']), plan.availability)
+    + '</div></details>';
+}
+
+function renderCharterPlan(name, plan, index, count) {
+  const path = ['plans', '仕立て船', name];
+  const rates = plan.rates || {};
+  const summary = Catalog.RATE_TIERS.filter(tier => rates[tier])
+    .map(tier => `${TIER_LABELS[tier]} ${rates[tier].minPeople || '—'}名 ${yen(rates[tier].minPrice)}`).join(' / ');
+  const rows = Catalog.RATE_TIERS.map(tier => {
+    const info = rates[tier];
+    const p = path.concat(['rates', tier]);
+    const off = !info;
+    const r = info || {};
+    return `<tr${off ? ' class="muted"' : ''}>`
+      + `<td><label class="admin-check"><input type="checkbox" data-path="${attrPath(p)}" data-kind="tier"${off ? '' : ' checked'}>${TIER_LABELS[tier]}</label></td>`
+      + `<td>${field(p.concat(['minPeople']), 'int', r.minPeople, { disabled: off, label: '最低人数' })}</td>`
+      + `<td>${field(p.concat(['minPrice']), 'amount', r.minPrice, { disabled: off, label: '最低料金' })}</td>`
+      + `<td>${field(p.concat(['perHead']), 'amountOrWord', r.perHead, { disabled: off, label: '1人あたり', placeholder: '金額 / men' })}</td>`
+      + `<td>${field(p.concat(['extraPrice']), 'amountOrWord', r.extraPrice, { disabled: off, label: '追加料金', placeholder: '乗合料金' })}</td>`
+      + '</tr>';
+  }).join('');
+  const policy = plan.extraPolicy || '';
+  const policyOptions = [['', '高い区分から（既定）']].concat(Object.entries(EXTRA_POLICY_LABELS))
+    .map(([v, label]) => `<option value="${escapeHtml(v)}"${v === policy ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+  return planHeader('仕立て船', name, plan, index, count, summary)
+    + '<p class="meta">祝日の料金表がない場合、祝日は土曜・日曜の料金になります。</p>'
+    + '<div class="admin-row">'
+    + `<label>定員 ${field(path.concat(['capacity']), 'int', plan.capacity, { label: '定員', placeholder: '乗合船と同じ' })}</label>`
+    + `<label>追加人数の数え方 <select class="form-input admin-input" data-path="${attrPath(path.concat(['extraPolicy']))}" data-kind="text"`
+    + ` data-error-path="${escapeHtml(pathString(path.concat(['extraPolicy'])))}">${policyOptions}</select></label>`
+    + '</div>'
+    + `<table class="admin-table" data-error-path="${escapeHtml(pathString(path.concat(['rates'])))}">`
+    + '<thead><tr><th>料金区分</th><th>最低人数</th><th>最低料金（円）</th><th>1人あたり</th><th>追加料金（1人）</th></tr></thead>'
+    + `<tbody>${rows}</tbody></table>`
+    + renderAvailability(path.concat(['availability']), plan.availability)
+    + '</div></details>';
+}
+
+function renderPlans(tripType, renderPlan) {
+  const plans = (draft.plans && draft.plans[tripType]) || {};
+  const names = Object.keys(plans);
+  if (!names.length) return '<p class="muted">プランがありません</p>';
+  return names.map((name, i) => renderPlan(name, plans[name], i, names.length)).join('');
+}
+
+// キャンセル規定 per trip type (pricing.js getCancellationPolicy); a trip type without one shows no fee and no policy
+function renderCancellation() {
+  return Catalog.TRIP_TYPES.map(tripType => {
+    const path = ['cancellation', tripType];
+    const policy = getAt(path);
+    if (!isObject(policy)) {
+      return `<div class="admin-subtitle">${escapeHtml(tripType)}</div>`
+        + '<p class="muted">未設定（キャンセル料の計算・予約メールへの記載はしません）</p>'
+        + actionButton('add-policy', '＋ 規定を設定', { path: JSON.stringify(path) });
+    }
+    const fees = Array.isArray(policy.fees) ? policy.fees : [];
+    const rows = fees.map((fee, i) => {
+      const p = path.concat(['fees', i]);
+      return '<tr>'
+        + `<td>${field(p.concat(['daysBefore']), 'int', fee.daysBefore, { label: '何日前から', placeholder: '0 = 当日' })}</td>`
+        + `<td>${field(p.concat(['percent']), 'amount', fee.percent, { label: '乗船料の%' })}</td>`
+        + `<td>${actionButton('remove', '削除', { path: JSON.stringify(p) })}</td>`
+        + '</tr>';
+    }).join('');
+    return `<div class="admin-subtitle">${escapeHtml(tripType)}</div>`
+      + `<table class="admin-table" data-error-path="${escapeHtml(pathString(path.concat(['fees'])))}">`
+      + '<thead><tr><th>乗船日の何日前から</th><th>乗船料の%</th><th></th></tr></thead>'
+      + `<tbody>${rows || '<tr><td colspan="3" class="muted">なし（キャンセル料はかかりません）</td></tr>'}</tbody></table>`
+      + '<div class="admin-row">'
+      + actionButton('add-fee', '＋ キャンセル料を追加', { path: JSON.stringify(path.concat(['fees'])) })
+      + `<label class="admin-check"><input type="checkbox" data-path="${attrPath(path.concat(['weatherExempt']))}" data-kind="bool"${policy.weatherExempt ? ' checked' : ''}>荒天など船長判断による出船中止は無料</label>`
+      + actionButton('remove', '規定を削除', { path: JSON.stringify(path), confirm: `${tripType}のキャンセル規定を削除しますか？` })
+      + '</div>';
+  }).join('');
+}
+
+function renderHolidayMap(key, title, placeholder) {
+  const map = (draft.holidays && draft.holidays[key]) || {};
+  const rows = Object.entries(map).map(([iso, name]) => {
+    const p = ['holidays', key, iso];
+    return '<tr>'
+      + `<td>${keyField(p, { type: 'date', label: '日付' })}</td>`
+      + `<td>${field(p, 'label', name, { cls: 'wide', placeholder, label: '名称' })}</td>`
+      + `<td>${actionButton('remove', '削除', { path: JSON.stringify(p) })}</td>`
+      + '</tr>';
+  }).join('');
+  return `<div class="admin-subtitle">${escapeHtml(title)}</div>`
+    + '<table class="admin-table"><thead><tr><th>日付</th><th>名称</th><th></th></tr></thead>'
+    + `<tbody>${rows || '<tr><td colspan="3" class="muted">なし</td></tr>'}</tbody></table>`
+    + actionButton('add-date', '＋ 日付を追加', { path: JSON.stringify(['holidays', key]) });
+}
+
+function renderHolidays() {
+  const exclude = ((draft.holidays && draft.holidays.exclude) || []).join('\n');
+  return renderHolidayMap('extra', '祝日扱いにする日（料金判定も祝日として扱います）', '例: 創業記念日')
+    + renderHolidayMap('closed', '休業日（見積りに注意を表示します）', '例: 年末年始休業')
+    + '<div class="admin-subtitle">祝日扱いにしない日（YYYY-MM-DD、改行またはカンマ区切り）</div>'
+    + `<textarea class="form-input admin-input" rows="2" data-path="${attrPath(['holidays', 'exclude'])}" data-kind="dateList"`
+    + ` data-error-path="holidays.exclude">${escapeHtml(exclude)}</textarea>`;
+}
+
+function render() {
+  regularPlansEl.innerHTML = renderPlans('乗合船', renderRegularPlan);
+  charterPlansEl.innerHTML = renderPlans('仕立て船', renderCharterPlan);
+  commonRentalEl.innerHTML = renderRentalTable(['commonRental'], draft.commonRental);
+  cancellationEl.innerHTML = renderCancellation();
+  holidaysEl.innerHTML = renderHolidays();
+  validate();
+}
+
+// --- Validation ---
+function validate() {
+  const result = Catalog.validateCatalog(draft);
+  valid = result.valid;
+  const byPath = {};
+  for (const e of result.errors) (byPath[e.path] = byPath[e.path] || []).push(e.message);
+  for (const el of editorEl.querySelectorAll('[data-error-path]')) {
+    const messages = byPath[el.getAttribute('data-error-path')];
+    el.classList.toggle('invalid', !!messages);
+    el.title = messages ? messages.join('\n') : '';
+  }
+  // open plans that contain errors so the marked fields are visible
+  for (const details of editorEl.querySelectorAll('details.admin-plan')) {
+    if (details.querySelector('.invalid')) details.open = true;
+  }
+  if (valid) {
+    validationErrorsEl.hidden = true;
+  } else {
+    validationErrorsEl.innerHTML = `<strong>${result.errors.length}件のエラーがあります（修正するまで書き出せません）</strong><br>`
+      + result.errors.map(e => `・${escapeHtml(e.path)}：${escapeHtml(e.message)}`).join('<br>');
+    validationErrorsEl.hidden = false;
+  }
+  exportJsBtn.disabled = !valid;
+  exportJsonBtn.disabled = !valid;
+}
+
+// --- Preview (index.html?preview inside the iframe) ---
+// Posted after every edit, and again when the preview page (re)loads or reports it is ready
+function postPreview() {
+  if (!valid || !previewFrameEl.contentWindow) return;
+  previewFrameEl.contentWindow.postMessage({ type: 'boatFee:catalog', catalog: draft }, '*');
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(postPreview, PREVIEW_DELAY);
+}
+
+window.addEventListener('message', (e) => {
+  if (e.source !== previewFrameEl.contentWindow || !e.data || e.data.type !== 'boatFee:previewReady') return;
+  postPreview();
+});
+previewFrameEl.addEventListener('load', postPreview);
+
+function changed(rerender) {
+  dirty = true;
+  if (rerender) render();
+  else validate();
+  schedulePreview();
+}
+
+// --- Editing ---
+// Value of a field by data-kind; `undefined` removes the key
+function readValue(el) {
+  const value = el.value.trim();
+  switch (el.getAttribute('data-kind')) {
+    case 'amount':
+    case 'int':
+    case 'rental':
+      return value === '' ? undefined : Number(value);
+    case 'amountOrWord':
+      return value === '' ? undefined : (/^\d+$/.test(value) ? Number(value) : value);
+    case 'label':
+      return el.value;
+    case 'bool':
+      return el.checked ? true : undefined;
+    case 'difficulty':
+      return el.value === 'auto' ? undefined : el.value === 'none' ? null : el.value;
+    case 'dateList': {
+      const list = value.split(/[\s,、]+/).filter(Boolean);
+      return list.length ? list : undefined;
+    }
+    default:
+      return value === '' ? undefined : value;
+  }
+}
+
+// Rentals are a plain price, or { price, refund, taxRate } when a refund or tax rate is set
+function writeRental(path, fieldName, value) {
+  const current = getAt(path);
+  const entry = isObject(current) ? Object.assign({}, current) : { price: current };
+  if (value === undefined) delete entry[fieldName];
+  else entry[fieldName] = value;
+  const plain = entry.price !== undefined && Object.keys(entry).length === 1;
+  setAt(path, plain ? entry.price : entry);
+}
+
+function writeDaysOfWeek(el, path) {
+  const boxes = Array.from(el.closest('.admin-row').querySelectorAll('[data-kind="dow"]'));
+  const days = boxes.filter(b => b.checked).map(b => Number(b.getAttribute('data-day')));
+  setAt(path, days.length === 7 ? undefined : days);
+}
+
+function applyField(el) {
+  const path = JSON.parse(el.getAttribute('data-path'));
+  const kind = el.getAttribute('data-kind');
+  if (kind === 'key') {
+    const oldKey = path[path.length - 1];
+    const newKey = el.value.trim();
+    if (newKey === oldKey) return;
+    if (!newKey || Object.prototype.hasOwnProperty.call(getAt(path.slice(0, -1)), newKey)) {
+      alert(newKey ? `「${newKey}」は既にあります。` : '名前を入力してください。');
+      el.value = oldKey;
+      return;
+    }
+    const wasOpen = path[0] === 'plans' && openPlans.delete(`${path[1]}/${oldKey}`);
+    renameKey(path, newKey);
+    if (wasOpen) openPlans.add(`${path[1]}/${newKey}`);
+    changed(true);
+    return;
+  }
+  if (kind === 'tier') {
+    setAt(path, el.checked ? { minPeople: 1 } : undefined);
+    changed(true);
+    return;
+  }
+  if (kind === 'dow') writeDaysOfWeek(el, path);
+  else if (kind === 'rental') writeRental(path, el.getAttribute('data-field'), readValue(el));
+  else setAt(path, readValue(el));
+  // a plan without times falls back to the times guessed from its name
+  if (kind === 'time') {
+    const timesPath = path.slice(0, -1);
+    if (!Object.keys(getAt(timesPath) || {}).length) setAt(timesPath, undefined);
+  }
+  changed(kind === 'bool');
+}
+
+// Text fields apply on input; names (renames), checkboxes and selects on change
+editorEl.addEventListener('input', (e) => {
+  const el = e.target;
+  if (!el.hasAttribute('data-kind') || el.getAttribute('data-kind') === 'key') return;
+  if (el.type === 'checkbox' || el.tagName === 'SELECT') return;
+  applyField(el);
+});
+
+editorEl.addEventListener('change', (e) => {
+  const el = e.target;
+  if (!el.hasAttribute('data-kind')) return;
+  if (el.getAttribute('data-kind') !== 'key' && el.type !== 'checkbox' && el.tagName !== 'SELECT') return;
+  applyField(el);
+});
+
+// <details> toggle does not bubble
+editorEl.addEventListener('toggle', (e) => {
+  const key = e.target.getAttribute && e.target.getAttribute('data-open-key');
+  if (!key) return;
+  if (e.target.open) openPlans.add(key);
+  else openPlans.delete(key);
+}, true);
+
+function promptName(message, existing, initial) {
+  const name = (window.prompt(message, initial || '') || '').trim();
+  if (!name) return null;
+  if (existing && Object.prototype.hasOwnProperty.call(existing, name)) {
+    alert(`「${name}」は既にあります。`);
+    return null;
+  }
+  return name;
+}
+
+function runAction(btn) {
+  const action = btn.getAttribute('data-action');
+  const path = btn.hasAttribute('data-path') ? JSON.parse(btn.getAttribute('data-path')) : null;
+  if (action === 'add-plan') {
+    const tripType = btn.getAttribute('data-trip-type');
+    const plans = (draft.plans && draft.plans[tripType]) || {};
+    const message = tripType === '仕立て船'
+      ? '料金表を追加するプラン名を入力してください（乗合船のプラン名と同じにすると、乗合料金を参照できます）'
+      : '追加するプラン名を入力してください';
+    const name = promptName(message, plans);
+    if (!name) return;
+    setAt(['plans', tripType, name], tripType === '仕立て船' ? { rates: { weekday: { minPeople: 1 } } } : { fare: {} });
+    openPlans.add(`${tripType}/${name}`);
+  } else if (action === 'duplicate-plan') {
+    const plans = getAt(path.slice(0, -1));
+    const name = promptName('複製後のプラン名を入力してください', plans, `${path[2]}（コピー）`);
+    if (!name) return;
+    setAt(path.slice(0, -1), insertKey(plans, name, clone(getAt(path)), path[2]));
+    openPlans.add(`${path[1]}/${name}`);
+  } else if (action === 'move-plan') {
+    const plans = getAt(path.slice(0, -1));
+    const names = Object.keys(plans);
+    const from = names.indexOf(path[2]);
+    const to = from + Number(btn.getAttribute('data-dir'));
+    if (to < 0 || to >= names.length) return;
+    names.splice(to, 0, names.splice(from, 1)[0]);
+    const reordered = {};
+    for (const n of names) reordered[n] = plans[n];
+    setAt(path.slice(0, -1), reordered);
+  } else if (action === 'remove') {
+    const message = btn.getAttribute('data-confirm');
+    if (message && !window.confirm(message)) return;
+    setAt(path, undefined);
+  } else if (action === 'add-entry') {
+    const name = promptName('名称を入力してください', getAt(path));
+    if (!name) return;
+    setAt(path.concat([name]), {});
+  } else if (action === 'add-leg') {
+    setAt(path, (getAt(path) || []).concat([{ plan: '' }]));
+  } else if (action === 'make-relay') {
+    setAt(path.concat(['fare']), undefined);
+    setAt(path.concat(['relay']), [{ plan: '' }, { plan: '' }]);
+  } else if (action === 'unrelay') {
+    setAt(path.concat(['relay']), undefined);
+    setAt(path.concat(['fare']), {});
+  } else if (action === 'add-policy') {
+    setAt(path, { fees: [{}] });
+  } else if (action === 'add-fee') {
+    setAt(path, (getAt(path) || []).concat([{}]));
+  } else if (action === 'add-period') {
+    const periods = getAt(path) || [];
+    setAt(path, periods.concat([{ from: '', to: '' }]));
+  } else if (action === 'add-date') {
+    const iso = (window.prompt('日付を入力してください（YYYY-MM-DD）', '') || '').trim();
+    if (!iso) return;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+      alert('日付は YYYY-MM-DD 形式で入力してください。');
+      return;
+    }
+    if (getAt(path.concat([iso])) !== undefined) {
+      alert(`${iso} は既にあります。`);
+      return;
+    }
+    setAt(path.concat([iso]), '');
+  } else {
+    return;
+  }
+  changed(true);
+}
+
+editorEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  e.preventDefault();
+  runAction(btn);
+});
+
+// --- Load / import / export ---
+function setDraft(raw) {
+  draft = clone(raw);
+  loaded = clone(raw);
+  dirty = false;
+  render();
+  schedulePreview();
+}
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+exportJsBtn.addEventListener('click', () => {
+  if (!valid) return;
+  download('plans-data.js', CatalogExport.toPlansDataJs(draft), 'text/javascript');
+  dirty = false;
+});
+
+exportJsonBtn.addEventListener('click', () => {
+  if (!valid) return;
+  download('catalog.json', CatalogExport.toJson(draft), 'application/json');
+  dirty = false;
+});
+
+importFileEl.addEventListener('change', async () => {
+  const file = importFileEl.files && importFileEl.files[0];
+  importFileEl.value = '';
+  if (!file) return;
+  if (dirty && !window.confirm('編集中の内容は失われます。読み込みますか？')) return;
+  try {
+    const raw = JSON.parse(await file.text());
+    if (!isObject(raw)) throw new Error('オブジェクトではありません');
+    setDraft(raw);
+    showLoadStatus([`${file.name} を読み込みました`]);
+  } catch (e) {
+    alert(`${file.name} を読み込めませんでした（${e.message}）`);
+  }
+});
+
+revertBtn.addEventListener('click', () => {
+  if (!loaded || (dirty && !window.confirm('編集した内容をすべて破棄しますか？'))) return;
+  setDraft(loaded);
+});
+
+window.addEventListener('beforeunload', (e) => {
+  if (!dirty) return;
+  e.preventDefault();
+  e.returnValue = '';
+});
+
+function showLoadStatus(lines) {
+  loadStatusEl.innerHTML = lines.map(escapeHtml).join('<br>');
+  loadStatusEl.hidden = !lines.length;
+}
+
+// Initialize
+(async function init() {
+  const result = await Catalog.loadCatalog({ url: CATALOG_URL });
+  const lines = result.notices.slice();
+  if (result.source === 'json') lines.unshift(`${CATALOG_URL} の内容を編集しています`);
+  // invalid data is still loaded so it can be fixed here
+  let raw = result.raw;
+  if (!raw) {
+    const fallback = Catalog.fromGlobals();
+    raw = fallback.plans ? fallback : { version: Catalog.SCHEMA_VERSION, contact: { email: '' }, plans: { '乗合船': {}, '仕立て船': {} } };
+    lines.unshift('正しい料金データがないため、plans-data.js の内容（エラーを含む）を読み込みました');
+  }
+  showLoadStatus(lines);
+  setDraft(raw);
+})();
@@ -0,0 +1,83 @@
+// Booking cart: several trips requested together in one reservation mail.
+// Works as a plain <script> (exposes `window.Cart`) and as a CommonJS module.
+// Uses history-store.js (snapshot) and pricing.js (computeQuote): the window globals in the browser;
+// under CommonJS pass them in (addItem / updateItem `historyStoreApi`, priceCart `pricingApi`).
+//
+// Cart items: [{ id, state }] where state is a saved form state (HistoryStore.snapshot shape:
+//   { tripType, plan, date, men, women, student, rentals, items, coupon }).
+// Every trip is priced on its own with pricing.js computeQuote, so fares, charter minimums,
+// discounts and coupons apply per trip exactly as on the single-trip form.
+// priceCart(items, catalog, pricingApi) -> {
+//   lines: [{ id, state, quote }],
+//   total,                          sum of the priced trips (要問合せ trips only add their rentals)
+//   inquiry,                        some trip has a 要問合せ price
+//   available,                      every trip runs on its date and has enough seats
+//   people: { men, women, student, total }   summed over the trips
+// }
+(function (root, factory) {
+  const api = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Cart = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function (root) {
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  // Each function returns a new list; the form state is copied so later edits on the form do not leak in
+  function addItem(items, state, historyStoreApi) {
+    const store = historyStoreApi || root.HistoryStore;
+    return (items || []).concat([{ id: createId(), state: store.snapshot(state) }]);
+  }
+
+  function updateItem(items, id, state, historyStoreApi) {
+    const store = historyStoreApi || root.HistoryStore;
+    return (items || []).map(item => (item.id === id ? { id, state: store.snapshot(state) } : item));
+  }
+
+  function removeItem(items, id) {
+    return (items || []).filter(item => item.id !== id);
+  }
+
+  function quoteInput(state) {
+    return {
+      tripType: state.tripType,
+      plan: state.plan,
+      date: state.date,
+      people: { men: state.men, women: state.women, student: state.student },
+      rentals: state.rentals || {},
+      items: state.items || {},
+      coupon: state.coupon || ''
+    };
+  }
+
+  function priceCart(items, catalog, pricingApi) {
+    const pricing = pricingApi || root.Pricing;
+    const lines = (items || []).map(item => ({
+      id: item.id,
+      state: item.state,
+      quote: pricing.computeQuote(quoteInput(item.state), catalog)
+    }));
+    const people = { men: 0, women: 0, student: 0, total: 0 };
+    for (const l of lines) {
+      for (const k of Object.keys(people)) people[k] += l.quote.people[k];
+    }
+    return {
+      lines,
+      total: lines.reduce((sum, l) => sum + (l.quote.inquiry ? l.quote.rentalTotal : l.quote.total), 0),
+      inquiry: lines.some(l => l.quote.inquiry),
+      available: lines.every(l => l.quote.available && (!l.quote.seats || l.quote.seats.enough)),
+      people
+    };
+  }
+
+  return {
+    addItem,
+    updateItem,
+    removeItem,
+    quoteInput,
+    priceCart
+  };
+});
@@ -0,0 +1,70 @@
+// Serializes a raw catalog (the shape validated by catalog.js) for deployment:
+// catalog.json, or a plans-data.js that defines the same window globals as the hand-written file.
+// Works as a plain <script> (exposes `window.CatalogExport`) and as a CommonJS module.
+//
+// Output is indented JSON with objects whose values are all scalars kept on one line,
+// e.g. "fare": { "men": 6800, "women": 5500, "student": 3800 }, so diffs stay readable.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.CatalogExport = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  // Catalog key -> plans-data.js global, in file order
+  const GLOBALS = [
+    ['plans', 'plans'],
+    ['commonRental', 'commonRental'],
+    ['holidays', 'holidayOverrides'],
+    ['contact', 'contact'],
+    ['tax', 'tax'],
+    ['estimate', 'estimate'],
+    ['mailTemplates', 'mailTemplates'],
+    ['displayNames', 'displayNames'],
+    ['discounts', 'discounts'],
+    ['rentalRules', 'rentalRules'],
+    ['cancellation', 'cancellation']
+  ];
+
+  function format(value, indent) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    const pad = '  '.repeat(indent);
+    const isArray = Array.isArray(value);
+    const entries = isArray
+      ? value.map(v => [null, v])
+      : Object.entries(value).filter(([, v]) => v !== undefined);
+    if (!entries.length) return isArray ? '[]' : '{}';
+    const item = ([key, v]) => (isArray ? '' : JSON.stringify(key) + ': ') + format(v, indent + 1);
+    if (entries.every(([, v]) => v === null || typeof v !== 'object')) {
+      return isArray ? `[ ${entries.map(item).join(', ')} ]` : `{ ${entries.map(item).join(', ')} }`;
+    }
+    const body = entries.map(e => pad + '  ' + item(e)).join(',\n');
+    return isArray ? `[\n${body}\n${pad}]` : `{\n${body}\n${pad}}`;
+  }
+
+  function toJson(raw) {
+    return format(raw, 0) + '\n';
+  }
+
+  // options.generatedAt: Date written into the header comment
+  function toPlansDataJs(raw, options) {
+    const at = (options && options.generatedAt) || new Date();
+    const lines = [
+      '// Plans data separated for easier maintenance and potential future replacement with external JSON.',
+      `// admin.html（料金データの編集画面）で書き出しました（${at.toISOString().slice(0, 10)}）。`,
+      '// 項目の説明は catalog.js の先頭を参照してください。'
+    ];
+    for (const [key, name] of GLOBALS) {
+      if (raw[key] === undefined) continue;
+      lines.push('', `window.${name} = ${format(raw[key], 0)};`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    format,
+    toJson,
+    toPlansDataJs
+  };
+});
@@ -0,0 +1,541 @@
+// Plan catalog loading and schema validation.
+// Works as a plain <script> (exposes `window.Catalog`) and as a CommonJS module.
+//
+// Catalog JSON (catalog.json, schema version 1):
+// {
+//   "version": 1,
+//   "contact": { "email": "...", "shopName": "...", "phone": "...", "harbor": { "name": "...", "address": "..." } },
+//   "plans": { "乗合船": { plan: {...} }, "仕立て船": { plan: { "rates": {...} } } },   plan.disabled: true = not offered, plan.capacity = seats
+//     a 乗合船 relay plan has "relay": [{ "plan": "午前アジ" }, { "plan": "午後アジ", "fare": "午後リレー料金" }] instead of "fare"
+//   "commonRental": { name: price | { price, refund, taxRate } },
+//   "holidays": { "extra": {iso: name}, "exclude": [iso], "closed": {iso: name} },
+//   "tax": { "inclusive": true, "rate": 10, "rounding": "floor", "registrationNumber": "T..." },   (optional)
+//   "estimate": { "validDays": 14, "notes": ["..."] },   (optional)
+//   "mailTemplates": { "乗合船": { "subject": "...", "body": ["line", ...] }, "仕立て船": {...} },   (optional)
+//   "displayNames": { "en": { "plans": { name: "..." }, "rentals": {...}, "items": {...}, "discounts": {...} } },   (optional, UI only)
+//   "discounts": { "rules": [{ "id": "...", "label": "...", "percent": 5, "when": {...} }], "maxAmount": 5000 },   (optional, see pricing.js)
+//   "rentalRules": { "limits": { name: { "maxPerPerson": 1, "stock": 10 } }, "exclusive": [[name, name]] },   (optional, see pricing.js)
+//   "cancellation": { "乗合船": { "fees": [{ "daysBefore": 1, "percent": 50 }], "weatherExempt": true }, "仕立て船": {...} }   (optional, see pricing.js)
+// }
+// plans-data.js (window.plans / commonRental / holidayOverrides / contact / tax / estimate / mailTemplates / displayNames /
+// discounts / rentalRules / cancellation) is the fallback source.
+(function (root, factory) {
+  const api = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Catalog = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function (root) {
+  const SCHEMA_VERSION = 1;
+  const PEOPLE_KEYS = ['men', 'women', 'student'];
+  const TRIP_TYPES = ['乗合船', '仕立て船'];
+  const TAX_ROUNDINGS = ['floor', 'round', 'ceil'];
+  const RATE_TIERS = ['weekday', 'saturday', 'sunday', 'holiday'];
+  const DIFFICULTIES = ['初心者', '中級者', '上級者'];
+  const EXTRA_POLICIES = ['expensiveFirst', 'cheapestFirst', 'proportional', 'flat'];
+  const DISPLAY_NAME_KINDS = ['plans', 'rentals', 'items', 'discounts'];
+  const DISCOUNT_RATE_TYPES = ['weekday', 'saturday', 'sunday', 'holiday'];
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+  const MONTH_DAY = /^\d{2}-\d{2}$/;
+  const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isAmount = (v) => typeof v === 'number' && isFinite(v) && v >= 0;
+  const isTaxRate = (v) => isAmount(v) && v <= 100;
+
+  // Collects { path, message } entries; path uses the JSON keys (e.g. plans.乗合船.午前アジ.fare.student)
+  function createReporter() {
+    const errors = [];
+    return {
+      errors,
+      check(cond, path, message) {
+        if (!cond) errors.push({ path, message });
+        return !!cond;
+      }
+    };
+  }
+
+  function validateRental(r, rental, path) {
+    if (isAmount(rental)) return;
+    if (!r.check(isObject(rental), path, '金額（数値）または { price, refund, taxRate } で指定してください')) return;
+    r.check(isAmount(rental.price), path + '.price', '金額（0以上の数値）が必要です');
+    if (rental.taxRate !== undefined) r.check(isTaxRate(rental.taxRate), path + '.taxRate', '税率（%）は0〜100の数値で指定してください');
+    if (rental.refund !== undefined) {
+      r.check(isAmount(rental.refund), path + '.refund', '返金額は0以上の数値で指定してください');
+      r.check(!(isAmount(rental.price) && isAmount(rental.refund)) || rental.refund <= rental.price,
+        path + '.refund', '返金額がレンタル料金を超えています');
+    }
+  }
+
+  function validateRentals(r, rentals, path) {
+    if (rentals === undefined) return;
+    if (!r.check(isObject(rentals), path, 'オブジェクト { 名称: 金額 } で指定してください')) return;
+    for (const [name, rental] of Object.entries(rentals)) validateRental(r, rental, `${path}.${name}`);
+  }
+
+  function validateDisabled(r, plan, path) {
+    if (plan.disabled !== undefined) r.check(typeof plan.disabled === 'boolean', path + '.disabled', 'true または false で指定してください');
+  }
+
+  function validateCapacity(r, plan, path) {
+    if (plan.capacity !== undefined) r.check(Number.isInteger(plan.capacity) && plan.capacity > 0, path + '.capacity', '定員は1以上の整数で指定してください');
+  }
+
+  function validateRegularPlan(r, plan, path) {
+    if (!r.check(isObject(plan), path, 'プラン定義はオブジェクトで指定してください')) return;
+    validateDisabled(r, plan, path);
+    validateCapacity(r, plan, path);
+    if (plan.relay !== undefined) {
+      r.check(plan.fare === undefined, path + '.fare', 'リレーのプランの料金は各区間の料金の合計です（fare は指定しません）');
+    } else if (r.check(isObject(plan.fare), path + '.fare', '料金 { men, women, student } が必要です')) {
+      for (const k of PEOPLE_KEYS) {
+        r.check(isAmount(plan.fare[k]), `${path}.fare.${k}`, '料金（0以上の数値）が必要です');
+      }
+    }
+    validateRentals(r, plan.rental, path + '.rental');
+    validateAvailability(r, plan.availability, path + '.availability');
+    if (plan.note !== undefined) r.check(typeof plan.note === 'string', path + '.note', '文字列で指定してください');
+    if (plan.times !== undefined) {
+      if (r.check(isObject(plan.times), path + '.times', '{ meet, depart } で指定してください')) {
+        r.check(HH_MM.test(plan.times.meet || ''), path + '.times.meet', 'HH:MM 形式で指定してください');
+        r.check(HH_MM.test(plan.times.depart || ''), path + '.times.depart', 'HH:MM 形式で指定してください');
+      }
+    }
+    if (plan.difficulty !== undefined) {
+      r.check(plan.difficulty === null || DIFFICULTIES.indexOf(plan.difficulty) !== -1,
+        path + '.difficulty', `${DIFFICULTIES.join(' / ')} または null で指定してください`);
+    }
+    if (plan.items !== undefined && r.check(isObject(plan.items), path + '.items', 'オブジェクト { 名称: { min, max } } で指定してください')) {
+      for (const [name, item] of Object.entries(plan.items)) {
+        const p = `${path}.items.${name}`;
+        if (!r.check(isObject(item), p, '{ min, max } で指定してください')) continue;
+        r.check(isAmount(item.min), p + '.min', '0以上の数値で指定してください');
+        if (item.max !== undefined) {
+          r.check(isAmount(item.max) && (!isAmount(item.min) || item.max >= item.min), p + '.max', 'min 以上の数値で指定してください');
+        }
+      }
+    }
+  }
+
+  // relay legs refer to other 乗合船 plans by name: [{ plan, fare? }], at least two legs
+  function validateRelays(r, plans, path) {
+    const isPricedPlan = (name) => isObject(plans[name]) && plans[name].relay === undefined && isObject(plans[name].fare);
+    for (const [name, plan] of Object.entries(plans)) {
+      if (!isObject(plan) || plan.relay === undefined) continue;
+      const p = `${path}.${name}.relay`;
+      if (!r.check(Array.isArray(plan.relay) && plan.relay.length >= 2, p, '2つ以上の区間 [{ plan, fare }] で指定してください')) continue;
+      plan.relay.forEach((leg, i) => {
+        const lp = `${p}[${i}]`;
+        if (!r.check(isObject(leg), lp, '{ plan, fare } で指定してください')) return;
+        if (r.check(typeof leg.plan === 'string' && leg.plan !== '', lp + '.plan', '区間のプラン名が必要です')) {
+          r.check(leg.plan !== name && isObject(plans[leg.plan]) && plans[leg.plan].relay === undefined,
+            lp + '.plan', `乗合船のプラン「${leg.plan}」がありません（リレーのプランは区間にできません）`);
+        }
+        const source = leg.fare !== undefined ? leg.fare : leg.plan;
+        if (leg.fare !== undefined && !r.check(typeof leg.fare === 'string' && leg.fare !== '', lp + '.fare', '料金にするプラン名を文字列で指定してください')) return;
+        if (typeof source === 'string' && source !== '' && source !== name) {
+          r.check(isPricedPlan(source), leg.fare !== undefined ? lp + '.fare' : lp + '.plan', `料金を持つ乗合船のプラン「${source}」がありません`);
+        }
+      });
+    }
+  }
+
+  function validateAvailability(r, av, path) {
+    if (av === undefined) return;
+    if (!r.check(isObject(av), path, '{ periods, daysOfWeek, excludeDates } で指定してください')) return;
+    if (av.periods !== undefined && r.check(Array.isArray(av.periods), path + '.periods', '[{ from, to }, ...] で指定してください')) {
+      av.periods.forEach((pr, i) => {
+        const p = `${path}.periods[${i}]`;
+        if (!r.check(isObject(pr), p, '{ from, to } で指定してください')) return;
+        const ok = ['from', 'to'].map(k => r.check(typeof pr[k] === 'string' && (MONTH_DAY.test(pr[k]) || ISO_DATE.test(pr[k])),
+          `${p}.${k}`, '"MM-DD" または "YYYY-MM-DD" で指定してください'));
+        // pricing.js inPeriod compares the bounds as strings, so both must use the same format
+        if (ok[0] && ok[1]) r.check(pr.from.length === pr.to.length, p, 'from と to は同じ形式（どちらも "MM-DD" または "YYYY-MM-DD"）で指定してください');
+      });
+    }
+    if (av.daysOfWeek !== undefined && r.check(Array.isArray(av.daysOfWeek), path + '.daysOfWeek', '[0-6, ...] で指定してください')) {
+      av.daysOfWeek.forEach((d, i) => {
+        r.check(Number.isInteger(d) && d >= 0 && d <= 6, `${path}.daysOfWeek[${i}]`, '0（日）〜6（土）で指定してください');
+      });
+    }
+    if (av.excludeDates !== undefined && r.check(Array.isArray(av.excludeDates), path + '.excludeDates', '["YYYY-MM-DD", ...] で指定してください')) {
+      av.excludeDates.forEach((iso, i) => {
+        r.check(typeof iso === 'string' && ISO_DATE.test(iso), `${path}.excludeDates[${i}]`, '日付は YYYY-MM-DD 形式で指定してください');
+      });
+    }
+  }
+
+  function validateCharterPlan(r, plan, path) {
+    if (!r.check(isObject(plan), path, 'プラン定義はオブジェクトで指定してください')) return;
+    validateDisabled(r, plan, path);
+    validateCapacity(r, plan, path);
+    validateAvailability(r, plan.availability, path + '.availability');
+    if (plan.extraPolicy !== undefined) {
+      r.check(EXTRA_POLICIES.indexOf(plan.extraPolicy) !== -1, path + '.extraPolicy', `${EXTRA_POLICIES.join(' / ')} のいずれかを指定してください`);
+    }
+    if (!r.check(isObject(plan.rates), path + '.rates', '料金表 rates { weekday, saturday, sunday } が必要です')) return;
+    for (const [tier, info] of Object.entries(plan.rates)) {
+      const p = `${path}.rates.${tier}`;
+      if (!r.check(RATE_TIERS.indexOf(tier) !== -1, p, `料金区分は ${RATE_TIERS.join(' / ')} のいずれかです`)) continue;
+      if (!r.check(isObject(info), p, '{ minPeople, minPrice } で指定してください')) continue;
+      r.check(Number.isInteger(info.minPeople) && info.minPeople >= 1, p + '.minPeople', '1以上の整数で指定してください');
+      const hasMinPrice = info.minPrice !== undefined;
+      const hasPerHead = info.perHead !== undefined;
+      if (r.check(hasMinPrice || hasPerHead, p, 'minPrice または perHead が必要です')) {
+        if (hasMinPrice) r.check(isAmount(info.minPrice), p + '.minPrice', '0以上の数値で指定してください');
+        if (hasPerHead) {
+          r.check(isAmount(info.perHead) || PEOPLE_KEYS.indexOf(info.perHead) !== -1,
+            p + '.perHead', `金額または ${PEOPLE_KEYS.join(' / ')} で指定してください`);
+        }
+      }
+      if (info.extraPrice !== undefined) {
+        r.check(isAmount(info.extraPrice) || info.extraPrice === 'fare', p + '.extraPrice', '金額または "fare" で指定してください');
+      }
+      if (plan.extraPolicy === 'flat') {
+        r.check(isAmount(info.extraPrice), p + '.extraPrice', '一律（flat）の場合は追加料金を金額で指定してください');
+      }
+    }
+  }
+
+  function validateHolidays(r, holidays, path) {
+    if (holidays === undefined) return;
+    if (!r.check(isObject(holidays), path, '{ extra, exclude, closed } で指定してください')) return;
+    for (const key of ['extra', 'closed']) {
+      if (holidays[key] === undefined) continue;
+      if (!r.check(isObject(holidays[key]), `${path}.${key}`, '{ "YYYY-MM-DD": "名称" } で指定してください')) continue;
+      for (const iso of Object.keys(holidays[key])) {
+        r.check(ISO_DATE.test(iso), `${path}.${key}.${iso}`, '日付は YYYY-MM-DD 形式で指定してください');
+      }
+    }
+    if (holidays.exclude !== undefined && r.check(Array.isArray(holidays.exclude), path + '.exclude', '["YYYY-MM-DD", ...] で指定してください')) {
+      holidays.exclude.forEach((iso, i) => {
+        r.check(typeof iso === 'string' && ISO_DATE.test(iso), `${path}.exclude[${i}]`, '日付は YYYY-MM-DD 形式で指定してください');
+      });
+    }
+  }
+
+  // tax: { inclusive, rate (%), rounding, registrationNumber (適格請求書発行事業者の登録番号 T + 13桁) }
+  function validateTax(r, tax, path) {
+    if (tax === undefined) return;
+    if (!r.check(isObject(tax), path, '{ inclusive, rate, rounding, registrationNumber } で指定してください')) return;
+    if (tax.inclusive !== undefined) r.check(typeof tax.inclusive === 'boolean', path + '.inclusive', 'true（税込）または false（税抜）で指定してください');
+    if (tax.rate !== undefined) r.check(isTaxRate(tax.rate), path + '.rate', '税率（%）は0〜100の数値で指定してください');
+    if (tax.rounding !== undefined) {
+      r.check(TAX_ROUNDINGS.indexOf(tax.rounding) !== -1, path + '.rounding', `${TAX_ROUNDINGS.join(' / ')} のいずれかを指定してください`);
+    }
+    if (tax.registrationNumber !== undefined && tax.registrationNumber !== '') {
+      r.check(typeof tax.registrationNumber === 'string' && /^T\d{13}$/.test(tax.registrationNumber),
+        path + '.registrationNumber', '登録番号は T + 13桁の数字で指定してください');
+    }
+  }
+
+  function validateEstimate(r, estimate, path) {
+    if (estimate === undefined) return;
+    if (!r.check(isObject(estimate), path, '{ validDays, notes } で指定してください')) return;
+    if (estimate.validDays !== undefined) {
+      r.check(Number.isInteger(estimate.validDays) && estimate.validDays > 0, path + '.validDays', '1以上の整数で指定してください');
+    }
+    if (estimate.notes !== undefined) {
+      r.check(Array.isArray(estimate.notes) && estimate.notes.every(n => typeof n === 'string'), path + '.notes', '文字列の配列で指定してください');
+    }
+  }
+
+  // mailTemplates: { tripType: { subject, body } }; syntax is checked with mail-template.js when loaded
+  function validateMailTemplates(r, templates, path) {
+    if (templates === undefined) return;
+    if (!r.check(isObject(templates), path, '{ 乗合船: { subject, body }, ... } で指定してください')) return;
+    const checker = root.MailTemplate;
+    for (const [tripType, t] of Object.entries(templates)) {
+      const p = `${path}.${tripType}`;
+      if (!r.check(TRIP_TYPES.indexOf(tripType) !== -1, p, '乗合船 または 仕立て船 を指定してください')) continue;
+      if (!r.check(isObject(t), p, '{ subject, body } で指定してください')) continue;
+      const subjectOk = r.check(typeof t.subject === 'string' && t.subject.trim() !== '', p + '.subject', '件名が必要です');
+      const bodyOk = r.check(typeof t.body === 'string' || (Array.isArray(t.body) && t.body.every(line => typeof line === 'string')),
+        p + '.body', '本文は文字列または文字列の配列で指定してください');
+      if (!checker) continue;
+      if (subjectOk) checker.check(t.subject).forEach(message => r.errors.push({ path: p + '.subject', message }));
+      if (bodyOk) checker.check(t.body).forEach(message => r.errors.push({ path: p + '.body', message }));
+    }
+  }
+
+  const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string');
+
+  function validateDiscountConditions(r, when, path) {
+    if (when === undefined) return;
+    if (!r.check(isObject(when), path, '条件 { plans, rateTypes, minPeople, coupon, ... } で指定してください')) return;
+    for (const key of ['tripTypes', 'plans']) {
+      if (when[key] !== undefined) r.check(isStringList(when[key]), `${path}.${key}`, '文字列の配列で指定してください');
+    }
+    if (Array.isArray(when.tripTypes)) {
+      r.check(when.tripTypes.every(t => TRIP_TYPES.indexOf(t) !== -1), path + '.tripTypes', '乗合船 または 仕立て船 を指定してください');
+    }
+    if (when.rateTypes !== undefined) {
+      r.check(Array.isArray(when.rateTypes) && when.rateTypes.every(t => DISCOUNT_RATE_TYPES.indexOf(t) !== -1),
+        path + '.rateTypes', `${DISCOUNT_RATE_TYPES.join(' / ')} の配列で指定してください`);
+    }
+    if (when.periods !== undefined) validateAvailability(r, { periods: when.periods }, path);
+    for (const key of ['minPeople', 'maxPeople']) {
+      if (when[key] !== undefined) r.check(Number.isInteger(when[key]) && when[key] >= 0, `${path}.${key}`, '0以上の整数で指定してください');
+    }
+    if (when.minCounts !== undefined && r.check(isObject(when.minCounts), path + '.minCounts', '{ men, women, student } で指定してください')) {
+      for (const [key, n] of Object.entries(when.minCounts)) {
+        r.check(PEOPLE_KEYS.indexOf(key) !== -1 && Number.isInteger(n) && n >= 0, `${path}.minCounts.${key}`,
+          `${PEOPLE_KEYS.join(' / ')} に0以上の整数を指定してください`);
+      }
+    }
+    if (when.coupon !== undefined) r.check(typeof when.coupon === 'string' && when.coupon.trim() !== '', path + '.coupon', 'クーポンコードを文字列で指定してください');
+  }
+
+  // discounts: { rules: [{ id, label, percent | amount, per, categories, when, group, max }], maxAmount, maxPercent }
+  function validateDiscounts(r, discounts, path) {
+    if (discounts === undefined) return;
+    if (!r.check(isObject(discounts), path, '{ rules: [...] } で指定してください')) return;
+    if (discounts.maxAmount !== undefined) r.check(isAmount(discounts.maxAmount), path + '.maxAmount', '0以上の数値で指定してください');
+    if (discounts.maxPercent !== undefined) r.check(isTaxRate(discounts.maxPercent), path + '.maxPercent', '0〜100の数値で指定してください');
+    if (!r.check(Array.isArray(discounts.rules), path + '.rules', '割引ルールの配列で指定してください')) return;
+    const ids = new Set();
+    discounts.rules.forEach((rule, i) => {
+      const p = `${path}.rules[${i}]`;
+      if (!r.check(isObject(rule), p, '割引ルールはオブジェクトで指定してください')) return;
+      if (r.check(typeof rule.id === 'string' && rule.id !== '', p + '.id', 'id（英数字）が必要です')) {
+        r.check(!ids.has(rule.id), p + '.id', `id「${rule.id}」が重複しています`);
+        ids.add(rule.id);
+      }
+      r.check(typeof rule.label === 'string' && rule.label.trim() !== '', p + '.label', '表示名が必要です');
+      const hasPercent = rule.percent !== undefined;
+      if (r.check(hasPercent !== (rule.amount !== undefined), p, 'percent または amount のどちらか一方を指定してください')) {
+        if (hasPercent) r.check(isTaxRate(rule.percent), p + '.percent', '0〜100の数値で指定してください');
+        else r.check(isAmount(rule.amount), p + '.amount', '0以上の数値で指定してください');
+      }
+      if (rule.per !== undefined) r.check(rule.per === 'booking' || rule.per === 'person', p + '.per', 'booking または person を指定してください');
+      if (rule.categories !== undefined) {
+        r.check(Array.isArray(rule.categories) && rule.categories.every(k => PEOPLE_KEYS.indexOf(k) !== -1),
+          p + '.categories', `${PEOPLE_KEYS.join(' / ')} の配列で指定してください`);
+      }
+      if (rule.group !== undefined) r.check(typeof rule.group === 'string', p + '.group', '文字列で指定してください');
+      if (rule.max !== undefined) r.check(isAmount(rule.max), p + '.max', '0以上の数値で指定してください');
+      validateDiscountConditions(r, rule.when, p + '.when');
+    });
+  }
+
+  // rentalRules: { limits: { 名称: { maxPerPerson, stock } }, exclusive: [[名称, 名称, ...]] }
+  function validateRentalRules(r, rules, path) {
+    if (rules === undefined) return;
+    if (!r.check(isObject(rules), path, '{ limits, exclusive } で指定してください')) return;
+    const isCount = (v) => Number.isInteger(v) && v >= 0;
+    if (rules.limits !== undefined && r.check(isObject(rules.limits), path + '.limits', '{ 名称: { maxPerPerson, stock } } で指定してください')) {
+      for (const [name, limit] of Object.entries(rules.limits)) {
+        const p = `${path}.limits.${name}`;
+        if (!r.check(isObject(limit), p, '{ maxPerPerson, stock } で指定してください')) continue;
+        for (const key of ['maxPerPerson', 'stock']) {
+          if (limit[key] !== undefined) r.check(isCount(limit[key]), `${p}.${key}`, '0以上の整数で指定してください');
+        }
+      }
+    }
+    if (rules.exclusive !== undefined && r.check(Array.isArray(rules.exclusive), path + '.exclusive', '[[名称, 名称], ...] で指定してください')) {
+      rules.exclusive.forEach((group, i) => {
+        r.check(Array.isArray(group) && group.length >= 2 && group.every(n => typeof n === 'string' && n !== ''),
+          `${path}.exclusive[${i}]`, '同時に選べないレンタル品の名称を2つ以上並べてください');
+      });
+    }
+  }
+
+  // cancellation: { 乗合船 | 仕立て船: { fees: [{ daysBefore, percent }], weatherExempt } }
+  function validateCancellation(r, cancellation, path) {
+    if (cancellation === undefined) return;
+    if (!r.check(isObject(cancellation), path, '{ 乗合船: { fees, weatherExempt } } で指定してください')) return;
+    for (const [tripType, policy] of Object.entries(cancellation)) {
+      const p = `${path}.${tripType}`;
+      if (!r.check(TRIP_TYPES.indexOf(tripType) !== -1, p, `${TRIP_TYPES.join(' / ')} のいずれかを指定してください`)) continue;
+      if (!r.check(isObject(policy), p, '{ fees, weatherExempt } で指定してください')) continue;
+      if (policy.weatherExempt !== undefined) r.check(typeof policy.weatherExempt === 'boolean', p + '.weatherExempt', 'true / false で指定してください');
+      if (!r.check(Array.isArray(policy.fees), p + '.fees', '[{ daysBefore, percent }] の配列で指定してください')) continue;
+      const days = new Set();
+      policy.fees.forEach((fee, i) => {
+        const fp = `${p}.fees[${i}]`;
+        if (!r.check(isObject(fee), fp, '{ daysBefore, percent } で指定してください')) return;
+        if (r.check(Number.isInteger(fee.daysBefore) && fee.daysBefore >= 0, fp + '.daysBefore', '乗船日の何日前か（0以上の整数）を指定してください')) {
+          r.check(!days.has(fee.daysBefore), fp + '.daysBefore', `${fee.daysBefore}日前が重複しています`);
+          days.add(fee.daysBefore);
+        }
+        r.check(isTaxRate(fee.percent), fp + '.percent', '0〜100の数値で指定してください');
+      });
+    }
+  }
+
+  // displayNames: { locale: { plans | rentals | items | discounts: { 日本語名: 'translated name' } } }
+  function validateDisplayNames(r, names, path) {
+    if (names === undefined) return;
+    if (!r.check(isObject(names), path, '{ en: { plans, rentals, items } } で指定してください')) return;
+    for (const [locale, kinds] of Object.entries(names)) {
+      const p = `${path}.${locale}`;
+      if (!r.check(isObject(kinds), p, '{ plans, rentals, items } で指定してください')) continue;
+      for (const [kind, map] of Object.entries(kinds)) {
+        if (!r.check(DISPLAY_NAME_KINDS.indexOf(kind) !== -1, `${p}.${kind}`, `${DISPLAY_NAME_KINDS.join(' / ')} のいずれかを指定してください`)) continue;
+        if (!r.check(isObject(map), `${p}.${kind}`, '{ 日本語名: 表示名 } で指定してください')) continue;
+        for (const [name, label] of Object.entries(map)) {
+          r.check(typeof label === 'string' && label.trim() !== '', `${p}.${kind}.${name}`, '表示名を文字列で指定してください');
+        }
+      }
+    }
+  }
+
+  // Validate a raw catalog object. Returns { valid, errors: [{ path, message }] }
+  function validateCatalog(raw) {
+    const r = createReporter();
+    if (!r.check(isObject(raw), '(root)', 'カタログがオブジェクトではありません')) return { valid: false, errors: r.errors };
+    r.check(raw.version === SCHEMA_VERSION, 'version', `スキーマバージョン ${SCHEMA_VERSION} が必要です`);
+    if (r.check(isObject(raw.contact), 'contact', '連絡先 { email } が必要です')) {
+      r.check(typeof raw.contact.email === 'string' && raw.contact.email.indexOf('@') > 0, 'contact.email', 'メールアドレスが不正です');
+      for (const key of ['shopName', 'phone']) {
+        if (raw.contact[key] !== undefined) r.check(typeof raw.contact[key] === 'string', `contact.${key}`, '文字列で指定してください');
+      }
+      const harbor = raw.contact.harbor;
+      if (harbor !== undefined && r.check(isObject(harbor), 'contact.harbor', '{ name, address } で指定してください')) {
+        for (const key of ['name', 'address']) {
+          if (harbor[key] !== undefined) r.check(typeof harbor[key] === 'string', `contact.harbor.${key}`, '文字列で指定してください');
+        }
+      }
+    }
+    if (r.check(isObject(raw.plans), 'plans', 'plans が必要です')) {
+      if (r.check(isObject(raw.plans['乗合船']), 'plans.乗合船', '乗合船のプランが必要です')) {
+        for (const [name, plan] of Object.entries(raw.plans['乗合船'])) {
+          validateRegularPlan(r, plan, `plans.乗合船.${name}`);
+        }
+        validateRelays(r, raw.plans['乗合船'], 'plans.乗合船');
+      }
+      if (raw.plans['仕立て船'] !== undefined && r.check(isObject(raw.plans['仕立て船']), 'plans.仕立て船', 'オブジェクトで指定してください')) {
+        for (const [name, plan] of Object.entries(raw.plans['仕立て船'])) {
+          validateCharterPlan(r, plan, `plans.仕立て船.${name}`);
+        }
+      }
+    }
+    validateRentals(r, raw.commonRental, 'commonRental');
+    validateHolidays(r, raw.holidays, 'holidays');
+    validateTax(r, raw.tax, 'tax');
+    validateEstimate(r, raw.estimate, 'estimate');
+    validateMailTemplates(r, raw.mailTemplates, 'mailTemplates');
+    validateDisplayNames(r, raw.displayNames, 'displayNames');
+    validateDiscounts(r, raw.discounts, 'discounts');
+    validateRentalRules(r, raw.rentalRules, 'rentalRules');
+    validateCancellation(r, raw.cancellation, 'cancellation');
+    return { valid: r.errors.length === 0, errors: r.errors };
+  }
+
+  // Raw catalog assembled from the plans-data.js globals
+  function fromGlobals(g) {
+    const src = g || root;
+    return {
+      version: SCHEMA_VERSION,
+      contact: src.contact,
+      plans: src.plans,
+      commonRental: src.commonRental || {},
+      holidays: src.holidayOverrides || {},
+      tax: src.tax,
+      estimate: src.estimate,
+      mailTemplates: src.mailTemplates,
+      displayNames: src.displayNames,
+      discounts: src.discounts,
+      rentalRules: src.rentalRules,
+      cancellation: src.cancellation
+    };
+  }
+
+  // Plans with `disabled: true` stay in the raw data (and the editor) but are not offered for booking
+  function activePlans(plans) {
+    const out = {};
+    for (const [tripType, group] of Object.entries(plans || {})) {
+      out[tripType] = {};
+      for (const [name, plan] of Object.entries(group || {})) {
+        if (!plan.disabled) out[tripType][name] = plan;
+      }
+    }
+    return out;
+  }
+
+  // 乗合船 plans that relay legs use for times, rentals and fares; kept even when disabled
+  // (e.g. 午後リレー料金 is only a fare for the second leg)
+  function legPlans(plans) {
+    const regular = (plans && plans['乗合船']) || {};
+    const out = {};
+    for (const plan of Object.values(regular)) {
+      if (!plan || !Array.isArray(plan.relay)) continue;
+      for (const leg of plan.relay) {
+        for (const name of [leg && leg.plan, leg && leg.fare]) {
+          if (name && regular[name]) out[name] = regular[name];
+        }
+      }
+    }
+    return out;
+  }
+
+  // Runtime catalog used by pricing.js: raw data (active plans only) plus a holiday calendar
+  function buildCatalog(raw, holidaysApi) {
+    const api = holidaysApi || root.JapaneseHolidays;
+    return {
+      version: raw.version,
+      contact: raw.contact,
+      plans: activePlans(raw.plans),
+      legPlans: legPlans(raw.plans),
+      commonRental: raw.commonRental || {},
+      holidays: raw.holidays || {},
+      tax: raw.tax || null,
+      estimate: raw.estimate || {},
+      mailTemplates: raw.mailTemplates || null,
+      displayNames: raw.displayNames || {},
+      discounts: raw.discounts || null,
+      rentalRules: raw.rentalRules || null,
+      cancellation: raw.cancellation || null,
+      calendar: api ? api.createHolidayCalendar(raw.holidays) : null
+    };
+  }
+
+  // Load catalog JSON from `url`, falling back to plans-data.js globals when it cannot be fetched.
+  // Resolves to { catalog, raw, source: 'json' | 'plans-data.js' | null, errors: [{ path, message }], notices: [] }.
+  // catalog is null when no valid source is available; raw is the data it was built from (for the editor).
+  async function loadCatalog(options) {
+    const opts = options || {};
+    const fetchFn = opts.fetch || (typeof root.fetch === 'function' ? root.fetch.bind(root) : null);
+    const notices = [];
+    let errors = [];
+
+    if (opts.url && fetchFn) {
+      try {
+        const res = await fetchFn(opts.url, { cache: 'no-cache' });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const raw = await res.json();
+        const result = validateCatalog(raw);
+        if (result.valid) return { catalog: buildCatalog(raw), raw, source: 'json', errors: [], notices };
+        errors = result.errors;
+        notices.push(`${opts.url} に不正な項目があります`);
+      } catch (e) {
+        notices.push(`${opts.url} を読み込めませんでした（${e.message}）`);
+      }
+    }
+
+    const fallback = fromGlobals(opts.globals);
+    if (fallback.plans) {
+      const result = validateCatalog(fallback);
+      if (result.valid) {
+        if (opts.url) notices.push('plans-data.js の料金データを使用しています');
+        return { catalog: buildCatalog(fallback), raw: fallback, source: 'plans-data.js', errors, notices };
+      }
+      errors = errors.concat(result.errors.map(e => ({ path: 'plans-data.js: ' + e.path, message: e.message })));
+    }
+    return { catalog: null, raw: null, source: null, errors, notices };
+  }
+
+  return {
+    SCHEMA_VERSION,
+    TRIP_TYPES,
+    PEOPLE_KEYS,
+    RATE_TIERS,
+    DIFFICULTIES,
+    EXTRA_POLICIES,
+    validateCatalog,
+    fromGlobals,
+    buildCatalog,
+    loadCatalog
+  };
+});
@@ -0,0 +1,108 @@
+// Customer contact details: validation and normalization.
+// Works as a plain <script> (exposes `window.Contact`) and as a CommonJS module.
+//
+// contact: { name, kana, phone, email, request }
+// - name (代表者名), kana (フリガナ), phone (電話番号) are required
+//   (kana can be made optional for visitors who cannot type katakana: options.requireKana = false)
+// - email is optional but must be a valid address when given
+// - the party must have at least one person
+// Error messages are Japanese; `codes` gives { field: { code, params } } for translated display (i18n.js).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Contact = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const FIELDS = [
+    { key: 'name', label: '代表者名' },
+    { key: 'kana', label: 'フリガナ' },
+    { key: 'phone', label: '電話番号' },
+    { key: 'email', label: 'メール' },
+    { key: 'request', label: 'ご要望' }
+  ];
+  const MAX_NAME_LENGTH = 40;
+  const MAX_REQUEST_LENGTH = 500;
+
+  function emptyContact() {
+    return { name: '', kana: '', phone: '', email: '', request: '' };
+  }
+
+  // Full-width digits / hyphens -> half-width, spaces removed ("０９０ー１２３４ー５６７８" -> "090-1234-5678")
+  function normalizePhone(value) {
+    return String(value || '')
+      .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+      .replace(/[ー－―‐−]/g, '-')
+      .replace(/[\s()（）]/g, '');
+  }
+
+  // Japanese phone numbers: 10 digits (固定電話) or 11 digits (携帯・IP), starting with 0
+  function isValidPhone(value) {
+    const phone = normalizePhone(value);
+    if (!/^[0-9-]+$/.test(phone)) return false;
+    const digits = phone.replace(/-/g, '');
+    return /^0\d{9,10}$/.test(digits);
+  }
+
+  function isValidEmail(value) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || '').trim());
+  }
+
+  // Returns { valid, errors: { field: message }, codes: { field: { code, params } } };
+  // field 'people' is used for the party size
+  function validateContact(contact, people, options) {
+    const opts = Object.assign({ requireKana: true }, options || {});
+    const c = Object.assign(emptyContact(), contact || {});
+    const errors = {};
+    const codes = {};
+    const fail = (field, code, message, params) => {
+      errors[field] = message;
+      codes[field] = { code, params: params || {} };
+    };
+    const name = c.name.trim();
+    const kana = c.kana.trim();
+
+    if (!name) fail('name', 'nameRequired', '代表者名を入力してください');
+    else if (name.length > MAX_NAME_LENGTH) fail('name', 'nameTooLong', `代表者名は${MAX_NAME_LENGTH}文字以内で入力してください`, { max: MAX_NAME_LENGTH });
+
+    if (!kana) {
+      if (opts.requireKana) fail('kana', 'kanaRequired', 'フリガナを入力してください');
+    } else if (!/^[ァ-ヶー\s　]+$/.test(kana)) {
+      fail('kana', 'kanaInvalid', 'フリガナは全角カタカナで入力してください');
+    }
+
+    if (!c.phone.trim()) fail('phone', 'phoneRequired', '電話番号を入力してください');
+    else if (!isValidPhone(c.phone)) fail('phone', 'phoneInvalid', '電話番号の形式が正しくありません（例：090-1234-5678）');
+
+    if (c.email.trim() && !isValidEmail(c.email)) fail('email', 'emailInvalid', 'メールアドレスの形式が正しくありません');
+
+    if (c.request.length > MAX_REQUEST_LENGTH) fail('request', 'requestTooLong', `ご要望は${MAX_REQUEST_LENGTH}文字以内で入力してください`, { max: MAX_REQUEST_LENGTH });
+
+    if (people && !(Number(people.total) > 0)) fail('people', 'peopleRequired', '人数を1名以上選択してください');
+
+    return { valid: Object.keys(errors).length === 0, errors, codes };
+  }
+
+  // Trimmed copy with the phone number normalized, as written into the reservation mail
+  function normalizeContact(contact) {
+    const c = Object.assign(emptyContact(), contact || {});
+    return {
+      name: c.name.trim(),
+      kana: c.kana.trim(),
+      phone: normalizePhone(c.phone),
+      email: c.email.trim(),
+      request: c.request.trim()
+    };
+  }
+
+  return {
+    FIELDS,
+    emptyContact,
+    normalizePhone,
+    isValidPhone,
+    isValidEmail,
+    validateContact,
+    normalizeContact
+  };
+});
@@ -0,0 +1,130 @@
+// Delivery channels for the reservation summary besides mailto:
+// plain text for clipboard / LINE / SMS, and an .ics calendar event.
+// Works as a plain <script> (exposes `window.Delivery`) and as a CommonJS module.
+//
+// mail: { to, subject, body } as built by main.js (mail-template.js)
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Delivery = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  // Length of the percent-encoded mailto URL (a Japanese character takes 9 characters once encoded).
+  // Browsers and desktop mail clients open URLs of this size with the body intact; a full single-trip
+  // request stays well below it, while multi-trip cart mails and long requests take the copy path.
+  const MAX_MAILTO_LENGTH = 8000;
+  const TIMEZONE = 'Asia/Tokyo';
+
+  function buildMailto(mail) {
+    return `mailto:${mail.to}?subject=${encodeURIComponent(mail.subject)}&body=${encodeURIComponent(mail.body)}`;
+  }
+
+  function isMailtoTooLong(url) {
+    return url.length > MAX_MAILTO_LENGTH;
+  }
+
+  // Text for the clipboard / share sheet: subject as the first line, blank-line runs collapsed
+  // (LINE and SMS show every empty line)
+  function formatShareText(mail) {
+    const body = mail.body.replace(/\n{3,}/g, '\n\n');
+    return `${mail.subject}\n\n${body}`;
+  }
+
+  // --- iCalendar (RFC 5545) ---
+  function escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold lines longer than 75 octets (UTF-8) with CRLF + space
+  function foldLine(line) {
+    const out = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+      const size = ch.codePointAt(0) < 0x80 ? 1 : ch.codePointAt(0) < 0x800 ? 2 : ch.codePointAt(0) < 0x10000 ? 3 : 4;
+      if (octets + size > (out.length ? 74 : 75)) {
+        out.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += ch;
+      octets += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+  }
+
+  // '2026-05-02', '06:30' -> '20260502T063000'
+  function toLocalDateTime(iso, hhmm) {
+    return iso.replace(/-/g, '') + 'T' + hhmm.replace(':', '') + '00';
+  }
+
+  function toUtcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // event: { date: 'YYYY-MM-DD', times: { meet, depart } | null, summary, location, description, uid?, now? }
+  // With times the event runs from the meeting time to departure (Asia/Tokyo); without, it is an all-day event.
+  // A list of events (several trips booked together) becomes one calendar file.
+  function buildIcs(event) {
+    const events = Array.isArray(event) ? event : [event];
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//boarding-fee-calculator//JA',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    if (events.some(e => e.times)) {
+      lines.push(
+        'BEGIN:VTIMEZONE',
+        `TZID:${TIMEZONE}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0900',
+        'TZOFFSETTO:+0900',
+        'TZNAME:JST',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+      );
+    }
+    events.forEach((e, i) => {
+      const now = e.now || new Date();
+      const uid = e.uid || `${e.date}-${now.getTime().toString(36)}${events.length > 1 ? '-' + (i + 1) : ''}@boarding-fee-calculator`;
+      lines.push('BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${toUtcStamp(now)}`);
+      if (e.times) {
+        lines.push(
+          `DTSTART;TZID=${TIMEZONE}:${toLocalDateTime(e.date, e.times.meet)}`,
+          `DTEND;TZID=${TIMEZONE}:${toLocalDateTime(e.date, e.times.depart)}`
+        );
+      } else {
+        const next = new Date(e.date + 'T00:00:00Z');
+        next.setUTCDate(next.getUTCDate() + 1);
+        lines.push(
+          `DTSTART;VALUE=DATE:${e.date.replace(/-/g, '')}`,
+          `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`
+        );
+      }
+      lines.push(`SUMMARY:${escapeText(e.summary)}`);
+      if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+      if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+      lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  return {
+    MAX_MAILTO_LENGTH,
+    buildMailto,
+    isMailtoTooLong,
+    formatShareText,
+    buildIcs
+  };
+});
@@ -0,0 +1,136 @@
+// Estimate document (見積書) built from a quote (pricing.js computeQuote).
+// Works as a plain <script> (exposes `window.Estimate`) and as a CommonJS module.
+//
+// buildEstimate(quote, options) -> {
+//   number, issueDate, validUntil, title, shop, customer,
+//   rows: [{ label, detail, qty, unit, unitPrice, amount }],   amount null = 要問合せ, negative = 割引
+//   refundRows: [{ label, qty, unit, unitPrice, amount }],       returned at the dock, not part of the total
+//   total, inquiry, tax (quote.tax: per-rate amounts, registration number), notes: [string]
+//   (purchasable tackle in quote.itemLines is only an estimate and appears in the notes)
+// }
+// Labels are written with options.i18n (an i18n.js translator; Japanese by default).
+(function (root, factory) {
+  const api = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Estimate = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function (root) {
+  const DEFAULT_VALID_DAYS = 14;
+
+  const pad = (n, len) => String(n).padStart(len || 2, '0');
+  const isoOf = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+  // '20261019-0A4F-K7Q': issue date + seconds of the day in base 36 + a random suffix, so two
+  // estimates issued in the same second (or on two devices) get different numbers
+  function createQuoteNumber(issuedAt) {
+    const d = issuedAt || new Date();
+    const seconds = d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds();
+    const suffix = Math.floor(Math.random() * 36 * 36 * 36).toString(36).toUpperCase();
+    return isoOf(d).replace(/-/g, '') + '-' + pad(seconds.toString(36).toUpperCase(), 4) + '-' + pad(suffix, 3);
+  }
+
+  function fareRows(quote, tr) {
+    const c = quote.charter;
+    const t = tr.t;
+    if (!c) {
+      // relay plans: the per-person fare is the sum of the legs ('テンヤタチウオ 9,700円・アジリレー料金 1,300円')
+      const relay = (category) => t('estimate.row.relay', {
+        list: quote.relayLines.map(l => t('estimate.row.relayLeg', {
+          plan: tr.name('plans', l.fareFrom || l.plan), amount: tr.yen(l.fare[category])
+        })).join(t('list.separator'))
+      });
+      return quote.fareLines.map(l => ({
+        label: t('estimate.row.fare', { label: t('people.' + l.category) }),
+        detail: quote.relayLines.length ? relay(l.category) : '',
+        qty: l.count, unit: t('estimate.unit.person'), unitPrice: l.unitPrice, amount: l.amount
+      }));
+    }
+    if (c.inquiry) {
+      return [{
+        label: t('estimate.row.charter'), detail: tr.message(c.reasonCode, c.reasonParams, c.reason),
+        qty: 1, unit: t('estimate.unit.set'), unitPrice: null, amount: null
+      }];
+    }
+    const basis = c.perHead
+      ? t('estimate.row.minimumPerHead', { perHead: tr.yen(c.perHead), count: c.minPeople })
+      : t('estimate.row.minimumUpTo', { count: c.minPeople });
+    const included = c.minimumLines.map(l => (l.category === 'all'
+      ? t('fare.includedAll', { count: l.count })
+      : t('estimate.peopleEntry', { label: t('people.' + l.category), count: l.count }))).join(t('list.separator'));
+    const rows = [{
+      label: t('estimate.row.charterTier', { tier: t('tier.' + c.tier) }),
+      detail: basis + (c.shortageCount > 0 ? t('estimate.row.shortage', { count: c.shortageCount }) : '')
+        + (included ? t('estimate.row.included', { list: included }) : ''),
+      qty: 1, unit: t('estimate.unit.set'), unitPrice: c.minPrice, amount: c.minPrice
+    }];
+    for (const l of c.extraLines) {
+      rows.push({
+        label: l.category === 'extra' ? t('estimate.row.extra') : t('estimate.row.extraCategory', { label: t('people.' + l.category) }),
+        detail: t('estimate.row.extraDetail', { count: c.minPeople }),
+        qty: l.count, unit: t('estimate.unit.person'), unitPrice: l.unitPrice, amount: l.amount
+      });
+    }
+    return rows;
+  }
+
+  // options: { issuedAt: Date, number, validDays, shop: catalog.contact { shopName, phone, email, harbor },
+  //            customer: { name }, notes: [], i18n: translator }
+  function buildEstimate(quote, options) {
+    const opts = options || {};
+    const tr = opts.i18n || root.I18n.createTranslator('ja');
+    const t = tr.t;
+    const issuedAt = opts.issuedAt || new Date();
+    const validDays = Number(opts.validDays) > 0 ? Number(opts.validDays) : DEFAULT_VALID_DAYS;
+    const validUntil = new Date(issuedAt.getFullYear(), issuedAt.getMonth(), issuedAt.getDate() + validDays);
+
+    const discountRows = quote.discountLines.map(l => ({
+      label: t('estimate.row.discount', { label: tr.name('discounts', l.label) }),
+      detail: l.capped ? t('discount.capped').trim() : '',
+      qty: 1, unit: t('estimate.unit.set'), unitPrice: -l.amount, amount: -l.amount
+    }));
+    const rows = fareRows(quote, tr).concat(discountRows, quote.rentalLines.map(l => ({
+      label: t('estimate.row.rental', { name: tr.name('rentals', l.name) }),
+      detail: l.unitRefund ? t('estimate.row.rentalRefund', { amount: tr.yen(l.unitRefund) }) : '',
+      qty: l.qty, unit: t('estimate.unit.item'), unitPrice: l.unitPrice, amount: l.amount
+    })));
+    const refundRows = quote.refundLines.map(l => ({
+      label: t('estimate.row.refund', { name: tr.name('rentals', l.name) }),
+      qty: l.qty, unit: t('estimate.unit.item'), unitPrice: l.unitRefund, amount: l.refundAmount
+    }));
+
+    const notes = [];
+    if (quote.inquiry) notes.push(t('estimate.note.inquiry'));
+    if (refundRows.length) notes.push(t('estimate.note.refund'));
+    if (quote.itemLines.length) {
+      const est = quote.itemEstimate;
+      notes.push(t('estimate.note.itemsOrdered', {
+        list: quote.itemLines.map(l => t('items.qty', { name: tr.name('items', l.name), qty: l.qty })).join(t('list.separator')),
+        range: est.min === est.max ? tr.yen(est.min) : t('items.range', { min: tr.yen(est.min), max: tr.yen(est.max) })
+      }));
+    } else {
+      notes.push(t('estimate.note.items'));
+    }
+    return {
+      number: opts.number || createQuoteNumber(issuedAt),
+      issueDate: isoOf(issuedAt),
+      validUntil: isoOf(validUntil),
+      title: `${tr.tripType(quote.tripType)} ${quote.plan ? tr.name('plans', quote.plan) : ''}`.trim(),
+      shop: opts.shop || {},
+      customer: opts.customer || {},
+      rows,
+      refundRows,
+      total: quote.inquiry ? null : quote.total,
+      inquiry: !!quote.inquiry,
+      tax: quote.tax,
+      notes: notes.concat(opts.notes || [])
+    };
+  }
+
+  return {
+    DEFAULT_VALID_DAYS,
+    createQuoteNumber,
+    buildEstimate
+  };
+});
@@ -0,0 +1,111 @@
+// Draft auto-save and history of sent reservation requests, kept in localStorage.
+// Works as a plain <script> (exposes `window.HistoryStore`) and as a CommonJS module.
+//
+// Saved form state has the same shape as a quote link state (quote-link.js):
+//   { tripType, plan, date, men, women, student, rentals: {name: qty}, items: {name: qty}, coupon }
+// The draft additionally keeps the customer's contact details and the 割り勘 participant list
+// (never put into links or history), the booking cart ([{ id, state }], cart.js)
+// and the last issued 見積書 ({ number, key }: its number and the quote input it was issued for).
+// History entries: { id, sentAt (ISO datetime), state, total, inquiry, quoteNumber (estimate.js, also in the mail) }
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.HistoryStore = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const DRAFT_KEY = 'boatFee.draft.v1';
+  const HISTORY_KEY = 'boatFee.history.v1';
+  const MAX_HISTORY = 50;
+
+  // Plain copy of the persisted fields of the form state
+  function snapshot(state) {
+    const counts = (map) => {
+      const result = {};
+      for (const [name, qty] of Object.entries(map || {})) {
+        if (Number(qty) > 0) result[name] = Number(qty);
+      }
+      return result;
+    };
+    return {
+      tripType: state.tripType,
+      plan: state.plan,
+      date: state.date,
+      men: Number(state.men) || 0,
+      women: Number(state.women) || 0,
+      student: Number(state.student) || 0,
+      rentals: counts(state.rentals),
+      items: counts(state.items),
+      coupon: state.coupon || ''
+    };
+  }
+
+  // window.localStorage, or null where accessing it throws (sandboxed frames, some file:// setups)
+  function browserStorage() {
+    try {
+      return (typeof window !== 'undefined' && window.localStorage) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // storage: a Web Storage object (localStorage). Storage errors (private mode, quota) are ignored
+  // so the calculator keeps working without persistence.
+  function createStore(storage) {
+    function read(key, fallback) {
+      try {
+        const raw = storage && storage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+      } catch (e) {
+        return fallback;
+      }
+    }
+    function write(key, value) {
+      try {
+        if (storage) storage.setItem(key, JSON.stringify(value));
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    function loadDraft() {
+      const draft = read(DRAFT_KEY, null);
+      return draft && draft.state ? draft : null;
+    }
+    function saveDraft(state) {
+      write(DRAFT_KEY, { savedAt: new Date().toISOString(), state: snapshot(state), contact: state.contact || null, split: state.split || null, cart: state.cart || [], estimate: state.estimate || null });
+    }
+
+    function listHistory() {
+      const list = read(HISTORY_KEY, []);
+      return Array.isArray(list) ? list : [];
+    }
+    function addHistory(state, quote, quoteNumber) {
+      const entry = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        sentAt: new Date().toISOString(),
+        state: snapshot(state),
+        total: quote.total,
+        inquiry: !!quote.inquiry,
+        quoteNumber: quoteNumber || ''
+      };
+      write(HISTORY_KEY, [entry].concat(listHistory()).slice(0, MAX_HISTORY));
+      return entry;
+    }
+    function getHistory(id) {
+      return listHistory().find(e => e.id === id) || null;
+    }
+    function removeHistory(id) {
+      write(HISTORY_KEY, listHistory().filter(e => e.id !== id));
+    }
+
+    return { loadDraft, saveDraft, listHistory, addHistory, getHistory, removeHistory };
+  }
+
+  return {
+    snapshot,
+    browserStorage,
+    createStore
+  };
+});
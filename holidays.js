@@ -0,0 +1,149 @@
+// Japanese public holiday (祝日) calculator.
+// Works as a plain <script> (exposes `window.JapaneseHolidays`) and as a CommonJS module.
+//
+// - getHolidays(year) -> { 'YYYY-MM-DD': '名称' } for 国民の祝日, 国民の休日 and 振替休日
+// - createHolidayCalendar(overrides) -> { isHoliday, isClosed, getName, getClosedName }
+//   overrides: { extra: {iso: name}, exclude: [iso], closed: {iso: name} }
+//     extra   ... 祝日扱いにする店舗独自の日（料金判定も祝日として扱う）
+//     exclude ... 祝日扱いにしない日
+//     closed  ... 休業日（料金判定には影響せず、見積りに注意として表示）
+// Rules cover 2000 onwards (Happy Monday, 2019 改元, 2020/2021 東京五輪の移動を含む).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.JapaneseHolidays = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  function iso(y, m, d) {
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  }
+
+  // n-th Monday of a month (Happy Monday 制度)
+  function nthMonday(y, m, n) {
+    const firstDow = new Date(y, m - 1, 1).getDay();
+    const firstMonday = 1 + ((8 - firstDow) % 7);
+    return firstMonday + (n - 1) * 7;
+  }
+
+  // 春分・秋分の日（1980〜2099 年で有効な近似式）
+  function vernalEquinoxDay(y) {
+    return Math.floor(20.8431 + 0.242194 * (y - 1980) - Math.floor((y - 1980) / 4));
+  }
+  function autumnalEquinoxDay(y) {
+    return Math.floor(23.2488 + 0.242194 * (y - 1980) - Math.floor((y - 1980) / 4));
+  }
+
+  // 国民の祝日 only (no 振替休日 / 国民の休日)
+  function getNationalHolidays(y) {
+    const h = {};
+    const add = (m, d, name) => { h[iso(y, m, d)] = name; };
+
+    add(1, 1, '元日');
+    add(1, nthMonday(y, 1, 2), '成人の日');
+    add(2, 11, '建国記念の日');
+    if (y >= 2020) add(2, 23, '天皇誕生日');
+    add(3, vernalEquinoxDay(y), '春分の日');
+    add(4, 29, y >= 2007 ? '昭和の日' : 'みどりの日');
+    add(5, 3, '憲法記念日');
+    if (y >= 2007) add(5, 4, 'みどりの日');
+    add(5, 5, 'こどもの日');
+
+    if (y === 2020) add(7, 23, '海の日');
+    else if (y === 2021) add(7, 22, '海の日');
+    else add(7, nthMonday(y, 7, 3), '海の日');
+
+    if (y === 2020) add(8, 10, '山の日');
+    else if (y === 2021) add(8, 8, '山の日');
+    else if (y >= 2016) add(8, 11, '山の日');
+
+    add(9, nthMonday(y, 9, 3), '敬老の日');
+    add(9, autumnalEquinoxDay(y), '秋分の日');
+
+    const sportsName = y >= 2020 ? 'スポーツの日' : '体育の日';
+    if (y === 2020) add(7, 24, sportsName);
+    else if (y === 2021) add(7, 23, sportsName);
+    else add(10, nthMonday(y, 10, 2), sportsName);
+
+    add(11, 3, '文化の日');
+    add(11, 23, '勤労感謝の日');
+    if (y <= 2018) add(12, 23, '天皇誕生日');
+
+    if (y === 2019) {
+      add(5, 1, '天皇の即位の日');
+      add(10, 22, '即位礼正殿の儀の行われる日');
+    }
+    return h;
+  }
+
+  const cache = {};
+
+  function getHolidays(year) {
+    const y = Number(year);
+    if (cache[y]) return Object.assign({}, cache[y]);
+    const national = getNationalHolidays(y);
+    const result = Object.assign({}, national);
+    const isNational = (d) => national[toISO(d)] !== undefined;
+
+    // 国民の休日: 前日と翌日が国民の祝日である平日
+    for (let d = new Date(y, 0, 2); d.getFullYear() === y; d.setDate(d.getDate() + 1)) {
+      const prev = new Date(d); prev.setDate(d.getDate() - 1);
+      const next = new Date(d); next.setDate(d.getDate() + 1);
+      if (!isNational(d) && d.getDay() !== 0 && isNational(prev) && isNational(next)) {
+        result[toISO(d)] = '国民の休日';
+      }
+    }
+
+    // 振替休日: 日曜の祝日の後、最初の祝日でない日
+    for (const key of Object.keys(national)) {
+      const d = parseISO(key);
+      if (d.getDay() !== 0) continue;
+      const sub = new Date(d);
+      do { sub.setDate(sub.getDate() + 1); } while (result[toISO(sub)] !== undefined);
+      result[toISO(sub)] = '振替休日';
+    }
+
+    cache[y] = result;
+    return Object.assign({}, result);
+  }
+
+  function toISO(d) {
+    return iso(d.getFullYear(), d.getMonth() + 1, d.getDate());
+  }
+  function parseISO(s) {
+    const [y, m, d] = String(s).split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function createHolidayCalendar(overrides) {
+    const o = overrides || {};
+    const extra = Object.assign({}, o.extra || {});
+    const exclude = new Set(o.exclude || []);
+    const closed = Object.assign({}, o.closed || {});
+
+    function getName(dateISO) {
+      if (!dateISO) return null;
+      if (exclude.has(dateISO)) return null;
+      if (extra[dateISO] !== undefined) return extra[dateISO] || '店舗休日';
+      const year = Number(String(dateISO).slice(0, 4));
+      if (!year) return null;
+      const name = getHolidays(year)[dateISO];
+      return name === undefined ? null : name;
+    }
+
+    return {
+      getName,
+      isHoliday: (dateISO) => getName(dateISO) !== null,
+      getClosedName: (dateISO) => (closed[dateISO] !== undefined ? (closed[dateISO] || '休業日') : null),
+      isClosed: (dateISO) => closed[dateISO] !== undefined
+    };
+  }
+
+  return {
+    getHolidays,
+    createHolidayCalendar,
+    vernalEquinoxDay,
+    autumnalEquinoxDay
+  };
+});
@@ -0,0 +1,821 @@
+// UI text bundles and locale-aware formatting (日本語 / English).
+// Works as a plain <script> (exposes `window.I18n`) and as a CommonJS module.
+//
+// - Messages use `{name}` placeholders: t('fare.line', { label, count, ... })
+// - Keys missing from a bundle fall back to Japanese, then to the key itself
+// - pricing.js / contact.js return Japanese messages plus `{ code, params }`; message(code, params, text)
+//   shows `text` as-is in Japanese and the `msg.<code>` bundle entry in other languages
+// - Plan / rental / item names come from the catalog's `displayNames`:
+//   { en: { plans: { 午前アジ: 'Morning horse mackerel' }, rentals: {...}, items: {...} } }
+// The reservation mail to the shop is always written with the Japanese translator.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.I18n = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const DEFAULT_LOCALE = 'ja';
+  const STORAGE_KEY = 'boatFee.locale.v1';
+  const LOCALE_NAMES = { ja: '日本語', en: 'English' };
+
+  const BUNDLES = {
+    ja: {
+      'app.title': '釣り船 料金計算 & 予約メール',
+      'lang.label': 'Language / 言語',
+
+      'form.title': '予約情報',
+      'form.tripType': '釣り船の種類',
+      'form.plan': 'プラン',
+      'form.date': '日付',
+      'form.people': '人数',
+      'form.rentals': 'レンタル品',
+      'form.items': '購入品',
+      'form.itemsNote': '※ 枚数・個数により値段が前後します。目安としてお考えください。個数を選ぶと予約メールでご注文できます（当日お支払い）。',
+      'form.coupon': 'クーポンコード',
+      'coupon.applied': 'クーポン「{code}」を適用しました',
+      'coupon.unknown': 'クーポン「{code}」は見つかりません',
+      'coupon.notApplicable': 'クーポン「{code}」はこの予約内容ではご利用いただけません',
+      'tripType.乗合船': '乗合船',
+      'tripType.仕立て船': '仕立て船',
+      'tripType.option.乗合船': '乗合船',
+      'tripType.option.仕立て船': '仕立て船（貸切船）',
+      'people.men': '男性',
+      'people.women': '女性',
+      'people.student': '子供',
+      'price.men': '男性：{price}',
+      'price.women': '女性：{price}',
+      'price.student': '子供（高校生以下）：{price}',
+      'plan.notRunning': '{plan}（運航なし）',
+      'plan.full': '{plan}（満席）',
+      'seats.remaining': '空席：残り{remaining}席（定員{capacity}名）',
+      'seats.full': '満席です（定員{capacity}名）',
+      'seats.boatTaken': 'この日は船が別の予約（乗合船または仕立て船の貸切）で埋まっているため予約できません',
+      'seats.suggestDates': '同じプランで空きのある日：',
+      'seats.suggestPlans': '同じ日で空きのあるプラン：',
+      'seats.noSuggestions': '近い日程に空きが見つかりません。お電話でお問い合わせください。',
+      'split.toggle': '割り勘（お一人ずつの金額）を表示する',
+      'split.fareRule': '乗船料の分け方',
+      'split.fare.weighted': '乗合料金の比率で',
+      'split.fare.equal': '全員で均等に',
+      'split.rentalRule': 'レンタル料金',
+      'split.rentals.renter': '借りた人が払う',
+      'split.rentals.shared': '全員で均等に',
+      'split.person': '{label}{n}',
+      'split.namePlaceholder': 'お名前（任意）',
+      'split.col.name': 'お名前',
+      'split.col.fare': '乗船料',
+      'split.col.rentals': 'レンタル',
+      'split.col.tax': '消費税',
+      'split.col.total': 'お支払い',
+      'split.col.refund': '返却時返金',
+      'split.sum': '合計',
+      'split.noPeople': '人数を選ぶとお一人ずつの金額を表示します。',
+      'split.inquiry': '仕立て料金は要問合せのため、乗船料は含まれていません。',
+      'split.overAssigned': '{list}は借りる数より多く割り当てられています（多い分は含めていません）。',
+      'split.rule': '乗船料：{fare}／レンタル：{rentals}',
+      'split.line': '・{name}：{total}（{detail}）',
+      'split.detail.fare': '乗船料 {amount}',
+      'split.detail.rentals': 'レンタル {amount}',
+      'split.detail.tax': '消費税 {amount}',
+      'split.detail.refund': '返却時返金 {amount}',
+      'settle.toggle': '返却時の精算（スタッフ用）',
+      'settle.note': 'レンタル品の返却・紛失を記録すると、お返しする金額を計算します。紛失した品の返却時返金はありません。',
+      'settle.allReturned': 'すべて返却済みにする',
+      'settle.clear': '記録をクリア',
+      'settle.col.name': 'レンタル品',
+      'settle.col.qty': '貸出数',
+      'settle.col.unitRefund': '返金単価',
+      'settle.col.returned': '返却',
+      'settle.col.lost': '紛失',
+      'settle.col.refund': '返金額',
+      'settle.paid': '当日お支払い',
+      'settle.refund': '返金額',
+      'settle.forfeited': '紛失のため返金なし',
+      'settle.pending': '未記録分の返金',
+      'settle.net': '最終負担額',
+      'settle.incomplete': '返却・紛失が未記録のレンタル品があります（未記録分は返金額に含めていません）。',
+      'cancel.toggle': 'キャンセル料を計算する',
+      'cancel.date': 'キャンセルする日',
+      'cancel.weather': '荒天など船長判断による出船中止',
+      'cancel.policyTitle': 'キャンセル規定（{tripType}）',
+      'cancel.free': '・{day}まで：無料',
+      'cancel.noFee': '・キャンセル料はかかりません',
+      'cancel.tier': '・{range}：乗船料の{percent}%',
+      'cancel.range': '{from}〜{to}',
+      'cancel.day.0': '当日',
+      'cancel.day.1': '前日',
+      'cancel.day.n': '{n}日前',
+      'cancel.weatherExempt': '・荒天など船長判断で出船中止の場合：無料',
+      'cancel.basis': '・乗船料は割引後の金額です。レンタル料金はかかりません',
+      'cancel.noDate': 'キャンセルする日を選んでください。',
+      'cancel.when': '{day}のキャンセル',
+      'cancel.afterDeparture': '（乗船日を過ぎているため当日扱い）',
+      'cancel.fee': 'キャンセル料：{amount}（乗船料 {base}の{percent}%）',
+      'cancel.feeFree': 'キャンセル料：無料',
+      'cancel.exempt': 'キャンセル料：無料（出船中止のため）',
+      'cancel.refund': '事前にお支払い済み（{paid}）の場合の返金額：{amount}',
+      'cancel.inquiry': '仕立て料金が要問合せのため、キャンセル料は計算できません。',
+      'cancel.summary.free': '{day}まで無料',
+      'cancel.summary.noFee': 'キャンセル料なし',
+      'cancel.summary.tier': '{range} {percent}%',
+      'cancel.summary.weather': '（荒天など出船中止は無料）',
+      'deposit.payable': '当日お支払い：{amount}',
+      'deposit.refund': '返却時返金：{amount}（レンタル品をすべて返却した場合）',
+      'deposit.net': '実質負担額：{amount}',
+      'deposit.fixedPayable': '当日お支払い：{total}',
+      'deposit.fixed': '返却時返金 {refund} ／ 実質 {net}',
+      'plan.times': '集合 {meet} / 出船 {depart}',
+      'plan.relayTimes': '（リレー：{list}）',
+      'plan.relayDepart': '{plan} {depart}出船',
+      'difficulty.初心者': '初心者向け：釣り初心者の方でも安心して楽しんでいただけます',
+      'difficulty.中級者': '中級者向け：船釣りの経験がある方がおすすめです',
+      'difficulty.上級者': '上級者向け：熟練の方におすすめの釣り物です',
+      'items.none': 'このプランには対応する仕掛けはありません',
+      'items.entry': '{name}：{note}',
+      'items.range': '{min}〜{max}',
+      'items.qty': '{name}×{qty}',
+      'rental.price': '{name}：{price}',
+      'rental.reduced': '（{max}点に減らしました）',
+      'rental.refund': '（返却時返金：{amount}）',
+
+      'contact.title': 'お客様情報',
+      'contact.name': '代表者名',
+      'contact.kana': 'フリガナ',
+      'contact.phone': '電話番号',
+      'contact.email': 'メール',
+      'contact.request': 'ご要望',
+      'contact.required': '必須',
+      'contact.optional': '任意',
+
+      'action.mail': '予約メールを作成',
+      'action.reset': 'リセット',
+      'action.copyLink': '見積りリンクをコピー',
+      'action.linkCopied': 'リンクをコピーしました',
+      'action.estimate': '見積書を表示・印刷',
+
+      'summary.title': '予約内容',
+      'summary.empty': '— 選択内容を入力してください —',
+      'summary.plan': 'プラン：{plan}',
+      'summary.date': '日付：{date}',
+      'summary.fares': '料金内訳：',
+      'summary.rentals': 'レンタル：',
+      'summary.noRentals': 'レンタル：なし',
+      'summary.rentalLine': '・{name} × {qty} = {amount}',
+      'summary.refunds': '※返却時に返金のあるレンタル：',
+      'summary.total': '合計金額：{total}',
+      'summary.fixedTotal': '合計：{total}',
+      'summary.totalRegion': '合計金額',
+      'date.unselected': '未選択',
+
+      'fare.charterInquiry': '・仕立て料金：要問合せ（{reason}）',
+      'fare.tier': '・適用料金：{tier}（{reason}）',
+      'fare.minimum': '・最低料金：{count}名分 = {amount}{basis}',
+      'fare.minimumBasis': '（{perHead} × {count}名）',
+      'fare.shortage': '・不足分：{count}名分は最低料金により加算されています（実人数が最低人数に満たないため）',
+      'fare.extra': '・超過分：{count}名分の追加料金 = {amount}',
+      'fare.included': '・最低料金に含む人数：{list}',
+      'fare.includedAll': '{count}名',
+      'fare.extraPolicy': '・追加料金の数え方：{policy}',
+      'fare.extraLine': '　・{label} {count}名 × {unitPrice} = {amount}',
+      'fare.extraFlat': '追加',
+      'extraPolicy.expensiveFirst': '乗合料金の高い区分から追加人数に数えます',
+      'extraPolicy.cheapestFirst': '乗合料金の安い区分から追加人数に数えます',
+      'extraPolicy.proportional': '区分ごとの人数比で按分します',
+      'extraPolicy.flat': '区分によらず一律の追加料金です',
+      'fare.line': '・{label} {count}名 × {unitPrice} = {amount}',
+      'fare.relay': '・リレーの内訳：',
+      'fare.relayLeg': '　・{index}区間目 {plan}{source}：{amount}',
+      'fare.relaySource': '（{name}）',
+      'refund.line': '・{name}：{unitRefund} × {qty} = {amount}',
+      'summary.discounts': '割引：',
+      'discount.line': '・{label}：−{amount}',
+      'discount.capped': '（割引上限を適用）',
+      'summary.items': '購入品（当日お支払い・目安）：',
+      'items.line': '・{name} × {qty} = {range}',
+      'items.estimate': '購入品の目安：{range}（合計金額には含まれません）',
+      'tier.weekday': '平日料金',
+      'tier.saturday': '土曜料金',
+      'tier.sunday': '日曜料金',
+      'tier.holiday': '祝日料金',
+
+      'total.inquiry': '要問合せ',
+      'total.inquiryWithRentals': '要問合せ（レンタル {amount} ＋ 仕立て料金）',
+      'total.amount': '{amount}（税込）',
+      'tax.inclusive': '税込',
+      'tax.exclusive': '税抜',
+      'tax.line': '・{rate}対象 {amount}（{basis}） 消費税 {tax}',
+      'tax.nonTaxable': '・対象外（返却時返金の預り金） {amount}',
+      'tax.rounding': '・消費税は税率ごとに計算し、1円未満{rounding}',
+      'tax.excludingCharter': '（仕立て料金を除く）',
+      'tax.registration': '・登録番号：{number}',
+      'tax.rounding.floor': '切り捨て',
+      'tax.rounding.round': '四捨五入',
+      'tax.rounding.ceil': '切り上げ',
+
+      'history.title': '履歴',
+      'history.empty': '送信した予約依頼はまだありません',
+      'history.party': '男性{men}・女性{women}・子供{student}名',
+      'history.sent': '{date} 送信',
+      'history.number': '見積番号 {number}',
+      'history.open': '開く',
+      'history.duplicate': '別の日付で複製',
+      'history.delete': '削除',
+      'history.confirmDelete': 'この履歴を削除しますか？',
+      'history.promptDate': '複製先の日付を入力してください（YYYY-MM-DD）',
+      'history.invalidDate': '日付は YYYY-MM-DD 形式で入力してください。',
+
+      'notice.link': 'リンクの一部を復元できませんでした：',
+      'notice.draft': '前回の入力内容の一部を復元できませんでした：',
+      'notice.history': '履歴から復元しました：',
+      'notice.planMissing': 'プラン「{plan}」は{tripType}にありません',
+      'notice.rentalMissing': 'レンタル「{name}」は{plan}では選べません',
+      'notice.itemMissing': '購入品「{name}」は{plan}では選べません',
+      'notice.planRentalsDropped': '{plan}で選んでいたレンタル（{list}）は引き継いでいません',
+      'notice.planItemsDropped': '{plan}で選んでいた購入品（{list}）は引き継いでいません',
+      'notice.newDatePrice': '新しい日付の料金は {now} です（送信時 {sent}）',
+      'notice.priceChanged': '料金が変更されています：送信時 {sent} → 現在 {now}',
+      'prompt.copyLink': 'このリンクをコピーしてください',
+      'alert.unavailable': '{warnings}\n日付またはプランを変更してください。',
+      'cart.title': 'カート（まとめて予約）',
+      'cart.add': 'カートに追加',
+      'cart.update': 'カートの内容を更新',
+      'cart.empty': '複数の便をまとめて予約するときは、1便ずつ「カートに追加」してください。',
+      'cart.index': '{index}件目',
+      'cart.editing': '編集中（「カートの内容を更新」で反映）',
+      'cart.edit': '編集',
+      'cart.cancelEdit': '編集をやめる',
+      'cart.remove': '削除',
+      'cart.clear': 'カートを空にする',
+      'cart.confirmClear': 'カートのすべての便を削除しますか？',
+      'cart.total': '合計（{count}件）：{total}',
+      'cart.totalWithInquiry': '{amount} ＋ 要問合せの仕立て料金',
+      'cart.note': '予約メールはカートのすべての便をまとめて作成します。',
+      'cart.tripProblem': '{index}件目：{warnings}',
+      'alert.cartUnavailable': '{problems}\nカートの便を編集するか削除してください。',
+      'alert.cartNoPeople': '人数を選んでからカートに追加してください。',
+      'notice.cart': 'カートの便の一部を復元できませんでした：',
+      'alert.seats': '{warnings}\n人数分の空席がないため予約依頼を作成できません。空きのある日付・プランをお選びください。',
+
+      'catalog.unavailable': '料金データを読み込めないため、見積りを表示できません。',
+      'catalog.failed': '— 料金データを読み込めませんでした —',
+
+      'preview.title': 'メール内容の確認',
+      'preview.to': '宛先：',
+      'preview.subject': '件名：',
+      'preview.note': '',
+      'preview.send': 'メールアプリで開く',
+      'preview.back': '戻って修正',
+      'preview.copy': 'テキストをコピー',
+      'preview.share': 'LINE・SMSで送る',
+      'preview.ics': 'カレンダーに追加（.ics）',
+      'delivery.tooLong': '本文が長いため、内容をコピーしました。開いたメールの本文に貼り付けて送信してください（宛先：{to}）。',
+      'delivery.copyFailed': '自動でコピーできませんでした。上の本文を選択してコピーしてください。',
+      'delivery.copied': '予約内容をコピーしました。',
+      'delivery.shared': '予約内容を共有しました。',
+      'delivery.shareFailed': '共有できなかったため内容をコピーしました。LINE・SMSに貼り付けて送信してください。',
+      'delivery.copiedForShare': '予約内容をコピーしました。LINE・SMSに貼り付けて送信してください。',
+      'delivery.icsSaved': 'カレンダー用ファイル（.ics）をダウンロードしました。',
+      'delivery.icsSummary': '釣り船 {tripType} {plan}',
+      'delivery.icsPlan': 'プラン：{tripType} {plan}',
+      'delivery.icsTotal': '合計：{total}',
+
+      'estimate.print': '印刷・PDFで保存',
+      'estimate.close': '閉じる',
+      'estimate.title': '御見積書',
+      'estimate.customer': '{name} 様',
+      'estimate.lead': '下記の通りお見積り申し上げます。',
+      'estimate.number': '見積番号：{number}',
+      'estimate.issueDate': '発行日：{date}',
+      'estimate.validUntil': '有効期限：{date}',
+      'estimate.phone': 'TEL {phone}',
+      'estimate.registration': '登録番号：{number}',
+      'estimate.amount': 'お見積金額',
+      'estimate.subject': '件名：{title}',
+      'estimate.tripDate': '釣行日：{date}',
+      'estimate.times': '（集合 {meet}／出船 {depart}）',
+      'estimate.people': '人数：{total}名{detail}',
+      'estimate.peopleEntry': '{label}{count}名',
+      'estimate.peopleDetail': '（{list}）',
+      'list.separator': '・',
+      'estimate.col.item': '品目',
+      'estimate.col.qty': '数量',
+      'estimate.col.unitPrice': '単価',
+      'estimate.col.amount': '金額',
+      'estimate.sum': '合計',
+      'estimate.taxTitle.rate': '税率区分',
+      'estimate.taxTitle.amount': '対象額（{basis}）',
+      'estimate.taxTitle.tax': '消費税額',
+      'estimate.taxRow': '{rate}対象',
+      'estimate.taxNonTaxable': '対象外（預り金）',
+      'estimate.taxNote': '消費税は税率ごとに合計して計算し、1円未満{rounding}です。',
+      'estimate.refundTitle': '返却時の返金（保証金）',
+      'estimate.row.fare': '乗船料（{label}）',
+      'estimate.row.charter': '仕立て料金',
+      'estimate.row.charterTier': '仕立て料金（{tier}）',
+      'estimate.row.minimumPerHead': '最低料金 {perHead} × {count}名',
+      'estimate.row.minimumUpTo': '最低料金 {count}名まで',
+      'estimate.row.shortage': '／実人数不足 {count}名分を含む',
+      'estimate.row.extra': '追加人数',
+      'estimate.row.extraCategory': '追加人数（{label}）',
+      'estimate.row.extraDetail': '最低人数 {count}名を超えた分',
+      'estimate.row.included': '／{list}を含む',
+      'estimate.row.relay': '{list}',
+      'estimate.row.relayLeg': '{plan} {amount}',
+      'estimate.row.rental': 'レンタル：{name}',
+      'estimate.row.rentalRefund': '返却時 {amount}返金',
+      'estimate.row.refund': '{name} 返却時返金',
+      'estimate.row.discount': '割引：{label}',
+      'estimate.unit.set': '式',
+      'estimate.unit.person': '名',
+      'estimate.unit.item': '点',
+      'estimate.note.inquiry': '仕立て料金は要問合せのため、合計には含まれていません。',
+      'estimate.note.refund': '返却時返金はご乗船当日、レンタル品の返却時にお返しします。合計金額は返金前の金額です。',
+      'estimate.note.items': '仕掛け等の購入品は含まれていません。',
+      'estimate.note.itemsOrdered': 'ご注文の購入品（{list}）は目安 {range} です。合計には含まれず、当日お支払いいただきます。'
+    },
+
+    en: {
+      'app.title': 'Fishing Boat Fare Calculator & Reservation',
+      'lang.label': 'Language / 言語',
+
+      'form.title': 'Reservation',
+      'form.tripType': 'Boat type',
+      'form.plan': 'Plan',
+      'form.date': 'Date',
+      'form.people': 'Number of people',
+      'form.rentals': 'Rental gear',
+      'form.items': 'Tackle to buy on board',
+      'form.itemsNote': '* Prices vary with the amount you use. Please treat them as a guide. Choose a quantity to pre-order with your booking mail (paid on the day).',
+      'form.coupon': 'Coupon code',
+      'coupon.applied': 'Coupon "{code}" applied',
+      'coupon.unknown': 'Coupon "{code}" was not found',
+      'coupon.notApplicable': 'Coupon "{code}" cannot be used for this booking',
+      'tripType.乗合船': 'Shared boat',
+      'tripType.仕立て船': 'Charter boat',
+      'tripType.option.乗合船': 'Shared boat',
+      'tripType.option.仕立て船': 'Charter boat (private)',
+      'people.men': 'Men',
+      'people.women': 'Women',
+      'people.student': 'Children',
+      'price.men': 'Men: {price}',
+      'price.women': 'Women: {price}',
+      'price.student': 'Children (high school or younger): {price}',
+      'plan.notRunning': '{plan} (not running)',
+      'plan.full': '{plan} (fully booked)',
+      'seats.remaining': 'Seats left: {remaining} (capacity {capacity})',
+      'seats.full': 'Fully booked (capacity {capacity})',
+      'seats.boatTaken': 'The boat is already booked as a shared or charter trip (a charter takes the whole boat)',
+      'seats.suggestDates': 'Dates with space on this plan:',
+      'seats.suggestPlans': 'Plans with space on this date:',
+      'seats.noSuggestions': 'No space found on nearby dates. Please call us.',
+      'split.toggle': 'Split the bill (show what each person pays)',
+      'split.fareRule': 'Split the fare',
+      'split.fare.weighted': 'In proportion to the regular fares',
+      'split.fare.equal': 'Equally among everyone',
+      'split.rentalRule': 'Rentals',
+      'split.rentals.renter': 'Paid by the person renting',
+      'split.rentals.shared': 'Equally among everyone',
+      'split.person': '{label} {n}',
+      'split.namePlaceholder': 'Name (optional)',
+      'split.col.name': 'Name',
+      'split.col.fare': 'Fare',
+      'split.col.rentals': 'Rentals',
+      'split.col.tax': 'Tax',
+      'split.col.total': 'To pay',
+      'split.col.refund': 'Refund on return',
+      'split.sum': 'Total',
+      'split.noPeople': 'Select the number of people to see what each person pays.',
+      'split.inquiry': 'The charter price is on request, so fares are not included.',
+      'split.overAssigned': 'More {list} assigned than rented (the extra is not counted).',
+      'split.rule': 'Fare: {fare} / Rentals: {rentals}',
+      'split.line': '- {name}: {total} ({detail})',
+      'split.detail.fare': 'fare {amount}',
+      'split.detail.rentals': 'rentals {amount}',
+      'split.detail.tax': 'tax {amount}',
+      'split.detail.refund': 'refund on return {amount}',
+      'settle.toggle': 'Settlement on return (staff)',
+      'settle.note': 'Mark the rental gear as returned or lost to work out the refund. Lost items are not refunded.',
+      'settle.allReturned': 'Mark all as returned',
+      'settle.clear': 'Clear marks',
+      'settle.col.name': 'Rental',
+      'settle.col.qty': 'Rented',
+      'settle.col.unitRefund': 'Refund each',
+      'settle.col.returned': 'Returned',
+      'settle.col.lost': 'Lost',
+      'settle.col.refund': 'Refund',
+      'settle.paid': 'Paid on the day',
+      'settle.refund': 'Refund',
+      'settle.forfeited': 'Not refunded (lost)',
+      'settle.pending': 'Refund for unmarked items',
+      'settle.net': 'Final cost',
+      'settle.incomplete': 'Some rental gear is not marked yet (unmarked items are not included in the refund).',
+      'cancel.toggle': 'Calculate the cancellation fee',
+      'cancel.date': 'Cancellation date',
+      'cancel.weather': 'Trip called off by the captain (weather etc.)',
+      'cancel.policyTitle': 'Cancellation policy ({tripType})',
+      'cancel.free': '• Until {day}: free',
+      'cancel.noFee': '• No cancellation fee',
+      'cancel.tier': '• {range}: {percent}% of the fare',
+      'cancel.range': '{from} to {to}',
+      'cancel.day.0': 'the day of departure',
+      'cancel.day.1': 'the day before',
+      'cancel.day.n': '{n} days before',
+      'cancel.weatherExempt': '• Trips called off by the captain (weather etc.): free',
+      'cancel.basis': '• The fare is after discounts. Rentals are not charged',
+      'cancel.noDate': 'Choose the cancellation date.',
+      'cancel.when': 'Cancelling {day}',
+      'cancel.afterDeparture': ' (past the departure date, counted as the day itself)',
+      'cancel.fee': 'Cancellation fee: {amount} ({percent}% of the fare {base})',
+      'cancel.feeFree': 'Cancellation fee: free',
+      'cancel.exempt': 'Cancellation fee: free (trip called off)',
+      'cancel.refund': 'Refund when paid in advance ({paid}): {amount}',
+      'cancel.inquiry': 'The charter fare is quoted on request, so the fee cannot be calculated.',
+      'cancel.summary.free': 'free until {day}',
+      'cancel.summary.noFee': 'no cancellation fee',
+      'cancel.summary.tier': '{range} {percent}%',
+      'cancel.summary.weather': ' (free when called off for the weather)',
+      'deposit.payable': 'Paid on the day: {amount}',
+      'deposit.refund': 'Refunded on return: {amount} (when all rental gear is returned)',
+      'deposit.net': 'Net cost: {amount}',
+      'deposit.fixedPayable': 'Pay on the day: {total}',
+      'deposit.fixed': 'Refund on return {refund} / net {net}',
+      'plan.times': 'Meet {meet} / Depart {depart}',
+      'plan.relayTimes': ' (relay: {list})',
+      'plan.relayDepart': '{plan} departs {depart}',
+      'difficulty.初心者': 'For beginners: easy to enjoy even if you have never fished before',
+      'difficulty.中級者': 'Intermediate: recommended if you have some boat fishing experience',
+      'difficulty.上級者': 'Advanced: recommended for experienced anglers',
+      'items.none': 'No tackle is needed for this plan',
+      'items.entry': '{name}: {note}',
+      'items.range': '{min}–{max}',
+      'items.qty': '{name} × {qty}',
+      'rental.price': '{name}: {price}',
+      'rental.reduced': ' (reduced to {max})',
+      'rental.refund': '(refunded on return: {amount})',
+
+      'contact.title': 'Your details',
+      'contact.name': 'Name (group leader)',
+      'contact.kana': 'Name in katakana',
+      'contact.phone': 'Phone',
+      'contact.email': 'Email',
+      'contact.request': 'Requests',
+      'contact.required': 'Required',
+      'contact.optional': 'Optional',
+
+      'action.mail': 'Create reservation email',
+      'action.reset': 'Reset',
+      'action.copyLink': 'Copy quote link',
+      'action.linkCopied': 'Link copied',
+      'action.estimate': 'View / print estimate',
+
+      'summary.title': 'Summary',
+      'summary.empty': '— Please fill in the form —',
+      'summary.plan': 'Plan: {plan}',
+      'summary.date': 'Date: {date}',
+      'summary.fares': 'Fares:',
+      'summary.rentals': 'Rentals:',
+      'summary.noRentals': 'Rentals: none',
+      'summary.rentalLine': '• {name} × {qty} = {amount}',
+      'summary.refunds': '* Rentals partly refunded on return:',
+      'summary.total': 'Total: {total}',
+      'summary.fixedTotal': 'Total: {total}',
+      'summary.totalRegion': 'Total',
+      'date.unselected': 'Not selected',
+
+      'fare.charterInquiry': '• Charter fare: please ask us ({reason})',
+      'fare.tier': '• Rate: {tier} ({reason})',
+      'fare.minimum': '• Minimum charge for {count}: {amount}{basis}',
+      'fare.minimumBasis': ' ({perHead} × {count})',
+      'fare.shortage': '• {count} missing person(s) are charged by the minimum (your party is smaller than the minimum)',
+      'fare.extra': '• {count} additional person(s): {amount}',
+      'fare.included': '• Covered by the minimum charge: {list}',
+      'fare.includedAll': '{count} people',
+      'fare.extraPolicy': '• How additional people are charged: {policy}',
+      'fare.extraLine': '  – {label} {count} × {unitPrice} = {amount}',
+      'fare.extraFlat': 'Additional',
+      'extraPolicy.expensiveFirst': 'the categories with the highest shared-boat fare count first',
+      'extraPolicy.cheapestFirst': 'the categories with the lowest shared-boat fare count first',
+      'extraPolicy.proportional': 'split by the make-up of your party',
+      'extraPolicy.flat': 'one flat rate per person',
+      'fare.line': '• {label} {count} × {unitPrice} = {amount}',
+      'fare.relay': '• Relay legs:',
+      'fare.relayLeg': '  – Leg {index} {plan}{source}: {amount}',
+      'fare.relaySource': ' ({name})',
+      'refund.line': '• {name}: {unitRefund} × {qty} = {amount}',
+      'summary.discounts': 'Discounts:',
+      'discount.line': '• {label}: −{amount}',
+      'discount.capped': ' (discount limit applied)',
+      'summary.items': 'Tackle (paid on the day, estimate):',
+      'items.line': '• {name} × {qty} = {range}',
+      'items.estimate': 'Tackle estimate: {range} (not included in the total)',
+      'tier.weekday': 'Weekday rate',
+      'tier.saturday': 'Saturday rate',
+      'tier.sunday': 'Sunday rate',
+      'tier.holiday': 'Holiday rate',
+
+      'total.inquiry': 'Please ask us',
+      'total.inquiryWithRentals': 'Please ask us (rentals {amount} + charter fare)',
+      'total.amount': '{amount} (tax incl.)',
+      'tax.inclusive': 'tax incl.',
+      'tax.exclusive': 'tax excl.',
+      'tax.line': '• {rate} items {amount} ({basis}), consumption tax {tax}',
+      'tax.nonTaxable': '• Not taxable (deposit refunded on return) {amount}',
+      'tax.rounding': '• Tax is calculated per rate, fractions of a yen {rounding}',
+      'tax.excludingCharter': ' (charter fare not included)',
+      'tax.registration': '• Invoice registration number: {number}',
+      'tax.rounding.floor': 'rounded down',
+      'tax.rounding.round': 'rounded',
+      'tax.rounding.ceil': 'rounded up',
+
+      'history.title': 'History',
+      'history.empty': 'No reservation requests sent yet',
+      'history.party': 'Men {men}, women {women}, children {student}',
+      'history.sent': 'sent {date}',
+      'history.number': 'estimate no. {number}',
+      'history.open': 'Open',
+      'history.duplicate': 'Copy to another date',
+      'history.delete': 'Delete',
+      'history.confirmDelete': 'Delete this entry?',
+      'history.promptDate': 'Enter the new date (YYYY-MM-DD)',
+      'history.invalidDate': 'Please enter the date as YYYY-MM-DD.',
+
+      'notice.link': 'Some parts of the link could not be restored:',
+      'notice.draft': 'Some parts of your previous input could not be restored:',
+      'notice.history': 'Restored from history:',
+      'notice.planMissing': 'The plan "{plan}" is not available for {tripType}',
+      'notice.rentalMissing': 'The rental "{name}" is not offered for {plan}',
+      'notice.itemMissing': 'The tackle "{name}" is not sold for {plan}',
+      'notice.planRentalsDropped': 'The rentals chosen for {plan} ({list}) were not carried over',
+      'notice.planItemsDropped': 'The tackle chosen for {plan} ({list}) was not carried over',
+      'notice.newDatePrice': 'The price on the new date is {now} (was {sent} when sent)',
+      'notice.priceChanged': 'The price has changed: {sent} when sent → {now} now',
+      'prompt.copyLink': 'Copy this link',
+      'alert.unavailable': '{warnings}\nPlease choose another date or plan.',
+      'cart.title': 'Cart (book several trips)',
+      'cart.add': 'Add to cart',
+      'cart.update': 'Update cart item',
+      'cart.empty': 'To book several trips at once, add them to the cart one by one.',
+      'cart.index': 'Trip {index}',
+      'cart.editing': 'editing (press "Update cart item" to save)',
+      'cart.edit': 'Edit',
+      'cart.cancelEdit': 'Stop editing',
+      'cart.remove': 'Remove',
+      'cart.clear': 'Empty the cart',
+      'cart.confirmClear': 'Remove all trips from the cart?',
+      'cart.total': 'Total ({count} trips): {total}',
+      'cart.totalWithInquiry': '{amount} + charter fare on request',
+      'cart.note': 'The reservation email covers every trip in the cart.',
+      'cart.tripProblem': 'Trip {index}: {warnings}',
+      'alert.cartUnavailable': '{problems}\nPlease edit or remove these trips.',
+      'alert.cartNoPeople': 'Please select the number of people before adding to the cart.',
+      'notice.cart': 'Some parts of the cart item could not be restored:',
+      'alert.seats': '{warnings}\nThere are not enough seats for your party. Please choose a date or plan with space.',
+
+      'catalog.unavailable': 'The price list could not be loaded, so no quote can be shown.',
+      'catalog.failed': '— The price list could not be loaded —',
+
+      'preview.title': 'Check your email',
+      'preview.to': 'To: ',
+      'preview.subject': 'Subject: ',
+      'preview.note': 'The email is written in Japanese so the shop can handle it quickly.',
+      'preview.send': 'Open in mail app',
+      'preview.back': 'Back',
+      'preview.copy': 'Copy text',
+      'preview.share': 'Send via LINE / SMS',
+      'preview.ics': 'Add to calendar (.ics)',
+      'delivery.tooLong': 'The message is too long for the mail app, so it was copied. Paste it into the email that opens (to: {to}).',
+      'delivery.copyFailed': 'Could not copy automatically. Please select the text above and copy it.',
+      'delivery.copied': 'Copied.',
+      'delivery.shared': 'Shared.',
+      'delivery.shareFailed': 'Sharing failed, so the text was copied. Paste it into LINE or SMS.',
+      'delivery.copiedForShare': 'Copied. Paste it into LINE or SMS.',
+      'delivery.icsSaved': 'Calendar file (.ics) downloaded.',
+      'delivery.icsSummary': 'Fishing boat: {tripType} {plan}',
+      'delivery.icsPlan': 'Plan: {tripType} {plan}',
+      'delivery.icsTotal': 'Total: {total}',
+
+      'estimate.print': 'Print / save as PDF',
+      'estimate.close': 'Close',
+      'estimate.title': 'ESTIMATE',
+      'estimate.customer': 'To: {name}',
+      'estimate.lead': 'We are pleased to submit the following estimate.',
+      'estimate.number': 'Estimate no.: {number}',
+      'estimate.issueDate': 'Issued: {date}',
+      'estimate.validUntil': 'Valid until: {date}',
+      'estimate.phone': 'Tel. {phone}',
+      'estimate.registration': 'Registration no.: {number}',
+      'estimate.amount': 'Estimated total',
+      'estimate.subject': 'Subject: {title}',
+      'estimate.tripDate': 'Fishing date: {date}',
+      'estimate.times': ' (meet {meet} / depart {depart})',
+      'estimate.people': 'People: {total}{detail}',
+      'estimate.peopleEntry': '{label} {count}',
+      'estimate.peopleDetail': ' ({list})',
+      'list.separator': ', ',
+      'estimate.col.item': 'Item',
+      'estimate.col.qty': 'Qty',
+      'estimate.col.unitPrice': 'Unit price',
+      'estimate.col.amount': 'Amount',
+      'estimate.sum': 'Total',
+      'estimate.taxTitle.rate': 'Tax rate',
+      'estimate.taxTitle.amount': 'Amount ({basis})',
+      'estimate.taxTitle.tax': 'Consumption tax',
+      'estimate.taxRow': '{rate} items',
+      'estimate.taxNonTaxable': 'Not taxable (deposit)',
+      'estimate.taxNote': 'Consumption tax is calculated on the total for each rate, fractions of a yen {rounding}.',
+      'estimate.refundTitle': 'Refunded on return (deposit)',
+      'estimate.row.fare': 'Boarding fare ({label})',
+      'estimate.row.charter': 'Charter fare',
+      'estimate.row.charterTier': 'Charter fare ({tier})',
+      'estimate.row.minimumPerHead': 'Minimum charge {perHead} × {count}',
+      'estimate.row.minimumUpTo': 'Minimum charge, up to {count} people',
+      'estimate.row.shortage': ' / includes {count} missing person(s)',
+      'estimate.row.extra': 'Additional people',
+      'estimate.row.extraCategory': 'Additional people ({label})',
+      'estimate.row.extraDetail': 'Above the minimum of {count}',
+      'estimate.row.included': '; covers {list}',
+      'estimate.row.relay': '{list}',
+      'estimate.row.relayLeg': '{plan} {amount}',
+      'estimate.row.rental': 'Rental: {name}',
+      'estimate.row.rentalRefund': '{amount} refunded on return',
+      'estimate.row.refund': '{name} refund on return',
+      'estimate.row.discount': 'Discount: {label}',
+      'estimate.unit.set': '',
+      'estimate.unit.person': '',
+      'estimate.unit.item': '',
+      'estimate.note.inquiry': 'The charter fare is quoted on request and is not included in the total.',
+      'estimate.note.refund': 'Refunds are paid on the day when the rental gear is returned. The total is before refunds.',
+      'estimate.note.items': 'Tackle bought on board is not included.',
+      'estimate.note.itemsOrdered': 'The tackle you ordered ({list}) is estimated at {range}. It is not included in the total and is paid on the day.',
+
+      // pricing.js / contact.js messages by code
+      'msg.noDate': 'no date selected',
+      'msg.weekday': 'weekday',
+      'msg.saturday': 'Saturday',
+      'msg.sunday': 'Sunday',
+      'msg.holiday': 'public holiday',
+      'msg.fridayHoliday': 'holiday on a Friday',
+      'msg.holidayFirst': 'first day of a long weekend',
+      'msg.holidayMiddle': 'middle of a long weekend',
+      'msg.holidayLast': 'last day of a long weekend',
+      'msg.holidayRate': 'public holiday',
+      'msg.noRates': 'no charter price list for this plan',
+      'msg.tierMissing': 'no {tier} set',
+      'msg.minMissing': 'no minimum charge set for the {tier}',
+      'msg.closed': 'The shop is closed on {date} ({name})',
+      'msg.excluded': '{plan} does not run on {date}',
+      'msg.outOfSeason': '{plan} is out of season (season: {periods})',
+      'msg.dayOfWeek': '{plan} does not run on {day} (runs on: {days})',
+      'msg.overCapacity': '{plan} takes up to {capacity} people ({people} cannot board)',
+      'msg.seatsFull': '{plan} is fully booked on {date}',
+      'msg.boatTaken': 'The boat for {plan} on {date} is already booked for the other boat type (a charter takes the whole boat)',
+      'msg.seatsShort': 'Only {remaining} seats are left on {plan} on {date} (not enough for {people})',
+      'msg.nameRequired': 'Please enter your name',
+      'msg.nameTooLong': 'Please keep the name within {max} characters',
+      'msg.kanaRequired': 'Please enter your name in katakana',
+      'msg.kanaInvalid': 'Please use full-width katakana, or leave this empty',
+      'msg.phoneRequired': 'Please enter a phone number',
+      'msg.phoneInvalid': 'Please enter a Japanese phone number (e.g. 090-1234-5678)',
+      'msg.emailInvalid': 'Please enter a valid email address',
+      'msg.requestTooLong': 'Please keep your requests within {max} characters',
+      'msg.peopleRequired': 'Please select at least one person',
+      'msg.rentalPerPerson': '{rental}: up to {perPerson} per person ({max} in total for a party of {people})',
+      'msg.rentalStock': 'Only {remaining} × {rental} left for this date',
+      'msg.rentalSoldOut': '{rental} is fully booked for this date',
+      'msg.rentalExclusive': '{rental} cannot be combined with {other}'
+    }
+  };
+
+  const INTL_LOCALES = { ja: 'ja-JP', en: 'en-US' };
+
+  function isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(BUNDLES, locale);
+  }
+
+  // Saved choice, then the browser language, then Japanese
+  function detectLocale(storage, languages) {
+    try {
+      const saved = storage && storage.getItem(STORAGE_KEY);
+      if (saved && isSupported(saved)) return saved;
+    } catch (e) {
+      // ignore
+    }
+    for (const lang of languages || []) {
+      const base = String(lang).toLowerCase().split('-')[0];
+      if (isSupported(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function saveLocale(storage, locale) {
+    try {
+      if (storage) storage.setItem(STORAGE_KEY, locale);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (m, key) => (params && params[key] !== undefined ? String(params[key]) : m));
+  }
+
+  // displayNames: catalog.displayNames ({ locale: { plans, rentals, items, discounts } })
+  function createTranslator(locale, displayNames) {
+    const lang = isSupported(locale) ? locale : DEFAULT_LOCALE;
+    const bundle = BUNDLES[lang];
+    const names = (displayNames && displayNames[lang]) || {};
+    const intl = INTL_LOCALES[lang];
+
+    function t(key, params) {
+      const text = bundle[key] !== undefined ? bundle[key] : BUNDLES[DEFAULT_LOCALE][key];
+      return text === undefined ? key : interpolate(text, params);
+    }
+
+    function yen(amount) {
+      const n = Number(amount) || 0;
+      if (lang === 'ja') return n.toLocaleString('ja-JP') + '円';
+      return new Intl.NumberFormat(intl, { style: 'currency', currency: 'JPY' }).format(n);
+    }
+
+    function toDate(iso) {
+      const d = iso ? new Date(iso + 'T00:00:00') : null;
+      return d && !isNaN(d) ? d : null;
+    }
+
+    function weekday(iso) {
+      const d = toDate(iso);
+      if (!d) return '';
+      return new Intl.DateTimeFormat(intl, { weekday: 'short' }).format(d);
+    }
+
+    // '2026-05-02（土）' / 'Sat, May 2, 2026'
+    function date(iso) {
+      const d = toDate(iso);
+      if (!d) return iso ? String(iso) : t('date.unselected');
+      if (lang === 'ja') return `${iso}（${weekday(iso)}）`;
+      return new Intl.DateTimeFormat(intl, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }).format(d);
+    }
+
+    // '05-01' or '2026-05-01' -> '5月1日' / 'May 1'
+    function monthDay(value) {
+      const parts = String(value).split('-').map(Number);
+      const [m, d] = parts.slice(-2);
+      const withYear = parts.length === 3;
+      if (lang === 'ja') return (withYear ? parts[0] + '年' : '') + m + '月' + d + '日';
+      const opts = withYear ? { year: 'numeric', month: 'short', day: 'numeric' } : { month: 'short', day: 'numeric' };
+      return new Intl.DateTimeFormat(intl, opts).format(new Date(withYear ? parts[0] : 2000, m - 1, d));
+    }
+
+    function dayName(index) {
+      return new Intl.DateTimeFormat(intl, { weekday: 'long' }).format(new Date(2000, 0, 2 + index)); // 2000-01-02 is a Sunday
+    }
+
+    // Translated pricing / contact message; Japanese keeps the original text
+    function message(code, params, text) {
+      if (lang === 'ja' || !code || bundle['msg.' + code] === undefined) return text;
+      const p = Object.assign({}, params);
+      if (p.tier) p.tier = t('tier.' + p.tier).toLowerCase();
+      if (p.date) p.date = date(p.date);
+      if (p.plan) p.plan = name('plans', p.plan);
+      if (p.rental) p.rental = name('rentals', p.rental);
+      if (p.other) p.other = name('rentals', p.other);
+      if (p.periods) p.periods = p.periods.map(pr => `${monthDay(pr.from)}–${monthDay(pr.to)}`).join(', ');
+      if (p.day !== undefined) p.day = dayName(p.day);
+      if (p.days) p.days = p.days.map(dayName).join(', ');
+      return t('msg.' + code, p);
+    }
+
+    // kind: 'plans' | 'rentals' | 'items' | 'discounts'
+    function name(kind, value) {
+      const map = names[kind] || {};
+      return map[value] || value;
+    }
+
+    function tripType(value) {
+      return t('tripType.' + value);
+    }
+
+    return { locale: lang, t, yen, date, weekday, message, name, tripType };
+  }
+
+  // Static text in the page: data-i18n (textContent), data-i18n-placeholder, data-i18n-aria-label
+  function applyToDocument(doc, translator) {
+    doc.documentElement.lang = translator.locale;
+    for (const el of doc.querySelectorAll('[data-i18n]')) el.textContent = translator.t(el.getAttribute('data-i18n'));
+    for (const el of doc.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = translator.t(el.getAttribute('data-i18n-placeholder'));
+    for (const el of doc.querySelectorAll('[data-i18n-aria-label]')) el.setAttribute('aria-label', translator.t(el.getAttribute('data-i18n-aria-label')));
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    LOCALE_NAMES,
+    BUNDLES,
+    isSupported,
+    detectLocale,
+    saveLocale,
+    createTranslator,
+    applyToDocument
+  };
+});
@@ -0,0 +1,101 @@
+// Bookings per date: rental items and seats already taken.
+// Works as a plain <script> (exposes `window.Inventory`) and as a CommonJS module.
+//
+// inventory.json stands in for the shop's booking system:
+// {
+//   "reserved": { "YYYY-MM-DD": { "竿（電動リール）": 6 } },              // 予約済み・貸出予定のレンタル品の数
+//   "seats": { "YYYY-MM-DD": { "乗合船": { "午前アジ": 18 }, "仕立て船": {...} } }   // 予約済みの席数（optional）
+// }
+// The holding per item (`stock`) and the seats per plan (`capacity`) are in the catalog; pricing.js
+// subtracts the booked counts for the selected date. Without inventory data everything is free.
+//
+// Availability provider interface used by pricing.js (catalog.inventory):
+//   { reserved(date, rentalName) -> count, bookedSeats(date, tripType, plan) -> count }
+// bookedSeats is asked for both trip types of a plan: 乗合船 and 仕立て船 of the same plan use the same boat,
+// so any booking of one makes the other unavailable on that date (a charter takes the whole boat).
+// createInventory() is the local JSON implementation; a client for a real booking system only has
+// to answer the same two questions (synchronously, e.g. from data fetched for the month).
+(function (root, factory) {
+  const api = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Inventory = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function (root) {
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  // Returns a list of { path, message } (empty when the data is usable)
+  function validateInventory(raw) {
+    const errors = [];
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(raw) || !isObject(raw.reserved)) {
+      return [{ path: 'reserved', message: '{ "YYYY-MM-DD": { 名称: 数 } } で指定してください' }];
+    }
+    if (raw.seats !== undefined) {
+      if (!isObject(raw.seats)) {
+        errors.push({ path: 'seats', message: '{ "YYYY-MM-DD": { 乗合船: { プラン名: 席数 } } } で指定してください' });
+      } else {
+        for (const [date, types] of Object.entries(raw.seats)) {
+          if (!ISO_DATE.test(date)) errors.push({ path: `seats.${date}`, message: '日付は YYYY-MM-DD で指定してください' });
+          for (const [tripType, plans] of Object.entries(isObject(types) ? types : {})) {
+            for (const [plan, n] of Object.entries(isObject(plans) ? plans : {})) {
+              if (!Number.isInteger(n) || n < 0) errors.push({ path: `seats.${date}.${tripType}.${plan}`, message: '0以上の整数で指定してください' });
+            }
+          }
+        }
+      }
+    }
+    for (const [date, counts] of Object.entries(raw.reserved)) {
+      if (!ISO_DATE.test(date)) errors.push({ path: `reserved.${date}`, message: '日付は YYYY-MM-DD で指定してください' });
+      if (!isObject(counts)) {
+        errors.push({ path: `reserved.${date}`, message: '{ 名称: 数 } で指定してください' });
+        continue;
+      }
+      for (const [name, n] of Object.entries(counts)) {
+        if (!Number.isInteger(n) || n < 0) errors.push({ path: `reserved.${date}.${name}`, message: '0以上の整数で指定してください' });
+      }
+    }
+    return errors;
+  }
+
+  // Availability provider backed by inventory.json data (see the interface above)
+  function createInventory(raw) {
+    const reserved = (raw && raw.reserved) || {};
+    const seats = (raw && raw.seats) || {};
+    return {
+      reserved(date, name) {
+        const counts = reserved[date] || {};
+        return Number(counts[name]) || 0;
+      },
+      bookedSeats(date, tripType, plan) {
+        const plans = (seats[date] || {})[tripType] || {};
+        return Number(plans[plan]) || 0;
+      }
+    };
+  }
+
+  // Load inventory JSON from `url`. Resolves to { inventory, source: 'json' | null, errors, notices };
+  // inventory is null when the data cannot be used (nothing is booked on any date then).
+  async function loadInventory(options) {
+    const opts = options || {};
+    const fetchFn = opts.fetch || (typeof root.fetch === 'function' ? root.fetch.bind(root) : null);
+    if (!opts.url || !fetchFn) return { inventory: null, source: null, errors: [], notices: [] };
+    try {
+      const res = await fetchFn(opts.url, { cache: 'no-cache' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const raw = await res.json();
+      const errors = validateInventory(raw);
+      if (!errors.length) return { inventory: createInventory(raw), source: 'json', errors, notices: [] };
+      return { inventory: null, source: null, errors, notices: [`${opts.url} に不正な項目があります`] };
+    } catch (e) {
+      return { inventory: null, source: null, errors: [], notices: [`${opts.url} を読み込めませんでした（${e.message}）`] };
+    }
+  }
+
+  return {
+    validateInventory,
+    createInventory,
+    loadInventory
+  };
+});
@@ -0,0 +1,264 @@
+// Reservation mail templates with placeholders and conditional sections.
+// Works as a plain <script> (exposes `window.MailTemplate`) and as a CommonJS module.
+//
+// Syntax (a small subset of Mustache):
+//   {{name}}, {{people.total}}   placeholder (dotted paths allowed)
+//   {{#name}} ... {{/name}}      section: repeated for each item of a list, shown once for other truthy values
+//   {{^name}} ... {{/name}}      inverted section: shown when the value is empty / false / an empty list
+//   {{.}}                        the current list item
+// A line holding only a section tag is removed from the output.
+// Templates are { subject, body }; body may be a string or an array of lines (easier to edit in JSON).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.MailTemplate = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const TAG = /\{\{\s*([#^\/]?)\s*([\w.]+)\s*\}\}/g;
+  const STANDALONE = /^[ \t]*(\{\{\s*[#^\/][^}]*\}\})[ \t]*\r?\n/gm;
+
+  const CONTACT_LINES = [
+    '{{#contact}}',
+    '',
+    '【お客様情報】',
+    '代表者名：{{name}}',
+    'フリガナ：{{kana}}',
+    '電話番号：{{phone}}',
+    'メール：{{email}}',
+    'ご要望：{{request}}',
+    '{{/contact}}'
+  ];
+  // Default templates, used when the catalog does not define `mailTemplates`
+  const COMMON_LINES = [
+    '【人数】',
+    '男性：{{people.men}}名',
+    '女性：{{people.women}}名',
+    '子供：{{people.student}}名',
+    '合計：{{people.total}}名',
+    '',
+    'レンタル：',
+    '{{#rentals}}',
+    '  ・{{name}}×{{qty}}',
+    '{{/rentals}}',
+    '{{^rentals}}',
+    '  なし',
+    '{{/rentals}}',
+    '',
+    '{{#hasItems}}',
+    '購入品の注文（当日お支払い）：',
+    '{{#items}}',
+    '  ・{{name}}×{{qty}}（目安 {{range}}）',
+    '{{/items}}',
+    '  目安合計：{{itemRange}}（合計金額には含まれません）',
+    '',
+    '{{/hasItems}}',
+    '備考：',
+    '  仕掛けはレンタル扱いではありません（250〜500円／釣り物により変動）。実際の金額は当日ご案内します。',
+    '{{#hasRefunds}}',
+    '',
+    '※レンタル返却時に一部返金があるもの：',
+    '{{#refunds}}',
+    '  ・{{name}}：{{unitRefund}} × {{qty}} = {{amount}}',
+    '{{/refunds}}',
+    '{{/hasRefunds}}',
+    '{{#hasDiscounts}}',
+    '',
+    '割引：',
+    '{{#discounts}}',
+    '  {{text}}',
+    '{{/discounts}}',
+    '{{#coupon}}',
+    '  （クーポンコード：{{coupon}}）',
+    '{{/coupon}}',
+    '{{/hasDiscounts}}',
+    '{{#hasRelay}}',
+    '',
+    'リレーの内訳：',
+    '{{#relayLines}}',
+    '  {{text}}',
+    '{{/relayLines}}',
+    '{{/hasRelay}}',
+    '',
+    '合計金額：{{total}}',
+    '{{#taxLines}}',
+    '  {{text}}',
+    '{{/taxLines}}',
+    '{{#deposit}}',
+    '',
+    '当日お支払い：{{payable}}',
+    '返却時返金：{{refund}}（レンタル品をすべて返却した場合）',
+    '実質負担額：{{net}}',
+    '{{/deposit}}',
+    '{{#hasSplit}}',
+    '',
+    '【お一人ずつの金額（{{splitRule}}）】',
+    '{{#splitRows}}',
+    '  {{text}}',
+    '{{/splitRows}}',
+    '{{/hasSplit}}',
+    '{{#cancellation}}',
+    '',
+    'キャンセル規定：{{text}}',
+    '{{/cancellation}}'
+  ].concat(CONTACT_LINES);
+  const HEADER_LINES = [
+    '【予約内容】',
+    '見積番号：{{quoteNumber}}',
+    'プラン：{{tripType}} {{plan}}',
+    '',
+    '日付：{{dateText}}',
+    '{{#times}}',
+    '集合時間：{{meet}}、出船時間：{{depart}}',
+    '{{#relay}}',
+    'リレー：{{plan}} {{depart}}出船',
+    '{{/relay}}',
+    '{{/times}}'
+  ];
+  const DEFAULT_TEMPLATES = {
+    '乗合船': {
+      subject: '釣り船予約依頼（{{tripType}} {{plan}} {{dateText}}）',
+      body: HEADER_LINES.concat([''], COMMON_LINES)
+    },
+    '仕立て船': {
+      subject: '釣り船予約依頼（{{tripType}} {{plan}} {{dateText}}）',
+      body: HEADER_LINES.concat([
+        '{{#charter}}',
+        '料金区分：{{tierLabel}}（{{reason}}）',
+        '{{/charter}}',
+        ''
+      ], COMMON_LINES)
+    }
+  };
+
+  // Several trips in one request (cart.js): each trip's body is rendered with its trip type's
+  // template (without the contact section) and placed in {{#trips}}{{body}}{{/trips}}
+  const CART_TEMPLATE = {
+    subject: '釣り船予約依頼（{{count}}件：{{firstDate}}〜{{lastDate}}）',
+    body: [
+      '以下の{{count}}件の予約をまとめてお願いします。',
+      '',
+      '{{#trips}}',
+      '■ {{index}}件目',
+      '{{body}}',
+      '',
+      '{{/trips}}',
+      '【合計】',
+      '{{#trips}}',
+      '  {{index}}件目 {{dateText}} {{tripType}} {{plan}}：{{total}}',
+      '{{/trips}}',
+      '総合計：{{grandTotal}}',
+      '{{#hasCancellationPolicies}}',
+      '',
+      '{{/hasCancellationPolicies}}',
+      '{{#cancellationPolicies}}',
+      'キャンセル規定（{{tripType}}）：{{text}}',
+      '{{/cancellationPolicies}}'
+    ].concat(CONTACT_LINES)
+  };
+
+  function toText(body) {
+    return Array.isArray(body) ? body.join('\n') : String(body || '');
+  }
+
+  // Parse into a tree of text / var / section nodes. Throws on unbalanced sections.
+  function parse(source) {
+    const text = toText(source).replace(STANDALONE, '$1');
+    const rootNode = { children: [] };
+    const stack = [rootNode];
+    let last = 0;
+    let m;
+    TAG.lastIndex = 0;
+    while ((m = TAG.exec(text)) !== null) {
+      const top = stack[stack.length - 1];
+      if (m.index > last) top.children.push({ type: 'text', value: text.slice(last, m.index) });
+      last = TAG.lastIndex;
+      const [, kind, name] = m;
+      if (kind === '#' || kind === '^') {
+        const node = { type: 'section', inverted: kind === '^', name, children: [] };
+        top.children.push(node);
+        stack.push(node);
+      } else if (kind === '/') {
+        if (stack.length === 1 || top.name !== name) {
+          throw new Error(`{{/${name}}} に対応する開始タグがありません`);
+        }
+        stack.pop();
+      } else {
+        top.children.push({ type: 'var', name });
+      }
+    }
+    if (last < text.length) stack[stack.length - 1].children.push({ type: 'text', value: text.slice(last) });
+    if (stack.length > 1) throw new Error(`{{#${stack[stack.length - 1].name}}} が閉じられていません`);
+    return rootNode.children;
+  }
+
+  function lookup(stack, name) {
+    if (name === '.') return stack[stack.length - 1];
+    const path = name.split('.');
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const ctx = stack[i];
+      if (ctx === null || typeof ctx !== 'object' || !(path[0] in ctx)) continue;
+      let value = ctx;
+      for (const key of path) value = (value === null || value === undefined) ? undefined : value[key];
+      return value;
+    }
+    return undefined;
+  }
+
+  function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0);
+  }
+
+  function renderNodes(nodes, stack) {
+    let out = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'var') {
+        const value = lookup(stack, node.name);
+        out += (value === undefined || value === null) ? '' : String(value);
+      } else if (node.inverted) {
+        if (isEmpty(lookup(stack, node.name))) out += renderNodes(node.children, stack);
+      } else {
+        const value = lookup(stack, node.name);
+        if (isEmpty(value)) continue;
+        if (Array.isArray(value)) {
+          for (const item of value) out += renderNodes(node.children, stack.concat([item]));
+        } else {
+          out += renderNodes(node.children, typeof value === 'object' ? stack.concat([value]) : stack);
+        }
+      }
+    }
+    return out;
+  }
+
+  function render(source, context) {
+    return renderNodes(parse(source), [context || {}]);
+  }
+
+  // Template for a trip type: catalog.mailTemplates[tripType], then the defaults
+  function getTemplate(tripType, catalog) {
+    const custom = catalog && catalog.mailTemplates && catalog.mailTemplates[tripType];
+    return custom || DEFAULT_TEMPLATES[tripType] || DEFAULT_TEMPLATES['乗合船'];
+  }
+
+  // Returns a list of syntax error messages (empty when the template is usable)
+  function check(source) {
+    try {
+      parse(source);
+      return [];
+    } catch (e) {
+      return [e.message];
+    }
+  }
+
+  return {
+    DEFAULT_TEMPLATES,
+    CART_TEMPLATE,
+    parse,
+    render,
+    check,
+    getTemplate
+  };
+});
@@ -3,10 +3,24 @@
 // - Output: realtime total amount (number), formatted summary string, mailto link
 // - Error modes: missing date => still calculate; negative numbers prevented by input min=0
 
-// Plans and rental data are provided by `plans-data.js` and exposed on window.
-// This keeps data separate and makes it easy to replace with an external JSON later.
-const plans = window.plans || {};
-const commonRental = window.commonRental || {};
+// Plans and rental data are loaded from `catalog.json` (validated by catalog.js) on startup;
+// `plans-data.js` globals are used as a fallback when the JSON cannot be loaded.
+// All price calculation lives in `pricing.js` (window.Pricing); this file only handles the DOM.
+const CATALOG_URL = 'catalog.json';
+// Rental bookings per date standing in for the shop's stock system (inventory.js)
+const INVENTORY_URL = 'inventory.json';
+// Runtime catalog ({ plans, commonRental, contact, calendar }); set by init()
+let catalog = null;
+// Live preview inside the catalog editor (admin.html embeds index.html?preview and posts the edited catalog)
+const PREVIEW_MODE = window.parent !== window && /[?&]preview\b/.test(window.location.search);
+// Staff-only screen (index.html?staff, linked from admin.html): shows 返却時の精算 at the dock
+const STAFF_MODE = /[?&]staff\b/.test(window.location.search);
+// Draft auto-save and sent-request history (history-store.js); the preview keeps nothing
+const store = HistoryStore.createStore(PREVIEW_MODE ? null : HistoryStore.browserStorage());
+// UI language (i18n.js). The mail to the shop is always written in Japanese (mailI18n).
+let i18n = I18n.createTranslator(I18n.detectLocale(HistoryStore.browserStorage(), navigator.languages || [navigator.language]));
+let mailI18n = I18n.createTranslator('ja');
+const t = (key, params) => i18n.t(key, params);
 
 // --- Helper / state ---
 const state = {
@@ -17,7 +31,15 @@ const state = {
   women: 0,
   student: 0,
   rentals: {}, // {name: qty}
-  shikake: {} // {name: qty}
+  items: {}, // {name: qty} purchasable tackle, quoted as an estimate outside the total
+  coupon: '', // coupon code as typed (pricing.js discounts)
+  contact: Contact.emptyContact(), // {name, kana, phone, email, request}
+  split: emptySplit(), // 割り勘 (split.js): {enabled, fare, rentals, participants[{name, category, rentals}]}
+  cart: [], // trips requested together (cart.js): [{id, state}]
+  settle: emptySettle(), // 返却時の精算 (Pricing.settleDeposits, STAFF_MODE only): {enabled, marks: {rentalName: {returned, lost}}}; not saved in the draft
+  cancel: emptyCancel(), // キャンセル料の計算 (Pricing.computeCancellation): {enabled, date, weather}; not saved in the draft
+  estimate: null, // last 見積書 issued: {number, key}, key = the quote input it was issued for (quoteKey)
+  cartEditing: null // id of the cart item loaded into the form for editing
 };
 
 // DOM refs
@@ -29,14 +51,61 @@ const womenEl = document.getElementById('womenCount');
 const studentEl = document.getElementById('studentCount');
 const rentalListEl = document.getElementById('rentalList');
 const shikakeListEl = document.getElementById('shikakeList');
+const seatStatusEl = document.getElementById('seatStatus');
+const seatSuggestionsEl = document.getElementById('seatSuggestions');
 const breakdownEl = document.getElementById('breakdown');
 const fixedTotalAmountEl = document.getElementById('fixedTotalAmount');
+const fixedDepositEl = document.getElementById('fixedDeposit');
 const mailtoBtn = document.getElementById('mailtoBtn');
 const resetBtn = document.getElementById('resetBtn');
 const priceMenEl = document.getElementById('priceMen');
 const priceWomenEl = document.getElementById('priceWomen');
 const priceStudentEl = document.getElementById('priceStudent');
 const planTimesEl = document.getElementById('planTimes');
+const catalogErrorsEl = document.getElementById('catalogErrors');
+const restoreNoticeEl = document.getElementById('restoreNotice');
+const historyListEl = document.getElementById('historyList');
+const contactInputs = Array.from(document.querySelectorAll('[data-contact]'));
+const mailPreviewEl = document.getElementById('mailPreview');
+const mailPreviewToEl = document.getElementById('mailPreviewTo');
+const mailPreviewSubjectEl = document.getElementById('mailPreviewSubject');
+const mailPreviewBodyEl = document.getElementById('mailPreviewBody');
+const mailPreviewSendBtn = document.getElementById('mailPreviewSend');
+const mailPreviewCancelBtn = document.getElementById('mailPreviewCancel');
+const mailPreviewStatusEl = document.getElementById('mailPreviewStatus');
+const copyTextBtn = document.getElementById('copyTextBtn');
+const shareTextBtn = document.getElementById('shareTextBtn');
+const icsBtn = document.getElementById('icsBtn');
+const estimateBtn = document.getElementById('estimateBtn');
+const estimateViewEl = document.getElementById('estimateView');
+const estimateDocEl = document.getElementById('estimateDoc');
+const estimatePrintBtn = document.getElementById('estimatePrintBtn');
+const estimateCloseBtn = document.getElementById('estimateCloseBtn');
+const shareLinkBtn = document.getElementById('shareLinkBtn');
+const langSelectEl = document.getElementById('langSelect');
+const kanaBadgeEl = document.getElementById('kanaBadge');
+const couponFieldEl = document.getElementById('couponField');
+const couponEl = document.getElementById('couponCode');
+const couponStatusEl = document.getElementById('couponStatus');
+const splitToggleEl = document.getElementById('splitToggle');
+const splitPanelEl = document.getElementById('splitPanel');
+const splitFareRuleEl = document.getElementById('splitFareRule');
+const splitRentalRuleEl = document.getElementById('splitRentalRule');
+const participantListEl = document.getElementById('participantList');
+const splitTableEl = document.getElementById('splitTable');
+const settleFieldEl = document.getElementById('settleField');
+const settleToggleEl = document.getElementById('settleToggle');
+const settlePanelEl = document.getElementById('settlePanel');
+const settleTableEl = document.getElementById('settleTable');
+const cancelFieldEl = document.getElementById('cancelField');
+const cancelToggleEl = document.getElementById('cancelToggle');
+const cancelPanelEl = document.getElementById('cancelPanel');
+const cancelDateEl = document.getElementById('cancelDate');
+const cancelWeatherEl = document.getElementById('cancelWeather');
+const cancelResultEl = document.getElementById('cancelResult');
+const cancelPolicyEl = document.getElementById('cancelPolicy');
+const cartAddBtn = document.getElementById('cartAddBtn');
+const cartListEl = document.getElementById('cartList');
 
 // Init date to today
 (function setToday() {
@@ -63,15 +132,21 @@ function populateCountSelects() {
   if (menEl) menEl.innerHTML = html;
   if (womenEl) womenEl.innerHTML = html;
   if (studentEl) studentEl.innerHTML = html;
-  // ensure state reflects initial selection
-  state.men = Number(menEl && menEl.value) || 0;
-  state.women = Number(womenEl && womenEl.value) || 0;
-  state.student = Number(studentEl && studentEl.value) || 0;
+  // keep selects in sync with state (a restored quote link may preset the counts)
+  if (menEl) menEl.value = String(state.men);
+  if (womenEl) womenEl.value = String(state.women);
+  if (studentEl) studentEl.value = String(state.student);
 }
 
-// Populate plan select based on tripType
-function updatePlanOptions() {
+// Populate plan select based on tripType.
+// `preferred` ({ plan, rentals, items }) restores a selection, e.g. from a quote link;
+// returns a list of preferred values that do not exist in the catalog.
+function updatePlanOptions(preferred) {
+  const wanted = preferred || {};
+  const problems = [];
+  if (!catalog) return problems;
   const type = state.tripType;
+  const plans = catalog.plans;
   planSelectEl.innerHTML = '';
   // If 仕立て船 is selected, allow choosing any plan from 乗合船 as well
   let optionNames = [];
@@ -87,34 +162,59 @@ function updatePlanOptions() {
   for (const p of optionNames) {
     const opt = document.createElement('option');
     opt.value = p;
-    opt.textContent = p;
     planSelectEl.appendChild(opt);
   }
-  // set state.plan to first option
+  refreshPlanAvailability();
+  if (wanted.plan && optionNames.indexOf(wanted.plan) !== -1) {
+    planSelectEl.value = wanted.plan;
+  } else {
+    if (wanted.plan) problems.push(t('notice.planMissing', { plan: wanted.plan, tripType: i18n.tripType(type) }));
+    // set state.plan to the first plan that runs on the selected date
+    const firstAvailable = Array.from(planSelectEl.options).find(o => !o.disabled);
+    if (firstAvailable) planSelectEl.value = firstAvailable.value;
+  }
   state.plan = planSelectEl.value || null;
   updateUnitPrices();
-  renderShikakeOptions();
-  renderRentalOptions();
+  const keepsPlan = wanted.plan === state.plan;
+  const missingItems = renderShikakeOptions(keepsPlan ? wanted.items : null);
+  const missingRentals = renderRentalOptions(keepsPlan ? wanted.rentals : null);
+  for (const name of missingRentals) problems.push(t('notice.rentalMissing', { name, plan: i18n.name('plans', state.plan) }));
+  for (const name of missingItems) problems.push(t('notice.itemMissing', { name, plan: i18n.name('plans', state.plan) }));
+  if (!keepsPlan && wanted.plan) {
+    // the requested plan could not be selected: its rentals and items are dropped, not moved to another plan
+    const requested = (list, group) => Object.keys(list || {}).filter(name => Number(list[name]) > 0)
+      .map(name => i18n.name(group, name)).join(t('list.separator'));
+    const rentals = requested(wanted.rentals, 'rentals');
+    const items = requested(wanted.items, 'items');
+    if (rentals) problems.push(t('notice.planRentalsDropped', { plan: i18n.name('plans', wanted.plan), list: rentals }));
+    if (items) problems.push(t('notice.planItemsDropped', { plan: i18n.name('plans', wanted.plan), list: items }));
+  }
   calculateAndRender();
+  return problems;
 }
 
-// Update per-person unit prices shown next to inputs
-function updateUnitPrices(){
-  const plan = state.plan;
-  let fareObj = null;
-  // First try to find fare on the selected trip type
-  if (plans[state.tripType] && plans[state.tripType][plan] && plans[state.tripType][plan].fare) {
-    fareObj = plans[state.tripType][plan].fare;
-  }
-  // If not found (e.g., charter selecting a regular plan), try乗合船
-  if (!fareObj && plans['乗合船'] && plans['乗合船'][plan] && plans['乗合船'][plan].fare) {
-    fareObj = plans['乗合船'][plan].fare;
+// Grey out plans that do not run on the selected date (seasonal availability in plan data).
+// The current selection is kept even when it becomes unavailable so the quote can explain why.
+function refreshPlanAvailability() {
+  if (!catalog) return;
+  for (const opt of Array.from(planSelectEl.options)) {
+    const res = Pricing.checkAvailability(state.tripType, opt.value, state.date, catalog);
+    opt.disabled = !res.available;
+    const label = i18n.name('plans', opt.value);
+    const seats = res.available ? Pricing.getSeatAvailability(state.tripType, opt.value, state.date, catalog) : null;
+    opt.textContent = !res.available ? t('plan.notRunning', { plan: label })
+      : (seats && seats.remaining === 0 ? t('plan.full', { plan: label }) : label);
+    opt.title = res.available ? '' : i18n.message(res.reasonCode, res.reasonParams, res.reason);
   }
+}
 
+// Update per-person unit prices shown next to inputs
+function updateUnitPrices(){
+  const fareObj = Pricing.findFare(state.tripType, state.plan, catalog);
   if (fareObj) {
-    priceMenEl.textContent = '男性：' + fareObj.men.toLocaleString() + '円';
-    priceWomenEl.textContent = '女性：' + fareObj.women.toLocaleString() + '円';
-    priceStudentEl.textContent = '子供（高校生以下）：' + fareObj.student.toLocaleString() + '円';
+    priceMenEl.textContent = t('price.men', { price: i18n.yen(fareObj.men) });
+    priceWomenEl.textContent = t('price.women', { price: i18n.yen(fareObj.women) });
+    priceStudentEl.textContent = t('price.student', { price: i18n.yen(fareObj.student) });
   } else {
     priceMenEl.textContent = '—';
     priceWomenEl.textContent = '—';
@@ -129,7 +229,9 @@ function updatePlanTimes(){
   if (!planTimesEl) return;
   const times = getTimesForPlan(state.plan);
   if (times && times.meet && times.depart) {
-    planTimesEl.textContent = `集合 ${times.meet} / 出船 ${times.depart}`;
+    // relay plans: later legs that leave at another time
+    const relay = (times.relay || []).map(l => t('plan.relayDepart', { plan: i18n.name('plans', l.plan), depart: l.depart }));
+    planTimesEl.textContent = t('plan.times', times) + (relay.length ? t('plan.relayTimes', { list: relay.join(t('list.separator')) }) : '');
   } else {
     planTimesEl.textContent = '';
   }
@@ -139,46 +241,8 @@ function updatePlanTimes(){
 function updatePlanSupplement(){
   const el = document.getElementById('planSupplement');
   if (!el) return;
-  const plan = state.plan || '';
-  // User-specified classification lists
-  const advancedKeywords = ['イカ'];
-  const intermediateKeywords = ['マダイ'];
-  const beginnerKeywords = ['午前アジ','午前アミ五目'];
-
-  // Determine difficulty with precedence: 上級者 -> 中級者 -> 初心者
-  // Only show difficulty if the plan matches one of the specified keywords
-  let difficulty = null;
-  
-  for (const kw of advancedKeywords) {
-    if (plan.indexOf(kw) !== -1) { 
-      difficulty = '上級者'; 
-      break; 
-    }
-  }
-  
-  if (difficulty === null) {
-    for (const kw of intermediateKeywords) {
-      if (plan.indexOf(kw) !== -1) { 
-        difficulty = '中級者'; 
-        break; 
-      }
-    }
-  }
-  
-  if (difficulty === null) {
-    for (const kw of beginnerKeywords) {
-      if (plan.indexOf(kw) !== -1) { 
-        difficulty = '初心者'; 
-        break; 
-      }
-    }
-  }
-
-  const texts = {
-    '初心者': '初心者向け：釣り初心者の方でも安心して楽しんでいただけます',
-    '中級者': '中級者向け：船釣りの経験がある方がおすすめです',
-    '上級者': '上級者向け：熟練の方におすすめの釣り物です'
-  };
+  // difficulty comes from plan data (`difficulty`), with keyword matching as a fallback
+  const difficulty = Pricing.getPlanDifficulty(state.tripType, state.plan, catalog);
 
   // Color mapping: 初心者=緑, 中級者=黄色, 上級者=オレンジ
   const styleMap = {
@@ -187,8 +251,8 @@ function updatePlanSupplement(){
     '上級者': { bg: '#fff2e6', color: '#ff8c00' }
   };
 
-  // Only show the supplement if a difficulty was determined (i.e., if the plan matches specified keywords)
-  const txt = difficulty ? (texts[difficulty] || '') : '';
+  // Only show the supplement if a difficulty was determined (plan data or keyword fallback)
+  const txt = styleMap[difficulty] ? t('difficulty.' + difficulty) : '';
   el.textContent = txt;
   if (!txt) {
     el.style.display = 'none';
@@ -203,175 +267,109 @@ function updatePlanSupplement(){
   el.style.color = s.color;
 }
 
-// Return meeting and departure times based on plan name.
-// If plan contains '午後' -> 12:30集合 / 13:00出船, otherwise -> 6:30集合 / 7:00出船
-function getTimesForPlan(planName) {
-  if (!planName) return { meet: '', depart: '' };
-  if (planName.indexOf('午後') !== -1) {
-    return { meet: '12:30', depart: '13:00' };
-  }
-  return { meet: '06:30', depart: '07:00' };
+// Return meeting and departure times ({meet, depart}) from plan data (`times`);
+// plans without times fall back to the name-based rule in pricing.js.
+// `tripType` defaults to the form's (cart trips pass their own).
+function getTimesForPlan(planName, tripType) {
+  return Pricing.getPlanTimes(tripType || state.tripType, planName, catalog);
 }
 
-// Define shikake prices based on plan type (tackle is now rental only)
+// Purchasable items (購入品) for a plan from plan data (`items`), name-based fallback in pricing.js
 function getShikakePrices(planName) {
-  if (!planName) return {};
-  
-  // マダイ船の判定
-  if (planName.indexOf('マダイ') !== -1) {
-    return {
-      '仕掛け': { price: 550, note: '500〜600円' }
-    };
-  }
-  
-  // ヤリスルメイカ船の判定
-  if (planName.indexOf('ヤリスルメイカ') !== -1 || planName.indexOf('ヤリイカ') !== -1) {
-    return {
-      'オモリ（150号）': { price: 600, note: '600円' },
-      '仕掛け': { price: 1250, note: '1000〜1500円' }
-    };
-  }
-  
-  // タチアジ船の判定
-  if (planName.indexOf('タチアジ') !== -1) {
-    return {
-      '仕掛け': { price: 375, note: '250〜500円' }
-    };
-  }
-  
-  // カワハギ船の判定
-  if (planName.indexOf('カワハギ') !== -1) {
-    return {
-      '仕掛け': { price: 500, note: '400〜600円' }
-    };
-  }
-  
-  // マゴチ船の判定
-  if (planName.indexOf('マゴチ') !== -1) {
-    return {
-      '仕掛け': { price: 450, note: '450円程度' }
-    };
-  }
-  
-  // テンヤタチウオ船の判定
-  if (planName.indexOf('テンヤタチウオ') !== -1) {
-    return {
-      'イワシ（10匹）': { price: 650, note: '650円' },
-      'テンヤ': { price: 1000, note: '1000円程度' }
-    };
-  }
-  
-  // 午前・午後船（その他）の判定
-  if (planName.indexOf('午前') !== -1 || planName.indexOf('午後') !== -1 || 
-      planName.indexOf('アジ') !== -1 || planName.indexOf('アミ五目') !== -1 || 
-      planName.indexOf('キス') !== -1 || planName.indexOf('メバル') !== -1 || 
-      planName.indexOf('カサゴ') !== -1) {
-    return {
-      '仕掛け': { price: 375, note: '250〜500円' }
-    };
-  }
-  return {};
+  return Pricing.getPurchaseItems(state.tripType, planName, catalog);
 }
 
-// Render shikake (tackle) options based on selected plan
-function renderShikakeOptions() {
+// Render shikake (tackle) options based on selected plan.
+// `initial` ({name: qty}) presets quantities; returns the names in it that are not sold for the plan.
+function renderShikakeOptions(initial) {
   shikakeListEl.innerHTML = '';
-  state.shikake = {};
+  state.items = {};
+  const wanted = initial || {};
   
   const shikakePrices = getShikakePrices(state.plan);
   
   if (Object.keys(shikakePrices).length === 0) {
     // プランに対応する仕掛けがない場合
-    shikakeListEl.innerHTML = '<div class="no-shikake">このプランには対応する仕掛けはありません</div>';
-    return;
+    shikakeListEl.innerHTML = `<div class="no-shikake">${escapeHtml(t('items.none'))}</div>`;
+    return Object.keys(wanted);
   }
   
-  // テキスト表示のみ（個数選択なし、計算なし）
+  // 個数は予約メールでの注文用。金額は目安のため合計には含めない
   for (const [name, priceInfo] of Object.entries(shikakePrices)) {
-    const noteText = priceInfo.note || '';
-    const displayText = noteText ? `${name}：${noteText}` : `${name}`;
-    const div = document.createElement('div');
-    div.className = 'shikake-info';
-    div.style.padding = '8px 0';
-    div.style.color = '#666';
-    div.textContent = displayText;
-    shikakeListEl.appendChild(div);
+    addShikakeRow(name, priceInfo, wanted[name] || 0);
   }
+  return Object.keys(wanted).filter(name => !shikakePrices[name]);
 }
 
+function addShikakeRow(name, priceInfo, initialQty) {
+  const wrap = document.createElement('div');
+  wrap.className = 'rental-item shikake-info';
+  const label = document.createElement('div');
+  label.style.flex = '1';
+  // Japanese keeps the catalog's note ('450円程度'); other languages show the price range
+  const noteText = i18n.locale === 'ja' ? (priceInfo.note || '') : formatItemRange(priceInfo.min, priceInfo.max);
+  label.textContent = noteText ? t('items.entry', { name: i18n.name('items', name), note: noteText }) : i18n.name('items', name);
 
-
-// Render rental options merging plan-specific and common rentals
-function renderRentalOptions() {
-  rentalListEl.innerHTML = '';
-  state.rentals = {};
-  // plan-specific rentals (if any). For 仕立て船, the selected plan may be from 乗合船.
-  let planSpecific = null;
-  if (plans[state.tripType] && plans[state.tripType][state.plan]) {
-    planSpecific = plans[state.tripType][state.plan];
-  } else if (plans['乗合船'] && plans['乗合船'][state.plan]) {
-    planSpecific = plans['乗合船'][state.plan];
-  }
-  // Track which rental names we've already added to avoid duplicates
-  const addedRentals = new Set();
-  if (planSpecific && planSpecific.rental) {
-    for (const name of Object.keys(planSpecific.rental)) {
-      // pass the whole rental object (may contain price and refund)
-      addRentalRow(name, planSpecific.rental[name]);
-      addedRentals.add(name);
-    }
+  const qty = document.createElement('select');
+  qty.className = 'count-select';
+  for (let i = 0; i <= 100; i++) {
+    const o = document.createElement('option');
+    o.value = String(i);
+    o.textContent = String(i);
+    qty.appendChild(o);
   }
+  state.items[name] = Number(initialQty) || 0;
+  qty.value = String(state.items[name]);
 
-  // If this is a 仕立て船 selection, also include rentals defined on the corresponding 乗合船 plan
-  // (e.g., ビシセット) so charters can rent the same items. Avoid duplicates by checking addedRentals.
-  if (state.tripType === '仕立て船' && plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].rental) {
-    const sharedRentals = plans['乗合船'][state.plan].rental;
-    for (const name of Object.keys(sharedRentals)) {
-      if (addedRentals.has(name)) continue;
-      addRentalRow(name, sharedRentals[name]);
-      addedRentals.add(name);
-    }
-  }
+  qty.addEventListener('change', () => {
+    const v = Math.max(0, Math.min(100, Number(qty.value) || 0));
+    qty.value = String(v);
+    state.items[name] = v;
+    calculateAndRender();
+  });
 
-  // common rentals
-  for (const name of Object.keys(commonRental)) {
-    // Treat '仕掛け' as a備考 (note) only — do not show as a rental option or include in calculations.
-    if (name === '仕掛け') continue;
-    
-    // 専用竿が定義されているプランでは、共通の竿（竿,リール）を非表示
-    if (name === '竿（竿,リール）' && state.plan && planSpecific && planSpecific.rental) {
-      // プラン固有の竿が定義されているかチェック
-      const hasSpecificTackle = planSpecific.rental['竿（手巻き）'] || 
-                               planSpecific.rental['竿（電動リール）'] || 
-                               planSpecific.rental['竿（専用竿）'];
-      if (hasSpecificTackle) {
-        continue; // 専用竿があるので共通竿は表示しない
-      }
-    }
-    
-    const info = (typeof commonRental[name] === 'object') ? commonRental[name] : { price: commonRental[name] };
-    addRentalRow(name, info);
+  wrap.appendChild(label);
+  wrap.appendChild(qty);
+  shikakeListEl.appendChild(wrap);
+}
+
+// Render rental options merging plan-specific and common rentals.
+// `initial` ({name: qty}) presets quantities; returns the names in it that are not offered.
+function renderRentalOptions(initial) {
+  rentalListEl.innerHTML = '';
+  state.rentals = {};
+  const wanted = initial || {};
+  const offered = new Set();
+  // plan-specific rentals, the 乗合船 counterpart's rentals (for 仕立て船) and common rentals
+  for (const r of Pricing.listRentals(state.tripType, state.plan, catalog)) {
+    addRentalRow(r.name, r, wanted[r.name] || 0);
+    offered.add(r.name);
   }
+  return Object.keys(wanted).filter(name => !offered.has(name));
 }
 
-function addRentalRow(name, priceInfo) {
+function addRentalRow(name, priceInfo, initialQty) {
   const wrap = document.createElement('div');
   // render rentals as simple list items (not cards)
   wrap.className = 'rental-item';
+  wrap.setAttribute('data-rental', name);
   // Simplified UI: no checkbox — show name, price and always-enabled qty input.
   const label = document.createElement('div');
   label.style.flex = '1';
   // priceInfo may be an object {price, refund} or a number
-  const price = (priceInfo && typeof priceInfo === 'object') ? priceInfo.price : priceInfo;
-  const refund = (priceInfo && typeof priceInfo === 'object' && priceInfo.refund) ? priceInfo.refund : null;
-  label.textContent = name + '：' + (price ? price.toLocaleString() : '0') + '円';
+  const { price, refund } = Pricing.normalizeRental(priceInfo);
+  label.textContent = t('rental.price', { name: i18n.name('rentals', name), price: i18n.yen(price) });
   if (refund) {
     const refundLabel = document.createElement('div');
     refundLabel.style.fontSize = '12px';
     refundLabel.style.color = '#336';
-    refundLabel.textContent = '（返却時返金：' + refund.toLocaleString() + '円）';
+    refundLabel.textContent = t('rental.refund', { amount: i18n.yen(refund) });
     label.appendChild(refundLabel);
   }
+  // why the quantity is capped (filled in by applyRentalLimits)
+  const limitLabel = document.createElement('div');
+  limitLabel.className = 'rental-limit';
+  label.appendChild(limitLabel);
 
   // create a select 0..100 for qty so users can pick up to 100
   const qty = document.createElement('select');
@@ -384,7 +382,8 @@ function addRentalRow(name, priceInfo) {
     qty.appendChild(o);
   }
   // initialize rental qty in state
-  state.rentals[name] = 0;
+  state.rentals[name] = Number(initialQty) || 0;
+  qty.value = String(state.rentals[name]);
 
   qty.addEventListener('change', () => {
     const v = Math.max(0, Math.min(100, Number(qty.value) || 0));
@@ -399,105 +398,368 @@ function addRentalRow(name, priceInfo) {
   rentalListEl.appendChild(wrap);
 }
 
-// --- 祝日（連休）を考慮した rateType 判定ユーティリティ ---
-// Returns one of: 'weekday' | 'saturday' | 'sunday'
-// Rules implemented:
-// - 単独祝日（前後が祝日でない）は 'sunday'
-// - 連休の中日（start < d < end）は 'saturday'
-// - 連休の最終日（d == end && start != end）は 'sunday'
-// - 連休の先頭・中日は 'saturday'（start treated as weekend-ish）
-// - 日曜で翌日が祝日の場合は連休中日扱い（'saturday'）
-
-function parseISODate(dateStr) {
-  if (!dateStr) return null;
-  const [y, m, d] = dateStr.split('-').map(Number);
-  return new Date(y, m - 1, d);
-}
-function toISODate(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
-}
-function offsetISO(isoStr, days) {
-  const d = parseISODate(isoStr);
-  d.setDate(d.getDate() + days);
-  return toISODate(d);
-}
-
-// Build holiday set from window.holidays (if present)
-const holidaySet = new Set((window.holidays || []).map(s => s));
-function isHolidayISO(iso) {
-  return holidaySet.has(iso);
-}
-
-function getRateType(dateStr) {
-  if (!dateStr) return 'weekday';
-  const iso = dateStr;
-  const d = parseISODate(iso);
-  if (!d || isNaN(d)) return 'weekday';
-  const dow = d.getDay(); // 0=Sun,6=Sat
-
-  const isHol = isHolidayISO(iso);
-  const prevISO = offsetISO(iso, -1);
-  const nextISO = offsetISO(iso, +1);
-  const prevHol = isHolidayISO(prevISO);
-  const nextHol = isHolidayISO(nextISO);
-
-  // Non-holiday branch
-  if (!isHol) {
-    if (dow === 6) return 'saturday';
-    if (dow === 0) {
-      // Sunday: if next day is holiday -> treat as 連休中日 (saturday)
-      if (nextHol) return 'saturday';
-      return 'sunday';
+// Cap rental quantities (pricing.js getRentalLimits: per person, stock left on the date, items that
+// cannot be combined). Larger quantities are disabled; a row at its cap says why.
+// `reduced` collects the rentals lowered on this pass (lowering one can lift an exclusive cap on another).
+function applyRentalLimits(reduced) {
+  const lowered = reduced || new Set();
+  const limits = Pricing.getRentalLimits(buildQuoteInput(), catalog);
+  let changed = false;
+  for (const row of Array.from(rentalListEl.querySelectorAll('[data-rental]'))) {
+    const name = row.getAttribute('data-rental');
+    const limit = limits[name];
+    if (!limit) continue;
+    const select = row.querySelector('select');
+    for (const o of Array.from(select.options)) o.disabled = Number(o.value) > limit.max;
+    if (state.rentals[name] > limit.max) {
+      state.rentals[name] = limit.max;
+      select.value = String(limit.max);
+      lowered.add(name);
+      changed = true;
     }
-    return 'weekday';
+    const atCap = limit.reason && state.rentals[name] >= limit.max;
+    row.querySelector('.rental-limit').textContent = atCap
+      ? i18n.message(limit.reasonCode, limit.reasonParams, limit.reason) + (lowered.has(name) ? t('rental.reduced', { max: limit.max }) : '')
+      : '';
   }
+  if (changed) applyRentalLimits(lowered);
+}
 
-  // Holiday branch: find contiguous holiday block
-  let start = iso, end = iso;
-  while (isHolidayISO(offsetISO(start, -1))) start = offsetISO(start, -1);
-  while (isHolidayISO(offsetISO(end, +1))) end = offsetISO(end, +1);
+// Seats left for the plan on the date (pricing.js getSeatAvailability). Counts above the capacity are
+// disabled; when the party does not fit, nearby dates and other plans with space are offered.
+function renderSeatStatus(quote) {
+  if (!seatStatusEl) return;
+  const seats = quote.seats;
+  for (const el of [menEl, womenEl, studentEl]) {
+    for (const o of Array.from(el.options)) o.disabled = !!seats && Number(o.value) > seats.capacity;
+  }
+  seatStatusEl.hidden = !seats;
+  seatSuggestionsEl.hidden = !seats || seats.enough;
+  if (!seats) return;
+  if (seats.boatTaken) {
+    seatStatusEl.textContent = t('seats.boatTaken');
+  } else {
+    seatStatusEl.textContent = seats.remaining === 0
+      ? t('seats.full', { capacity: seats.capacity })
+      : t('seats.remaining', { remaining: seats.remaining, capacity: seats.capacity });
+  }
+  seatStatusEl.classList.toggle('field-error', !seats.enough);
+  if (seats.enough) return;
 
-  if (start === end) {
-    // single isolated holiday -> normally 'sunday',
-    // but if the holiday itself falls on Friday, treat it as 'saturday'
-    // (so 金曜祝日は金/土が土曜料金、日曜は日曜料金になります)
-    if (dow === 5) return 'saturday';
-    return 'sunday';
+  const alt = Pricing.suggestAlternatives(buildQuoteInput(), catalog, { from: Pricing.toISODate(new Date()) });
+  const parts = [];
+  if (alt.dates.length) {
+    parts.push(escapeHtml(t('seats.suggestDates')) + ' ' + alt.dates.map(d =>
+      `<button type="button" class="btn btn-link" data-suggest-date="${escapeHtml(d)}">${escapeHtml(formatDateWithWeekday(d))}</button>`).join(''));
   }
+  if (alt.plans.length) {
+    parts.push(escapeHtml(t('seats.suggestPlans')) + ' ' + alt.plans.map(p =>
+      `<button type="button" class="btn btn-link" data-suggest-plan="${escapeHtml(p)}">${escapeHtml(i18n.name('plans', p))}</button>`).join(''));
+  }
+  seatSuggestionsEl.innerHTML = parts.length ? parts.join('<br>') : escapeHtml(t('seats.noSuggestions'));
+}
 
-  // multi-day block
-  if (iso !== start && iso !== end) {
-    // strictly middle -> 'saturday'
-    return 'saturday';
+// --- Per-participant split (split.js) ---
+const SPLIT_CATEGORIES = ['men', 'women', 'student'];
+
+function emptySplit() {
+  return { enabled: false, fare: 'weighted', rentals: 'renter', participants: [] };
+}
+
+// One participant per counted person, grouped by category. People already entered keep
+// their name and rentals; extra entries of a category whose count went down are dropped.
+function syncParticipants() {
+  const current = state.split.participants;
+  const next = [];
+  for (const category of SPLIT_CATEGORIES) {
+    const existing = current.filter(p => p.category === category);
+    for (let i = 0; i < state[category]; i++) {
+      next.push(Object.assign({ name: '', category, rentals: {} }, existing[i]));
+    }
   }
-  if (iso === end) {
-    // final day -> 'sunday'
-    return 'sunday';
+  state.split.participants = next;
+}
+
+// '男性1': category and number within the category
+function participantTitle(index, tr) {
+  const l10n = tr || i18n;
+  const p = state.split.participants[index];
+  const n = state.split.participants.slice(0, index + 1).filter(q => q.category === p.category).length;
+  return l10n.t('split.person', { label: l10n.t('people.' + p.category), n });
+}
+
+// The participant's name, or the title for someone without one
+function participantLabel(index, tr) {
+  return state.split.participants[index].name.trim() || participantTitle(index, tr);
+}
+
+// Split rows for the quote, or null when the split is off or there is nothing to split
+function computeSplitRows(quote) {
+  if (!state.split.enabled || !quote.available || !quote.people.total) return null;
+  syncParticipants();
+  const fare = Pricing.findFare('乗合船', quote.plan, catalog) || {};
+  return Split.computeSplit(quote, state.split.participants, {
+    fare: state.split.fare,
+    rentals: state.split.rentals,
+    weights: { men: fare.men, women: fare.women, student: fare.student }
+  });
+}
+
+// Participant inputs: a name and, when rentals are billed to the renter, how many of each rented item
+// the person takes. Rebuilt only when the rows change so typing a name keeps the focus.
+let participantKey = null;
+function renderParticipants(quote) {
+  const byRenter = state.split.rentals === 'renter';
+  const key = JSON.stringify([i18n.locale, state.split.participants.map(p => p.category), byRenter && quote.rentalLines.map(l => [l.name, l.qty])]);
+  if (key === participantKey) return;
+  participantKey = key;
+  participantListEl.innerHTML = state.split.participants.map((p, i) => {
+    const label = participantTitle(i);
+    const rentals = byRenter ? quote.rentalLines.map(l => {
+      const qty = Number(p.rentals[l.name]) || 0;
+      const opts = [];
+      for (let n = 0; n <= l.qty; n++) opts.push(`<option value="${n}"${n === qty ? ' selected' : ''}>${n}</option>`);
+      return `<label>${escapeHtml(i18n.name('rentals', l.name))} <select class="form-input" data-participant="${i}" data-rental="${escapeHtml(l.name)}">${opts.join('')}</select></label>`;
+    }).join('') : '';
+    return `<div class="participant-row"><span class="participant-label">${escapeHtml(label)}</span>`
+      + `<input type="text" class="form-input" data-participant="${i}" value="${escapeHtml(p.name)}" placeholder="${escapeHtml(t('split.namePlaceholder'))}" aria-label="${escapeHtml(label)}" />`
+      + rentals + '</div>';
+  }).join('');
+}
+
+// 割り勘: each person's share of the total (tax and refunds only get a column when there are any)
+function renderSplit(quote) {
+  if (!splitPanelEl) return;
+  splitToggleEl.checked = state.split.enabled;
+  splitPanelEl.hidden = !state.split.enabled;
+  if (!state.split.enabled) return;
+  const result = computeSplitRows(quote);
+  if (!result) {
+    participantKey = null;
+    participantListEl.innerHTML = '';
+    splitTableEl.innerHTML = quote.available ? `<p class="muted">${escapeHtml(t('split.noPeople'))}</p>` : '';
+    return;
   }
-  if (iso === start) {
-    // start day -> treat as 'saturday'
-    return 'saturday';
+  renderParticipants(quote);
+  const hasTax = result.rows.some(r => r.tax);
+  const hasRefund = result.rows.some(r => r.refund);
+  const sum = (key) => result.rows.reduce((total, r) => total + r[key], 0);
+  const cells = (values) => values.map(v => `<td class="num">${escapeHtml(i18n.yen(v))}</td>`).join('');
+  const columns = (r) => [r.fare, r.rentals].concat(hasTax ? [r.tax] : [], [r.total], hasRefund ? [r.refund] : []);
+  const head = ['name', 'fare', 'rentals'].concat(hasTax ? ['tax'] : [], ['total'], hasRefund ? ['refund'] : [])
+    .map(c => `<th${c === 'name' ? '' : ' class="num"'}>${escapeHtml(t('split.col.' + c))}</th>`).join('');
+  const body = result.rows.map((r, i) => `<tr><td>${escapeHtml(participantLabel(i))}</td>${cells(columns(r))}</tr>`).join('');
+  const foot = `<tr><td>${escapeHtml(t('split.sum'))}</td>${cells(columns({ fare: sum('fare'), rentals: sum('rentals'), tax: sum('tax'), total: result.total, refund: sum('refund') }))}</tr>`;
+  const notes = [];
+  if (quote.inquiry) notes.push(t('split.inquiry'));
+  if (result.overAssigned.length) {
+    notes.push(t('split.overAssigned', { list: result.overAssigned.map(n => i18n.name('rentals', n)).join(t('list.separator')) }));
   }
+  splitTableEl.innerHTML = `<table class="split-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody><tfoot>${foot}</tfoot></table>`
+    + notes.map(n => `<p class="muted">※${escapeHtml(n)}</p>`).join('');
+}
 
-  return 'weekday';
+function fillSplitInputs() {
+  if (!splitPanelEl) return;
+  splitToggleEl.checked = state.split.enabled;
+  splitFareRuleEl.value = state.split.fare;
+  splitRentalRuleEl.value = state.split.rentals;
+  participantKey = null;
 }
 
-// Return weekday name for a given YYYY-MM-DD date string (Japanese short names)
-function getWeekdayName(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr + 'T00:00:00');
-  if (isNaN(d)) return '';
-  const names = ['日','月','火','水','木','金','土'];
-  return names[d.getDay()];
+// --- Dockside settlement (Pricing.settleDeposits) ---
+// Staff mark each rental with a refund as returned or lost when the boat comes back; the table
+// shows the refund to hand back. Only rentals with 返却時返金 are listed, and only on the staff screen.
+function emptySettle() {
+  return { enabled: false, marks: {} };
 }
 
-function formatDateWithWeekday(dateStr) {
-  if (!dateStr) return '未選択';
-  const wk = getWeekdayName(dateStr);
-  return dateStr + (wk ? ('（' + wk + '）') : '');
+function renderSettle(quote) {
+  if (!settleFieldEl) return;
+  settleFieldEl.hidden = !STAFF_MODE || !quote.available || !quote.refundLines.length;
+  settleToggleEl.checked = state.settle.enabled;
+  settlePanelEl.hidden = !state.settle.enabled;
+  if (settleFieldEl.hidden || !state.settle.enabled) return;
+  const result = Pricing.settleDeposits(quote, state.settle.marks);
+  const select = (l, key) => {
+    const value = l[key];
+    const max = key === 'returned' ? l.qty - l.lost : l.qty - l.returned;
+    const opts = [];
+    for (let n = 0; n <= max; n++) opts.push(`<option value="${n}"${n === value ? ' selected' : ''}>${n}</option>`);
+    return `<select class="form-input" data-settle="${escapeHtml(l.name)}" data-mark="${key}" aria-label="${escapeHtml(t('settle.col.' + key))}">${opts.join('')}</select>`;
+  };
+  const num = (v) => `<td class="num">${escapeHtml(v)}</td>`;
+  const head = ['name', 'qty', 'unitRefund', 'returned', 'lost', 'refund']
+    .map(c => `<th${c === 'name' ? '' : ' class="num"'}>${escapeHtml(t('settle.col.' + c))}</th>`).join('');
+  const body = result.lines.map(l => `<tr><td>${escapeHtml(i18n.name('rentals', l.name))}</td>${num(l.qty)}${num(i18n.yen(l.unitRefund))}`
+    + `<td class="num">${select(l, 'returned')}</td><td class="num">${select(l, 'lost')}</td>${num(i18n.yen(l.refundAmount))}</tr>`).join('');
+  const totals = [['paid', formatTotal(quote)], ['refund', i18n.yen(result.refund)]];
+  if (result.forfeited) totals.push(['forfeited', i18n.yen(result.forfeited)]);
+  if (result.pendingRefund) totals.push(['pending', i18n.yen(result.pendingRefund)]);
+  if (!quote.inquiry) totals.push(['net', t('total.amount', { amount: i18n.yen(result.net) })]);
+  settleTableEl.innerHTML = `<table class="split-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+    + '<dl class="settle-totals">' + totals.map(([key, value]) => `<dt>${escapeHtml(t('settle.' + key))}</dt><dd>${escapeHtml(value)}</dd>`).join('') + '</dl>'
+    + (result.complete ? '' : `<p class="muted">※${escapeHtml(t('settle.incomplete'))}</p>`);
+}
+
+// --- Cancellation fee (Pricing.computeCancellation) ---
+function emptyCancel() {
+  return { enabled: false, date: '', weather: false };
+}
+
+// '当日' / '前日' / '3日前'
+function cancelDayLabel(n, tr) {
+  const l10n = tr || i18n;
+  return l10n.t(n === 0 ? 'cancel.day.0' : n === 1 ? 'cancel.day.1' : 'cancel.day.n', { n });
+}
+
+// The policy's fee tiers as day ranges: [{ range: '前日〜当日', percent: 50 }], first day free as freeFrom ('2日前')
+function cancellationTiers(policy, l10n) {
+  const fees = policy.fees;
+  return {
+    freeFrom: fees.length ? cancelDayLabel(fees[0].daysBefore + 1, l10n) : null,
+    tiers: fees.map((fee, i) => {
+      const to = i + 1 < fees.length ? fees[i + 1].daysBefore + 1 : 0;
+      const range = fee.daysBefore === to
+        ? cancelDayLabel(to, l10n)
+        : l10n.t('cancel.range', { from: cancelDayLabel(fee.daysBefore, l10n), to: cancelDayLabel(to, l10n) });
+      return { range, percent: fee.percent };
+    })
+  };
+}
+
+// キャンセル規定 as lines ('・前日〜当日：乗船料の50%'), or [] when the catalog has no policy for the trip type
+function formatCancellationPolicy(tripType, tr) {
+  const l10n = tr || i18n;
+  const policy = Pricing.getCancellationPolicy(tripType, catalog);
+  if (!policy) return [];
+  const { freeFrom, tiers } = cancellationTiers(policy, l10n);
+  const lines = [freeFrom ? l10n.t('cancel.free', { day: freeFrom }) : l10n.t('cancel.noFee')]
+    .concat(tiers.map(tier => l10n.t('cancel.tier', tier)));
+  if (policy.weatherExempt) lines.push(l10n.t('cancel.weatherExempt'));
+  lines.push(l10n.t('cancel.basis'));
+  return lines;
+}
+
+// The policy in one line for the mail: '2日前まで無料・前日 50%・当日 100%（荒天など出船中止は無料）'
+function formatCancellationSummary(tripType, tr) {
+  const l10n = tr || i18n;
+  const policy = Pricing.getCancellationPolicy(tripType, catalog);
+  if (!policy) return '';
+  const { freeFrom, tiers } = cancellationTiers(policy, l10n);
+  const parts = [freeFrom ? l10n.t('cancel.summary.free', { day: freeFrom }) : l10n.t('cancel.summary.noFee')]
+    .concat(tiers.map(tier => l10n.t('cancel.summary.tier', tier)));
+  return parts.join(l10n.t('list.separator')) + (policy.weatherExempt ? l10n.t('cancel.summary.weather') : '');
+}
+
+// Calculator: the fee and the refund for cancelling on the chosen date, with the policy below
+function renderCancel(quote) {
+  if (!cancelFieldEl) return;
+  const policy = formatCancellationPolicy(quote.tripType);
+  cancelFieldEl.hidden = !policy.length;
+  cancelToggleEl.checked = state.cancel.enabled;
+  cancelPanelEl.hidden = !state.cancel.enabled;
+  if (cancelFieldEl.hidden || !state.cancel.enabled) return;
+  if (cancelDateEl.value !== state.cancel.date) cancelDateEl.value = state.cancel.date;
+  cancelWeatherEl.checked = state.cancel.weather;
+  cancelPolicyEl.innerHTML = escapeHtml(t('cancel.policyTitle', { tripType: i18n.tripType(quote.tripType) })) + '<br>'
+    + policy.map(escapeHtml).join('<br>');
+  const result = quote.available ? Pricing.computeCancellation(quote, state.cancel.date, { weather: state.cancel.weather }, catalog) : null;
+  if (!result) {
+    cancelResultEl.innerHTML = quote.available ? escapeHtml(t('cancel.noDate')) : '';
+    return;
+  }
+  const lines = [t('cancel.when', { day: cancelDayLabel(result.daysBefore) }) + (result.afterDeparture ? t('cancel.afterDeparture') : '')];
+  if (result.inquiry) {
+    lines.push(t('cancel.inquiry'));
+  } else {
+    if (result.exempt) lines.push(t('cancel.exempt'));
+    else if (!result.percent) lines.push(t('cancel.feeFree'));
+    else lines.push(t('cancel.fee', { amount: i18n.yen(result.fee), percent: result.percent, base: i18n.yen(result.base) }));
+    lines.push(t('cancel.refund', { amount: i18n.yen(result.refund), paid: formatTotal(quote) }));
+  }
+  cancelResultEl.innerHTML = lines.map((l, i) => (i === 1 ? `<strong>${escapeHtml(l)}</strong>` : escapeHtml(l))).join('<br>');
+}
+
+// --- Booking cart (cart.js) ---
+// Grand total of the cart; 要問合せ trips only add the part that could be priced
+function formatCartTotal(priced, tr) {
+  const l10n = tr || i18n;
+  return priced.inquiry
+    ? l10n.t('cart.totalWithInquiry', { amount: l10n.yen(priced.total) })
+    : l10n.t('total.amount', { amount: l10n.yen(priced.total) });
+}
+
+function renderCart() {
+  if (!cartListEl) return;
+  cartAddBtn.textContent = t(state.cartEditing ? 'cart.update' : 'cart.add');
+  if (!state.cart.length) {
+    cartListEl.innerHTML = `<div class="muted">${escapeHtml(t('cart.empty'))}</div>`;
+    return;
+  }
+  const priced = Cart.priceCart(state.cart, catalog);
+  const items = priced.lines.map((l, i) => {
+    const q = l.quote;
+    const party = t('history.party', { men: q.people.men, women: q.people.women, student: q.people.student });
+    const editing = l.id === state.cartEditing;
+    const problem = !q.available || (q.seats && !q.seats.enough);
+    return `<div class="cart-item${editing ? ' editing' : ''}" data-id="${escapeHtml(l.id)}">`
+      + `<div class="history-title">${escapeHtml(t('cart.index', { index: i + 1 }))} ${escapeHtml(formatDateWithWeekday(q.date))} ${escapeHtml(i18n.tripType(q.tripType))} ${escapeHtml(q.plan ? i18n.name('plans', q.plan) : '')}</div>`
+      + `<div class="history-meta muted">${escapeHtml(party)} ／ ${escapeHtml(formatTotal(q))}${editing ? ' ／ ' + escapeHtml(t('cart.editing')) : ''}</div>`
+      + (problem ? `<div class="field-error">${escapeHtml(formatWarnings(q).join(' '))}</div>` : '')
+      + '<div class="history-actions">'
+      + `<button type="button" class="btn btn-link" data-action="${editing ? 'cancel' : 'edit'}">${escapeHtml(t(editing ? 'cart.cancelEdit' : 'cart.edit'))}</button>`
+      + `<button type="button" class="btn btn-link" data-action="remove">${escapeHtml(t('cart.remove'))}</button>`
+      + '</div></div>';
+  });
+  cartListEl.innerHTML = items.join('')
+    + `<div class="cart-total">${escapeHtml(t('cart.total', { count: priced.lines.length, total: formatCartTotal(priced) }))}</div>`
+    + `<div class="cart-note muted">${escapeHtml(t('cart.note'))}</div>`
+    + `<div class="history-actions"><button type="button" class="btn btn-link" data-action="clear">${escapeHtml(t('cart.clear'))}</button></div>`;
+}
+
+// Add the form's trip to the cart, or save it back over the item being edited
+function addToCart() {
+  const quote = calculateTotal();
+  if (!quote.available) {
+    alert(t('alert.unavailable', { warnings: formatWarnings(quote).join('\n') }));
+    return;
+  }
+  if (quote.seats && !quote.seats.enough) {
+    alert(t('alert.seats', { warnings: formatWarnings(quote).join('\n') }));
+    return;
+  }
+  if (!quote.people.total) {
+    alert(t('alert.cartNoPeople'));
+    menEl.focus();
+    return;
+  }
+  const editing = state.cart.some(item => item.id === state.cartEditing);
+  state.cart = editing ? Cart.updateItem(state.cart, state.cartEditing, state) : Cart.addItem(state.cart, state);
+  state.cartEditing = null;
+  renderCart();
+  store.saveDraft(state);
+}
+
+// Load a cart item into the form; 「カートを更新」 then writes the changes back
+function editCartItem(id) {
+  const item = state.cart.find(i => i.id === id);
+  if (!item) return;
+  state.cartEditing = id;
+  const problems = restoreFormState(item.state);
+  renderRestoreNotice(t('notice.cart'), problems);
+  calculateAndRender();
+  renderCart();
+}
+
+// Weekday name for a YYYY-MM-DD date string in the UI language ('月' / 'Mon')
+function getWeekdayName(dateStr, tr) {
+  return (tr || i18n).weekday(dateStr);
+}
+
+// '2026-05-02（土）' / 'Sat, May 2, 2026'
+function formatDateWithWeekday(dateStr, tr) {
+  return (tr || i18n).date(dateStr);
 }
 
 function updateDateWeekdayDisplay(){
@@ -506,288 +768,706 @@ function updateDateWeekdayDisplay(){
   el.textContent = state.date ? ('（' + getWeekdayName(state.date) + '）') : '';
 }
 
-// Main calculation logic
+// Main calculation logic — delegates to the DOM-free pricing engine (pricing.js)
+function buildQuoteInput() {
+  return Cart.quoteInput(state);
+}
+
 function calculateTotal() {
-  const men = Number(state.men) || 0;
-  const women = Number(state.women) || 0;
-  const student = Number(state.student) || 0;
-  const totalPeople = men + women + student;
-
-  let subtotal = 0;
-  let rentalTotal = 0;
-  let minPeopleUsed = 0;
-  let minPriceUsed = 0;
-  let extraCount = 0;
-  let extraChargeAmount = 0;
-  let shortageCount = 0;
-
-  // rental cost
-  for (const [name, qty] of Object.entries(state.rentals || {})) {
-    // skip 仕掛け if it somehow exists in rentals state
-    if (name === '仕掛け') continue;
-    if (!qty || qty <= 0) continue;
-    
-    // find rental info: check plan-specific (current tripType), then corresponding 乗合船 plan, then commonRental
-    let rInfo = null;
-    if (plans[state.tripType] && plans[state.tripType][state.plan] && plans[state.tripType][state.plan].rental && plans[state.tripType][state.plan].rental[name]) {
-      rInfo = plans[state.tripType][state.plan].rental[name];
-    } else if (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].rental && plans['乗合船'][state.plan].rental[name]) {
-      rInfo = plans['乗合船'][state.plan].rental[name];
-    } else if (commonRental[name] !== undefined) {
-      rInfo = (typeof commonRental[name] === 'object') ? commonRental[name] : { price: commonRental[name] };
+  return Pricing.computeQuote(buildQuoteInput(), catalog);
+}
+
+// '男性5名・女性3名' — the charter's people counted in the minimum charge (charter.minimumLines)
+function formatCharterPeople(lines, tr) {
+  const l10n = tr || i18n;
+  return lines.map(l => (l.category === 'all'
+    ? l10n.t('fare.includedAll', { count: l.count })
+    : l10n.t('estimate.peopleEntry', { label: l10n.t('people.' + l.category), count: l.count }))).join(l10n.t('list.separator'));
+}
+
+// Fare / charter lines shared by the breakdown panel and the mail body.
+// `tr` is the translator to write them with (the UI language by default; mailI18n for the mail).
+function formatFareLines(quote, tr) {
+  const l10n = tr || i18n;
+  const lines = [];
+  if (quote.charter && quote.charter.inquiry) {
+    const c = quote.charter;
+    lines.push(l10n.t('fare.charterInquiry', { reason: l10n.message(c.reasonCode, c.reasonParams, c.reason) }));
+  } else if (quote.charter) {
+    const c = quote.charter;
+    lines.push(l10n.t('fare.tier', { tier: l10n.t('tier.' + c.tier), reason: l10n.message(c.reasonCode, {}, c.reason) }));
+    const basis = c.perHead ? l10n.t('fare.minimumBasis', { perHead: l10n.yen(c.perHead), count: c.minPeople }) : '';
+    lines.push(l10n.t('fare.minimum', { count: c.minPeople, amount: l10n.yen(c.minPrice), basis }));
+    if (c.shortageCount > 0) {
+      lines.push(l10n.t('fare.shortage', { count: c.shortageCount }));
     }
-    
-    let price = 0;
-    if (rInfo) {
-      if (typeof rInfo === 'object' && rInfo.price !== undefined) {
-        price = rInfo.price;
-      } else if (typeof rInfo === 'number') {
-        price = rInfo;
+    if (c.extraCount > 0) {
+      lines.push(l10n.t('fare.included', { list: formatCharterPeople(c.minimumLines, l10n) }));
+      lines.push(l10n.t('fare.extra', { count: c.extraCount, amount: l10n.yen(c.extraAmount) }));
+      for (const l of c.extraLines) {
+        const label = l.category === 'extra' ? l10n.t('fare.extraFlat') : l10n.t('people.' + l.category);
+        lines.push(l10n.t('fare.extraLine', { label, count: l.count, unitPrice: l10n.yen(l.unitPrice), amount: l10n.yen(l.amount) }));
       }
+      lines.push(l10n.t('fare.extraPolicy', { policy: l10n.t('extraPolicy.' + c.extraPolicy) }));
     }
-    
-    if (price > 0) {
-      rentalTotal += price * qty;
+  } else {
+    for (const l of quote.fareLines) {
+      lines.push(l10n.t('fare.line', { label: l10n.t('people.' + l.category), count: l.count, unitPrice: l10n.yen(l.unitPrice), amount: l10n.yen(l.amount) }));
+    }
+    if (quote.relayLines.length && quote.people.total) {
+      lines.push(l10n.t('fare.relay'));
+      lines.push(...formatRelayLines(quote, l10n));
     }
   }
+  return lines;
+}
 
-  if (state.tripType === '乗合船') {
-    // per-person fare
-    const fareObj = (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].fare) || {men:0,women:0,student:0};
-    subtotal += men * fareObj.men + women * fareObj.women + student * fareObj.student;
-  } else if (state.tripType === '仕立て船') {
-    // Using provided rules: 最低料金 +（最低人数を超えた人数分 × 乗合料金）
-    // Assumptions: For per-person "乗合料金" use the corresponding fare from 乗合船 same plan name if exists.
-    const rateType = getRateType(state.date);
-    // Look up charter-specific info for the selected plan/day. Try rateType first.
-    let info = null;
-    const tryKeys = (rateType === 'saturday') ? ['saturday', 'holiday'] : [rateType];
-    for (const k of tryKeys) {
-      if (plans['仕立て船'] && plans['仕立て船'][state.plan] && plans['仕立て船'][state.plan][k]) {
-        info = plans['仕立て船'][state.plan][k];
-        break;
-      }
-      if (plans['仕立て船'] && plans['仕立て船']['午前アジ'] && plans['仕立て船']['午前アジ'][k]) {
-        info = plans['仕立て船']['午前アジ'][k];
-        break;
-      }
-    }
+// Each leg's share of a relay plan's fare: '1区間目 午前アジ：13,600円'
+function formatRelayLines(quote, tr) {
+  const l10n = tr || i18n;
+  return quote.relayLines.map((l, i) => l10n.t('fare.relayLeg', {
+    index: i + 1,
+    plan: l10n.name('plans', l.plan),
+    source: l.fareFrom ? l10n.t('fare.relaySource', { name: l10n.name('plans', l.fareFrom) }) : '',
+    amount: l10n.yen(l.amount)
+  }));
+}
 
-    if (!info) {
-      subtotal = 0; // fallback if no charter rules are available at all
-    } else {
-  const minPeople = info.minPeople;
-      // Per requirement: 仕立て船の最低料金は「乗合船の男性料金 × minPeople」とする。
-      // Try to compute from the reference fare (from 乗合船 for the selected plan); fall back to info.minPrice if unavailable.
-      const refFare = (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].fare) || {men:0,women:0,student:0};
-      const computedMinPrice = (refFare.men && minPeople) ? (refFare.men * minPeople) : info.minPrice;
-      const minPrice = computedMinPrice || info.minPrice || 0;
-      subtotal = minPrice;
-      minPeopleUsed = minPeople;
-      minPriceUsed = minPrice;
-      if (totalPeople > minPeople) {
-        const extra = totalPeople - minPeople;
-        // determine per-person extra price: try to map by type to 乗合船 fare
-        const refFare = (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].fare) || {men:0,women:0,student:0};
-        // Charge extras by composition of the extra people: prefer to deduct minPeople proportionally? Simpler: charge additional actual persons at their per-person fare.
-        // We'll assume the extra people are those counted in state beyond minPeople; here we compute extra charges by ordering: men -> women -> student until extra exhausted.
-        let remaining = extra;
-        const perType = [];
-        if (men > 0) perType.push({type:'men',count:men,price:refFare.men});
-        if (women > 0) perType.push({type:'women',count:women,price:refFare.women});
-        if (student > 0) perType.push({type:'student',count:student,price:refFare.student});
-
-        // iterate and charge up to remaining
-        for (const t of perType) {
-          if (remaining <= 0) break;
-          const chargeCount = Math.min(t.count, remaining);
-            subtotal += chargeCount * t.price;
-            remaining -= chargeCount;
-        }
-        // If still remaining (shouldn't happen), charge with average
-            if (remaining > 0) {
-              const avg = Math.round((refFare.men + refFare.women + refFare.student)/3) || 0;
-              subtotal += remaining * avg;
-            }
-        extraCount = extra;
-        extraChargeAmount = subtotal - minPrice;
-      } else if (totalPeople < minPeople) {
-        // 人数が最低人数に満たない場合は、不足分を加算して最低料金を適用している（表示用）
-        shortageCount = minPeople - totalPeople;
-      }
-    }
+// Total amount text; 要問合せ quotes only show the part that could be priced
+function formatTotal(quote, tr) {
+  const l10n = tr || i18n;
+  if (!quote.available) return '—';
+  if (quote.inquiry) {
+    return quote.rentalTotal ? l10n.t('total.inquiryWithRentals', { amount: l10n.yen(quote.rentalTotal) }) : l10n.t('total.inquiry');
   }
+  return l10n.t('total.amount', { amount: l10n.yen(quote.total) });
+}
+
+// 当日お支払い・返却時返金・実質負担額 as display strings, or null when no rental is refunded on return
+function formatDeposit(quote, tr) {
+  const l10n = tr || i18n;
+  const d = quote.deposit;
+  if (!quote.available || !d.refund) return null;
+  return {
+    payable: formatTotal(quote, l10n),
+    refund: l10n.yen(d.refund),
+    net: quote.inquiry
+      ? l10n.t('total.inquiryWithRentals', { amount: l10n.yen(quote.rentalTotal - d.refund) })
+      : l10n.t('total.amount', { amount: l10n.yen(d.net) })
+  };
+}
+
+// Bottom bar: the total, or the amount paid at the dock with the refund and net cost beside it
+function renderFixedTotal(quote) {
+  if (!fixedTotalAmountEl) return;
+  const deposit = formatDeposit(quote);
+  fixedTotalAmountEl.textContent = deposit
+    ? t('deposit.fixedPayable', { total: deposit.payable })
+    : t('summary.fixedTotal', { total: formatTotal(quote) });
+  if (fixedDepositEl) fixedDepositEl.textContent = deposit ? t('deposit.fixed', deposit) : '';
+}
 
-  const total = subtotal + rentalTotal;
+// 消費税の内訳（税率ごとの対象額・税額、対象外の預り金、端数処理、登録番号）
+function formatTaxLines(quote, tr) {
+  const l10n = tr || i18n;
+  const tax = quote.tax;
+  if (!tax) return [];
+  const basis = l10n.t(tax.inclusive ? 'tax.inclusive' : 'tax.exclusive');
+  const lines = tax.lines.map(l => l10n.t('tax.line', { rate: l.label, amount: l10n.yen(l.amount), basis, tax: l10n.yen(l.tax) }));
+  if (tax.nonTaxable) lines.push(l10n.t('tax.nonTaxable', { amount: l10n.yen(tax.nonTaxable) }));
+  lines.push(l10n.t('tax.rounding', { rounding: l10n.t('tax.rounding.' + tax.rounding) }) + (quote.inquiry ? l10n.t('tax.excludingCharter') : ''));
+  if (tax.registrationNumber) lines.push(l10n.t('tax.registration', { number: tax.registrationNumber }));
+  return lines;
+}
+
+// 割引（catalog.discounts）: one line per applied rule
+function formatDiscountLines(quote, tr) {
+  const l10n = tr || i18n;
+  return quote.discountLines.map(l => l10n.t('discount.line', { label: l10n.name('discounts', l.label), amount: l10n.yen(l.amount) })
+    + (l.capped ? l10n.t('discount.capped') : ''));
+}
+
+// Coupon field: shown only when a discount rule asks for a code; the status line says whether it applied
+function renderCouponStatus(quote) {
+  if (!couponFieldEl) return;
+  const rules = (catalog.discounts && catalog.discounts.rules) || [];
+  couponFieldEl.hidden = !rules.some(r => r.when && r.when.coupon !== undefined) && !state.coupon;
+  const status = quote.coupon.status;
+  couponStatusEl.textContent = status === 'none' ? '' : t('coupon.' + status, { code: quote.coupon.code });
+  couponStatusEl.classList.toggle('field-error', status === 'unknown' || status === 'notApplicable');
+  couponEl.classList.toggle('invalid', status === 'unknown' || status === 'notApplicable');
+}
+
+// '250〜500円' (or a single price when min and max are equal)
+function formatItemRange(min, max, tr) {
+  const l10n = tr || i18n;
+  return min === max ? l10n.yen(min) : l10n.t('items.range', { min: l10n.yen(min), max: l10n.yen(max) });
+}
 
-  return { total, subtotal, rentalTotal, breakdown: {men,women,student,totalPeople, minPeopleUsed, minPriceUsed, extraCount, extraChargeAmount, shortageCount} };
+// 購入品: one line per ordered item with its price range; the estimate is kept out of the total
+function formatItemLines(quote, tr) {
+  const l10n = tr || i18n;
+  return quote.itemLines.map(l => l10n.t('items.line', {
+    name: l10n.name('items', l.name), qty: l.qty, range: formatItemRange(l.minAmount, l.maxAmount, l10n)
+  }));
+}
+
+function formatRefundLines(quote, tr) {
+  const l10n = tr || i18n;
+  return quote.refundLines.map(l => l10n.t('refund.line', {
+    name: l10n.name('rentals', l.name), unitRefund: l10n.yen(l.unitRefund), qty: l.qty, amount: l10n.yen(l.refundAmount)
+  }));
+}
+
+// Quote warnings in the UI language
+function formatWarnings(quote) {
+  return quote.warnings.map((w, i) => {
+    const code = quote.warningCodes[i] || {};
+    return i18n.message(code.code, code.params, w);
+  });
 }
 
 // Recalculate and update UI
 function calculateAndRender() {
-  const res = calculateTotal();
+  if (!catalog) return null;
+  applyRentalLimits();
+  const quote = calculateTotal();
   // Render breakdown with clearer formatting and charter notes
   const parts = [];
   parts.push('');
-  parts.push('プラン：' + state.tripType + (state.plan ? (' ' + state.plan) : ''));
+  parts.push(escapeHtml(t('summary.plan', { plan: i18n.tripType(quote.tripType) + (quote.plan ? (' ' + i18n.name('plans', quote.plan)) : '') })));
   parts.push('');
-  parts.push('日付：' + formatDateWithWeekday(state.date));
+  parts.push(escapeHtml(t('summary.date', { date: formatDateWithWeekday(quote.date) })));
   // 人数表示は予約内容から除外（画面が冗長になるため）
 
-  // For 仕立て船, show applied minPeople/minPrice and shortages/extras
-  if (state.tripType === '仕立て船') {
-    const bp = res.breakdown;
-    if (bp.minPeopleUsed) {
+  if (!quote.available) {
+    // The plan does not run on this date: show why instead of a price
+    for (const w of formatWarnings(quote)) {
       parts.push('');
-      parts.push('料金内訳：');
-      parts.push(`  ・最低料金：${bp.minPeopleUsed}名分 = ${bp.minPriceUsed.toLocaleString()}円（乗合船の大人料金で計算）`);
-      if (bp.shortageCount && bp.shortageCount > 0) {
-        parts.push(`  ・不足分：${bp.shortageCount}名分は最低料金により加算されています（実人数が最低人数に満たないため）`);
-      }
-      if (bp.extraCount && bp.extraCount > 0) {
-        parts.push(`  ・超過分：${bp.extraCount}名分の追加料金 = ${bp.extraChargeAmount.toLocaleString()}円`);
-      }
-    }
-  } else {
-    // Non-charter: show per-person breakdown
-    const fareObj = (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].fare) || null;
-    if (fareObj) {
-      parts.push('');
-      parts.push('料金内訳：');
-      if (res.breakdown.men) parts.push(` ・男性 ${res.breakdown.men}名 × ${fareObj.men.toLocaleString()}円 = ${(res.breakdown.men * fareObj.men).toLocaleString()}円`);
-      if (res.breakdown.women) parts.push(` ・女性 ${res.breakdown.women}名 × ${fareObj.women.toLocaleString()}円 = ${(res.breakdown.women * fareObj.women).toLocaleString()}円`);
-      if (res.breakdown.student) parts.push(` ・子供 ${res.breakdown.student}名 × ${fareObj.student.toLocaleString()}円 = ${(res.breakdown.student * fareObj.student).toLocaleString()}円`);
+      parts.push('<strong>※' + escapeHtml(w) + '</strong>');
     }
+    breakdownEl.innerHTML = parts.join('<br>');
+    renderFixedTotal(quote);
+    renderCouponStatus(quote);
+    renderSeatStatus(quote);
+    renderSplit(quote);
+    renderSettle(quote);
+    renderCancel(quote);
+    updateShareUrl();
+    store.saveDraft(state);
+    return quote;
   }
 
-  // rental description
-  const rentParts = [];
-  const refundParts = [];
-  for (const [name, qty] of Object.entries(state.rentals || {})) {
-    // Do not include 仕掛け in rental breakdown (it's a備考 and not charged via this form)
-    if (name === '仕掛け') continue;
-    if (!qty || qty <= 0) continue;
-    // find price and refund (plan-specific rental preferred)
-    let rInfo = null;
-    if (plans[state.tripType] && plans[state.tripType][state.plan] && plans[state.tripType][state.plan].rental && plans[state.tripType][state.plan].rental[name]) {
-      rInfo = plans[state.tripType][state.plan].rental[name];
-    } else if (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].rental && plans['乗合船'][state.plan].rental[name]) {
-      rInfo = plans['乗合船'][state.plan].rental[name];
-    } else if (commonRental[name] !== undefined) {
-      rInfo = (typeof commonRental[name] === 'object') ? commonRental[name] : { price: commonRental[name] };
-    }
-    let rprice = 0;
-    if (rInfo) {
-      if (typeof rInfo === 'object' && rInfo.price !== undefined) {
-        rprice = rInfo.price;
-      } else if (typeof rInfo === 'number') {
-        rprice = rInfo;
-      }
-    }
-    rentParts.push(`${name} × ${qty} = ${(rprice * qty).toLocaleString()}円`);
-    if (rInfo && rInfo.refund) {
-      const perRefund = Number(rInfo.refund) || 0;
-      const totalRefund = perRefund * qty;
-      refundParts.push(`${name}：${perRefund.toLocaleString()}円 × ${qty} = ${totalRefund.toLocaleString()}円`);
-    }
+  const fareLines = formatFareLines(quote);
+  if (fareLines.length) {
+    parts.push('');
+    parts.push(escapeHtml(t('summary.fares')));
+    for (const l of fareLines) parts.push(' ' + escapeHtml(l));
+  }
+  const discountLines = formatDiscountLines(quote);
+  if (discountLines.length) {
+    parts.push('');
+    parts.push(escapeHtml(t('summary.discounts')));
+    for (const l of discountLines) parts.push(' ' + escapeHtml(l));
   }
+
   parts.push('');
-if (rentParts.length) {
-  parts.push('レンタル：');
-  for (const r of rentParts) parts.push(' ・' + r);
-} else {
-  parts.push('レンタル：なし');
-}
-  if (refundParts.length) {
+  if (quote.rentalLines.length) {
+    parts.push(escapeHtml(t('summary.rentals')));
+    for (const l of quote.rentalLines) {
+      parts.push(' ' + escapeHtml(t('summary.rentalLine', { name: i18n.name('rentals', l.name), qty: l.qty, amount: i18n.yen(l.amount) })));
+    }
+  } else {
+    parts.push(escapeHtml(t('summary.noRentals')));
+  }
+  const refundLines = formatRefundLines(quote);
+  if (refundLines.length) {
     parts.push('');
-    parts.push('※返却時に返金のあるレンタル：');
-    for (const f of refundParts) parts.push(' ・' + f);
+    parts.push(escapeHtml(t('summary.refunds')));
+    for (const f of refundLines) parts.push(' ' + escapeHtml(f));
   }
-  // 備考：仕掛けはレンタル扱いではありません（250〜500円／釣り物により変動）。
   parts.push('');
 
-  parts.push('合計金額：' + res.total.toLocaleString() + '円');
+  parts.push(escapeHtml(t('summary.total', { total: formatTotal(quote) })));
+  const taxLines = formatTaxLines(quote);
+  if (taxLines.length) {
+    parts.push('<span class="tax-lines">' + taxLines.map(escapeHtml).join('<br>') + '</span>');
+  }
+  const deposit = formatDeposit(quote);
+  if (deposit) {
+    parts.push('');
+    parts.push(escapeHtml(t('deposit.payable', { amount: deposit.payable })));
+    parts.push(escapeHtml(t('deposit.refund', { amount: deposit.refund })));
+    parts.push('<strong>' + escapeHtml(t('deposit.net', { amount: deposit.net })) + '</strong>');
+  }
+  const itemLines = formatItemLines(quote);
+  if (itemLines.length) {
+    parts.push('');
+    parts.push(escapeHtml(t('summary.items')));
+    for (const l of itemLines) parts.push(' ' + escapeHtml(l));
+    parts.push(escapeHtml(t('items.estimate', { range: formatItemRange(quote.itemEstimate.min, quote.itemEstimate.max) })));
+  }
+  for (const w of formatWarnings(quote)) {
+    parts.push('');
+    parts.push('※' + escapeHtml(w));
+  }
 
   // Use div with line breaks preserved
   breakdownEl.innerHTML = parts.join('<br>');
-  if (fixedTotalAmountEl) fixedTotalAmountEl.textContent = '合計：' + res.total.toLocaleString() + '円';
+  renderFixedTotal(quote);
+  renderCouponStatus(quote);
+  renderSeatStatus(quote);
+  renderSplit(quote);
+  renderSettle(quote);
+  renderCancel(quote);
+  updateShareUrl();
+  store.saveDraft(state);
+
+  return quote;
+}
+
+// --- Reservation mail (mail-template.js) ---
+// Placeholder values for the mail templates; all amounts are display-ready strings.
+// The mail goes to the shop, so it is written in Japanese whatever the UI language is.
+// Available: tripType, plan, date, weekday, dateText, times{meet, depart}, charter{tierLabel, reason},
+// people{men, women, student, total}, fareLines[{text}], rentals[{name, qty, unitPrice, amount}],
+// hasItems, items[{name, qty, range, text}], itemRange (購入品の目安, not part of the total),
+// hasRefunds, refunds[{name, unitRefund, qty, amount}], hasDiscounts, discounts[{label, amount, text}], coupon,
+// total, taxLines[{text}], registrationNumber, quoteNumber (見積番号, quoteNumberFor), contact{name, kana, phone, email, request},
+// deposit{payable, refund, net} (当日お支払い・返却時返金・実質負担額, when a rental is refunded on return),
+// cancellation{tripType, text} (キャンセル規定 of the trip type in one line, when the catalog has one),
+// hasSplit, splitRule, splitRows[{name, fare, rentals, tax, total, refund, text}] (割り勘, when turned on),
+// hasRelay, relayLines[{plan, amount, text}] (legs of a relay plan; times.relay[{plan, depart}] for later departures)
+function buildMailContext(quote, contact, quoteNumber) {
+  const ja = mailI18n;
+  const yen = (n) => ja.yen(n);
+  const times = getTimesForPlan(quote.plan, quote.tripType);
+  const c = contact ? Contact.normalizeContact(contact) : null;
+  const split = computeSplitRows(quote);
+  let charter = null;
+  if (quote.charter) {
+    charter = quote.charter.inquiry
+      ? { tierLabel: '要問合せ', reason: quote.charter.reason }
+      : { tierLabel: quote.charter.tierLabel, reason: quote.charter.reason };
+  }
+  return {
+    tripType: quote.tripType,
+    plan: quote.plan || '',
+    quoteNumber: quoteNumber || '',
+    date: quote.date || '',
+    weekday: getWeekdayName(quote.date, ja),
+    dateText: formatDateWithWeekday(quote.date, ja),
+    times: (times.meet && times.depart) ? times : null,
+    charter,
+    people: quote.people,
+    fareLines: formatFareLines(quote, ja).map(text => ({ text })),
+    rentals: quote.rentalLines.map(l => ({ name: l.name, qty: l.qty, unitPrice: yen(l.unitPrice), amount: yen(l.amount) })),
+    hasItems: quote.itemLines.length > 0,
+    items: quote.itemLines.map((l, i) => ({ name: l.name, qty: l.qty, range: formatItemRange(l.minAmount, l.maxAmount, ja), text: formatItemLines(quote, ja)[i] })),
+    itemRange: formatItemRange(quote.itemEstimate.min, quote.itemEstimate.max, ja),
+    hasRefunds: quote.refundLines.length > 0,
+    refunds: quote.refundLines.map(l => ({ name: l.name, unitRefund: yen(l.unitRefund), qty: l.qty, amount: yen(l.refundAmount) })),
+    hasDiscounts: quote.discountLines.length > 0,
+    discounts: quote.discountLines.map((l, i) => ({ label: l.label, amount: yen(l.amount), text: formatDiscountLines(quote, ja)[i] })),
+    coupon: quote.coupon.status === 'applied' ? quote.coupon.code : '',
+    total: formatTotal(quote, ja),
+    taxLines: formatTaxLines(quote, ja).map(text => ({ text })),
+    registrationNumber: quote.tax ? quote.tax.registrationNumber : '',
+    deposit: formatDeposit(quote, ja),
+    cancellation: cancellationContext(quote.tripType),
+    hasRelay: quote.relayLines.length > 0 && quote.people.total > 0,
+    relayLines: quote.relayLines.map((l, i) => ({ plan: l.plan, amount: yen(l.amount), text: formatRelayLines(quote, ja)[i].trim() })),
+    hasSplit: !!split,
+    splitRule: ja.t('split.rule', { fare: ja.t('split.fare.' + state.split.fare), rentals: ja.t('split.rentals.' + state.split.rentals) }),
+    splitRows: split ? split.rows.map((r, i) => ({
+      name: participantLabel(i, ja), fare: yen(r.fare), rentals: yen(r.rentals), tax: yen(r.tax), total: yen(r.total), refund: yen(r.refund),
+      text: formatSplitLine(r, participantLabel(i, ja), ja)
+    })) : [],
+    contact: c && {
+      name: c.name,
+      kana: c.kana,
+      phone: c.phone,
+      email: c.email || '（未入力）',
+      request: c.request ? c.request.replace(/\r?\n/g, '\n  ') : 'なし'
+    }
+  };
+}
+
+function cancellationContext(tripType) {
+  const text = formatCancellationSummary(tripType, mailI18n);
+  return text ? { tripType, text } : null;
+}
+
+// One mail for all trips in the cart (MailTemplate.CART_TEMPLATE). Each trip's body comes from its
+// trip type's template without the contact section; the 割り勘 table belongs to the form and is left out.
+// quoteNumbers: one 見積番号 per trip, in cart order.
+function buildCartMail(priced, contact, quoteNumbers) {
+  const ja = mailI18n;
+  const trips = priced.lines.map((l, i) => {
+    const context = Object.assign(buildMailContext(l.quote, null, (quoteNumbers || [])[i]), { hasSplit: false, cancellation: null });
+    return {
+      index: i + 1,
+      tripType: l.quote.tripType,
+      plan: l.quote.plan || '',
+      dateText: formatDateWithWeekday(l.quote.date, ja),
+      total: formatTotal(l.quote, ja),
+      body: MailTemplate.render(MailTemplate.getTemplate(l.quote.tripType, catalog).body, context).replace(/\s+$/, '')
+    };
+  });
+  const dates = priced.lines.map(l => l.quote.date).sort();
+  const context = Object.assign(buildMailContext(priced.lines[0].quote, contact), {
+    count: trips.length,
+    firstDate: formatDateWithWeekday(dates[0], ja),
+    lastDate: formatDateWithWeekday(dates[dates.length - 1], ja),
+    trips,
+    grandTotal: formatCartTotal(priced, ja),
+    // キャンセル規定 once per trip type at the end instead of inside every trip
+    cancellationPolicies: priced.lines.map(l => l.quote.tripType)
+      .filter((type, i, types) => types.indexOf(type) === i)
+      .map(cancellationContext)
+      .filter(Boolean)
+  });
+  context.hasCancellationPolicies = context.cancellationPolicies.length > 0;
+  return {
+    to: catalog.contact.email,
+    subject: MailTemplate.render(MailTemplate.CART_TEMPLATE.subject, context).trim(),
+    body: MailTemplate.render(MailTemplate.CART_TEMPLATE.body, context).replace(/\s+$/, '')
+  };
+}
+
+// '・山田：8,300円（乗船料 6,800円・レンタル 1,500円）'
+function formatSplitLine(row, name, tr) {
+  const l10n = tr || i18n;
+  const detail = [l10n.t('split.detail.fare', { amount: l10n.yen(row.fare) })];
+  if (row.rentals) detail.push(l10n.t('split.detail.rentals', { amount: l10n.yen(row.rentals) }));
+  if (row.tax) detail.push(l10n.t('split.detail.tax', { amount: l10n.yen(row.tax) }));
+  if (row.refund) detail.push(l10n.t('split.detail.refund', { amount: l10n.yen(row.refund) }));
+  return l10n.t('split.line', { name, total: l10n.yen(row.total), detail: detail.join(l10n.t('list.separator')) });
+}
 
-  return res;
+// Render the trip type's template (catalog.mailTemplates, or the built-in default) -> { to, subject, body }
+function buildMail(quote, contact, quoteNumber) {
+  const template = MailTemplate.getTemplate(quote.tripType, catalog);
+  const context = buildMailContext(quote, contact, quoteNumber);
+  return {
+    to: catalog.contact.email,
+    subject: MailTemplate.render(template.subject, context).trim(),
+    body: MailTemplate.render(template.body, context).replace(/\s+$/, '')
+  };
 }
 
-// Mailto creation
+// --- Contact details (contact.js) ---
+// errors: { field: message }, codes: { field: { code, params } } (Contact.validateContact)
+function renderContactErrors(errors, codes) {
+  for (const el of document.querySelectorAll('[data-error-for]')) {
+    const field = el.getAttribute('data-error-for');
+    const code = (codes && codes[field]) || {};
+    el.textContent = errors[field] ? i18n.message(code.code, code.params, errors[field]) : '';
+  }
+  for (const input of contactInputs) {
+    input.classList.toggle('invalid', !!errors[input.getAttribute('data-contact')]);
+  }
+}
+
+// Validate contact details and party size; shows messages and focuses the first invalid field
+function checkContact(quote) {
+  const result = Contact.validateContact(state.contact, quote.people, { requireKana: i18n.locale === 'ja' });
+  renderContactErrors(result.errors, result.codes);
+  if (!result.valid) {
+    const first = contactInputs.find(i => result.errors[i.getAttribute('data-contact')]);
+    (first || menEl).focus();
+  }
+  return result.valid;
+}
+
+function fillContactInputs() {
+  for (const input of contactInputs) {
+    input.value = state.contact[input.getAttribute('data-contact')] || '';
+  }
+}
+
+// Mailto creation (one mail for every trip when the cart holds any)
 function createMailTo() {
-  const res = calculateTotal();
-  const men = Number(state.men)||0, women = Number(state.women)||0, student = Number(state.student)||0;
-  
-  // レンタル
-  const rentParts = [];
-  for (const [name, qty] of Object.entries(state.rentals || {})) {
-    if (qty && qty>0) rentParts.push(`${name}×${qty}`);
-  }
-  const rentalText = rentParts.length ? rentParts.join('、') : 'なし';
-
-  // Build body per spec
-  const bodyLines = [];
-  bodyLines.push('【予約内容】');
-  // The user example uses full-width bracket and formatting; follow sample exactly except line with bracket typo corrected
-  bodyLines[0] = '【予約内容】';
-  bodyLines.push('プラン：' + state.tripType + (state.plan ? (' ' + state.plan) : ''));
-  bodyLines.push('');
-  bodyLines.push('日付：' + formatDateWithWeekday(state.date));
-  const times = getTimesForPlan(state.plan);
-  if (times.meet && times.depart) {
-    bodyLines.push('集合時間：' + times.meet + '、出船時間：' + times.depart);
-  }
-  // 人数はメール本文では表示しない（予約内容を簡潔にするため）
-  bodyLines.push('');
-  bodyLines.push('レンタル：');
-  if (rentParts.length) {
-    for (const r of rentParts) bodyLines.push('  ・' + r);
-  } else {
-    bodyLines.push('  なし');
-  }
-  // include備考 about 仕掛け
-  bodyLines.push('');
-  bodyLines.push('備考：');
-  bodyLines.push('  仕掛けはレンタル扱いではありません（250〜500円／釣り物により変動）。実際の金額は当日ご案内します。');
-  // Include refund note for rentals that have a refund defined
-  const refundBodyParts = [];
-  for (const [name, qty] of Object.entries(state.rentals || {})) {
-    if (!qty || qty <= 0) continue;
-    // find refund info
-    let rInfo = null;
-    if (plans[state.tripType] && plans[state.tripType][state.plan] && plans[state.tripType][state.plan].rental && plans[state.tripType][state.plan].rental[name]) {
-      rInfo = plans[state.tripType][state.plan].rental[name];
-    } else if (plans['乗合船'] && plans['乗合船'][state.plan] && plans['乗合船'][state.plan].rental && plans['乗合船'][state.plan].rental[name]) {
-      rInfo = plans['乗合船'][state.plan].rental[name];
-    } else if (commonRental[name] !== undefined) {
-      rInfo = (typeof commonRental[name] === 'object') ? commonRental[name] : { price: commonRental[name] };
-    }
-    if (rInfo && rInfo.refund) {
-      const perRefund = Number(rInfo.refund) || 0;
-      const totalRefund = perRefund * qty;
-      refundBodyParts.push(`${name}：${perRefund.toLocaleString()}円 × ${qty} = ${totalRefund.toLocaleString()}円`);
-    }
+  if (state.cart.length) {
+    createCartMail();
+    return;
+  }
+  const quote = calculateTotal();
+  if (!quote.available) {
+    alert(t('alert.unavailable', { warnings: formatWarnings(quote).join('\n') }));
+    return;
+  }
+  if (quote.seats && !quote.seats.enough) {
+    alert(t('alert.seats', { warnings: formatWarnings(quote).join('\n') }));
+    return;
   }
-  if (refundBodyParts.length) {
-    bodyLines.push('');
-    bodyLines.push('※レンタル返却時に一部返金があるもの：');
-    for (const f of refundBodyParts) bodyLines.push('  ・' + f);
+  if (!checkContact(quote)) return;
+  const quoteNumber = quoteNumberFor(state);
+  showMailPreview([{ state, quote, quoteNumber }], buildMail(quote, state.contact, quoteNumber));
+}
+
+// Preview the mail before the mailer opens. From the preview the summary can also be copied,
+// shared (LINE / SMS) or added to a calendar; the request is recorded in history once per preview.
+function createCartMail() {
+  const priced = Cart.priceCart(state.cart, catalog);
+  if (!priced.available) {
+    const problems = priced.lines.map((l, i) => ({ i, l })).filter(({ l }) => !l.quote.available || (l.quote.seats && !l.quote.seats.enough))
+      .map(({ i, l }) => t('cart.tripProblem', { index: i + 1, warnings: formatWarnings(l.quote).join(' ') }));
+    alert(t('alert.cartUnavailable', { problems: problems.join('\n') }));
+    return;
   }
-  bodyLines.push('');
-  bodyLines.push('合計金額：' + res.total.toLocaleString() + '円');
+  if (!checkContact(priced)) return;
+  const quoteNumbers = priced.lines.map(l => quoteNumberFor(l.state));
+  showMailPreview(priced.lines.map((l, i) => ({ state: l.state, quote: l.quote, quoteNumber: quoteNumbers[i] })),
+    buildCartMail(priced, state.contact, quoteNumbers));
+}
+
+// trips: [{ state, quote, quoteNumber }] covered by the mail (several for a cart)
+let pendingMail = null;
+
+function showMailPreview(trips, mail) {
+  pendingMail = { trips, mail, recorded: false };
+  mailPreviewToEl.textContent = mail.to;
+  mailPreviewSubjectEl.textContent = mail.subject;
+  mailPreviewBodyEl.textContent = mail.body;
+  setDeliveryStatus('');
+  mailPreviewEl.hidden = false;
+  mailPreviewSendBtn.focus();
+}
 
-  const body = bodyLines.join('\n');
+function closeMailPreview() {
+  mailPreviewEl.hidden = true;
+  pendingMail = null;
+  mailtoBtn.focus();
+}
+
+function setDeliveryStatus(message) {
+  mailPreviewStatusEl.textContent = message;
+  mailPreviewStatusEl.hidden = !message;
+}
 
-  const to = 'yoyaku@example.com';
-  const subject = '釣り船予約依頼';
-  const mailto = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+function recordPendingMail() {
+  if (pendingMail.recorded) return;
+  pendingMail.recorded = true;
+  for (const trip of pendingMail.trips) store.addHistory(trip.state, trip.quote, trip.quoteNumber);
+  renderHistory();
+}
+
+function sendPendingMail() {
+  if (!pendingMail) return;
+  const { mail } = pendingMail;
+  const mailto = Delivery.buildMailto(mail);
+  recordPendingMail();
+
+  // long bodies are cut off or ignored by mail clients: copy the text and open the mailer
+  // with only the address and subject, so the customer pastes the body
+  if (Delivery.isMailtoTooLong(mailto)) {
+    copyPendingText(t('delivery.tooLong', { to: mail.to }))
+      .then(copied => {
+        if (copied) window.location.href = Delivery.buildMailto({ to: mail.to, subject: mail.subject, body: '' });
+      });
+    return;
+  }
+  closeMailPreview();
 
   // open default mailer
   window.location.href = mailto;
 }
 
+// Resolves to true when the text reached the clipboard
+function copyPendingText(doneMessage) {
+  if (!pendingMail) return Promise.resolve(false);
+  const text = Delivery.formatShareText(pendingMail.mail);
+  recordPendingMail();
+  const fallback = () => {
+    setDeliveryStatus(t('delivery.copyFailed'));
+    selectPreviewBody();
+    return false;
+  };
+  if (!navigator.clipboard || !navigator.clipboard.writeText) return Promise.resolve(fallback());
+  return navigator.clipboard.writeText(text).then(() => {
+    setDeliveryStatus(doneMessage || t('delivery.copied'));
+    return true;
+  }, fallback);
+}
+
+function selectPreviewBody() {
+  const range = document.createRange();
+  range.selectNodeContents(mailPreviewBodyEl);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+// Web Share API (share sheet on phones: LINE, SMS, ...); falls back to the clipboard
+function sharePendingText() {
+  if (!pendingMail) return;
+  const text = Delivery.formatShareText(pendingMail.mail);
+  if (navigator.share) {
+    navigator.share({ title: pendingMail.mail.subject, text }).then(
+      () => { recordPendingMail(); setDeliveryStatus(t('delivery.shared')); },
+      (err) => { if (!err || err.name !== 'AbortError') copyPendingText(t('delivery.shareFailed')); }
+    );
+  } else {
+    copyPendingText(t('delivery.copiedForShare'));
+  }
+}
+
+// A short summary for the calendar event (plan, people, total, 見積番号); the mail body with the
+// breakdown and contact details stays out of the .ics
+function formatIcsDescription(trip) {
+  const quote = trip.quote;
+  const people = Pricing.PEOPLE_CATEGORIES.filter(c => quote.people[c.key])
+    .map(c => t('estimate.peopleEntry', { label: t('people.' + c.key), count: quote.people[c.key] }))
+    .join(t('list.separator'));
+  return [
+    t('delivery.icsPlan', { tripType: i18n.tripType(quote.tripType), plan: i18n.name('plans', quote.plan) }),
+    t('estimate.people', { total: quote.people.total, detail: people ? t('estimate.peopleDetail', { list: people }) : '' }),
+    t('delivery.icsTotal', { total: formatTotal(quote) }),
+    trip.quoteNumber ? t('estimate.number', { number: trip.quoteNumber }) : ''
+  ].filter(Boolean).join('\n');
+}
+
+function downloadPendingIcs() {
+  if (!pendingMail) return;
+  const { trips } = pendingMail;
+  const quote = trips[0].quote;
+  const harbor = catalog.contact.harbor || {};
+  const ics = Delivery.buildIcs(trips.map(trip => {
+    const times = getTimesForPlan(trip.quote.plan, trip.quote.tripType);
+    return {
+      date: trip.quote.date,
+      times: (times.meet && times.depart) ? times : null,
+      summary: t('delivery.icsSummary', { tripType: i18n.tripType(trip.quote.tripType), plan: i18n.name('plans', trip.quote.plan) }),
+      location: [harbor.name, harbor.address].filter(Boolean).join(' '),
+      description: formatIcsDescription(trip)
+    };
+  }));
+  const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `reservation-${quote.date}.ics`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setDeliveryStatus(t('delivery.icsSaved'));
+}
+
+// --- Estimate document (estimate.js) ---
+function openEstimate() {
+  const quote = calculateTotal();
+  if (!quote.available) {
+    alert(t('alert.unavailable', { warnings: formatWarnings(quote).join('\n') }));
+    return;
+  }
+  // printing the same quote again keeps its number; a changed quote gets a new one
+  const key = quoteKey(state);
+  if (!state.estimate || state.estimate.key !== key) {
+    state.estimate = { number: Estimate.createQuoteNumber(), key };
+    store.saveDraft(state);
+  }
+  const settings = catalog.estimate || {};
+  const doc = Estimate.buildEstimate(quote, {
+    number: state.estimate.number,
+    validDays: settings.validDays,
+    notes: settings.notes,
+    shop: catalog.contact,
+    customer: Contact.normalizeContact(state.contact),
+    i18n
+  });
+  estimateDocEl.innerHTML = renderEstimateHtml(doc, quote);
+  estimateViewEl.hidden = false;
+  document.body.classList.add('estimate-open');
+  estimatePrintBtn.focus();
+}
+
+// Same key for the form and its cart copy (the cart drops rentals and items left at 0)
+function quoteKey(s) {
+  const input = Cart.quoteInput(s);
+  const ordered = (map) => Object.keys(map || {}).filter(name => map[name] > 0).sort().map(name => [name, map[name]]);
+  return JSON.stringify(Object.assign(input, { rentals: ordered(input.rentals), items: ordered(input.items) }));
+}
+
+// The number of the 見積書 issued for this trip, or a new one, so the shop can match the mail
+// (and the history entry) to the estimate the customer holds
+function quoteNumberFor(tripState) {
+  const issued = state.estimate;
+  return issued && issued.key === quoteKey(tripState) ? issued.number : Estimate.createQuoteNumber();
+}
+
+function closeEstimate() {
+  estimateViewEl.hidden = true;
+  document.body.classList.remove('estimate-open');
+  estimateBtn.focus();
+}
+
+function renderEstimateHtml(doc, quote) {
+  const yen = (n) => (n === null ? t('total.inquiry') : i18n.yen(n));
+  const shop = doc.shop;
+  const harbor = shop.harbor || {};
+  const times = getTimesForPlan(quote.plan);
+  const people = Pricing.PEOPLE_CATEGORIES.filter(c => quote.people[c.key])
+    .map(c => t('estimate.peopleEntry', { label: t('people.' + c.key), count: quote.people[c.key] }))
+    .join(t('list.separator'));
+  const row = (r) => `<tr><td>${escapeHtml(r.label)}${r.detail ? `<span class="detail">${escapeHtml(r.detail)}</span>` : ''}</td>`
+    + `<td class="num">${r.qty}${escapeHtml(r.unit)}</td><td class="num">${yen(r.unitPrice)}</td><td class="num">${yen(r.amount)}</td></tr>`;
+  const head = `<thead><tr><th>${t('estimate.col.item')}</th><th>${t('estimate.col.qty')}</th>`
+    + `<th>${t('estimate.col.unitPrice')}</th><th>${t('estimate.col.amount')}</th></tr></thead>`;
+
+  const parts = [];
+  parts.push(`<h1 class="estimate-title">${t('estimate.title')}</h1>`);
+  parts.push('<div class="estimate-head"><div>');
+  parts.push(`<div class="estimate-customer">${escapeHtml(t('estimate.customer', { name: doc.customer.name || '' }))}</div>`);
+  parts.push(`<p>${t('estimate.lead')}</p>`);
+  parts.push('</div><div>');
+  parts.push('<div class="estimate-meta">' + [
+    t('estimate.number', { number: doc.number }),
+    t('estimate.issueDate', { date: formatDateWithWeekday(doc.issueDate) }),
+    t('estimate.validUntil', { date: formatDateWithWeekday(doc.validUntil) })
+  ].map(escapeHtml).join('<br>') + '</div>');
+  parts.push('<div class="estimate-shop">');
+  if (shop.shopName) parts.push(`<div class="estimate-shop-name">${escapeHtml(shop.shopName)}</div>`);
+  if (harbor.address) parts.push(`<div>${escapeHtml(harbor.address)}</div>`);
+  if (shop.phone) parts.push(`<div>${escapeHtml(t('estimate.phone', { phone: shop.phone }))}</div>`);
+  if (shop.email) parts.push(`<div>${escapeHtml(shop.email)}</div>`);
+  if (doc.tax && doc.tax.registrationNumber) parts.push(`<div>${escapeHtml(t('estimate.registration', { number: doc.tax.registrationNumber }))}</div>`);
+  parts.push('</div></div></div>');
+
+  parts.push(`<div class="estimate-total"><span>${t('estimate.amount')}</span><span>${escapeHtml(formatTotal(quote))}</span></div>`);
+  parts.push('<p class="estimate-info">');
+  parts.push(escapeHtml(t('estimate.subject', { title: doc.title })) + '<br>' + escapeHtml(t('estimate.tripDate', { date: formatDateWithWeekday(quote.date) })));
+  if (times.meet && times.depart) parts.push(escapeHtml(t('estimate.times', times)));
+  parts.push('<br>' + escapeHtml(t('estimate.people', { total: quote.people.total, detail: people ? t('estimate.peopleDetail', { list: people }) : '' })));
+  parts.push('</p>');
+
+  parts.push(`<table class="estimate-table">${head}<tbody>`);
+  parts.push(doc.rows.map(row).join(''));
+  parts.push(`</tbody><tfoot><tr><td colspan="3">${t('estimate.sum')}</td><td class="num">${escapeHtml(formatTotal(quote))}</td></tr></tfoot></table>`);
+
+  if (doc.tax) {
+    const basis = t(doc.tax.inclusive ? 'tax.inclusive' : 'tax.exclusive');
+    parts.push(`<table class="estimate-table estimate-tax"><thead><tr><th>${t('estimate.taxTitle.rate')}</th>`
+      + `<th>${escapeHtml(t('estimate.taxTitle.amount', { basis }))}</th><th>${t('estimate.taxTitle.tax')}</th></tr></thead><tbody>`);
+    for (const l of doc.tax.lines) {
+      parts.push(`<tr><td>${escapeHtml(t('estimate.taxRow', { rate: l.label }))}</td><td class="num">${i18n.yen(l.amount)}</td><td class="num">${i18n.yen(l.tax)}</td></tr>`);
+    }
+    if (doc.tax.nonTaxable) {
+      parts.push(`<tr><td>${t('estimate.taxNonTaxable')}</td><td class="num">${i18n.yen(doc.tax.nonTaxable)}</td><td class="num">—</td></tr>`);
+    }
+    parts.push(`</tbody></table><p class="estimate-info">${escapeHtml(t('estimate.taxNote', { rounding: t('tax.rounding.' + doc.tax.rounding) }))}</p>`);
+  }
+
+  if (doc.refundRows.length) {
+    parts.push(`<h2 class="estimate-subtitle">${t('estimate.refundTitle')}</h2>`);
+    parts.push(`<table class="estimate-table">${head}<tbody>`);
+    parts.push(doc.refundRows.map(row).join(''));
+    parts.push('</tbody></table>');
+  }
+  parts.push(`<ul class="estimate-notes">${doc.notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>`);
+  return parts.join('');
+}
+
 // Event wiring
 tripTypeEl.addEventListener('change', (e) => {
   state.tripType = e.target.value;
@@ -805,9 +1485,97 @@ planSelectEl.addEventListener('change', (e) => {
 dateEl.addEventListener('change', (e) => {
   state.date = e.target.value;
   updateDateWeekdayDisplay();
+  refreshPlanAvailability();
   calculateAndRender();
 });
 
+// Suggested date / plan with free seats: switch the form to it
+if (seatSuggestionsEl) {
+  seatSuggestionsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const target = btn.hasAttribute('data-suggest-date') ? dateEl : planSelectEl;
+    target.value = btn.getAttribute(btn.hasAttribute('data-suggest-date') ? 'data-suggest-date' : 'data-suggest-plan');
+    target.dispatchEvent(new Event('change'));
+  });
+}
+
+if (splitPanelEl) {
+  splitToggleEl.addEventListener('change', () => {
+    state.split.enabled = splitToggleEl.checked;
+    calculateAndRender();
+  });
+  splitFareRuleEl.addEventListener('change', () => {
+    state.split.fare = splitFareRuleEl.value;
+    calculateAndRender();
+  });
+  splitRentalRuleEl.addEventListener('change', () => {
+    state.split.rentals = splitRentalRuleEl.value;
+    calculateAndRender();
+  });
+  // names and per-person rentals (the list is rebuilt by renderParticipants)
+  const onParticipantInput = (e) => {
+    const el = e.target;
+    const p = state.split.participants[Number(el.getAttribute('data-participant'))];
+    if (!p) return;
+    if (el.hasAttribute('data-rental')) {
+      p.rentals[el.getAttribute('data-rental')] = Number(el.value) || 0;
+    } else {
+      p.name = el.value;
+    }
+    calculateAndRender();
+  };
+  participantListEl.addEventListener('input', onParticipantInput);
+  participantListEl.addEventListener('change', onParticipantInput);
+}
+
+if (settleFieldEl) {
+  settleToggleEl.addEventListener('change', () => {
+    state.settle.enabled = settleToggleEl.checked;
+    calculateAndRender();
+  });
+  settleTableEl.addEventListener('change', (e) => {
+    const el = e.target.closest('[data-settle]');
+    if (!el) return;
+    const name = el.getAttribute('data-settle');
+    state.settle.marks[name] = Object.assign({ returned: 0, lost: 0 }, state.settle.marks[name], { [el.getAttribute('data-mark')]: Number(el.value) || 0 });
+    calculateAndRender();
+  });
+  settlePanelEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-settle-action]');
+    if (!btn) return;
+    const quote = calculateTotal();
+    state.settle.marks = {};
+    if (btn.getAttribute('data-settle-action') === 'all') {
+      for (const l of quote.refundLines) state.settle.marks[l.name] = { returned: l.qty, lost: 0 };
+    }
+    calculateAndRender();
+  });
+}
+
+if (cancelFieldEl) {
+  cancelToggleEl.addEventListener('change', () => {
+    state.cancel.enabled = cancelToggleEl.checked;
+    if (state.cancel.enabled && !state.cancel.date) state.cancel.date = Pricing.toISODate(new Date());
+    calculateAndRender();
+  });
+  cancelDateEl.addEventListener('change', () => {
+    state.cancel.date = cancelDateEl.value;
+    calculateAndRender();
+  });
+  cancelWeatherEl.addEventListener('change', () => {
+    state.cancel.weather = cancelWeatherEl.checked;
+    calculateAndRender();
+  });
+}
+
+if (couponEl) {
+  couponEl.addEventListener('input', () => {
+    state.coupon = couponEl.value;
+    calculateAndRender();
+  });
+}
+
 menEl.addEventListener('input', (e) => { state.men = Number(e.target.value)||0; calculateAndRender(); });
 womenEl.addEventListener('input', (e) => { state.women = Number(e.target.value)||0; calculateAndRender(); });
 studentEl.addEventListener('input', (e) => { state.student = Number(e.target.value)||0; calculateAndRender(); });
@@ -816,26 +1584,404 @@ menEl.addEventListener('change', (e) => { state.men = Number(e.target.value)||0;
 womenEl.addEventListener('change', (e) => { state.women = Number(e.target.value)||0; calculateAndRender(); });
 studentEl.addEventListener('change', (e) => { state.student = Number(e.target.value)||0; calculateAndRender(); });
 
+for (const input of contactInputs) {
+  input.addEventListener('input', () => {
+    const key = input.getAttribute('data-contact');
+    state.contact[key] = input.value;
+    // clear this field's message while typing; full validation runs on mail creation
+    const errEl = document.querySelector(`[data-error-for="${key}"]`);
+    if (errEl) errEl.textContent = '';
+    input.classList.remove('invalid');
+    store.saveDraft(state);
+  });
+}
+
 mailtoBtn.addEventListener('click', (e) => {
   e.preventDefault();
   createMailTo();
 });
 
+if (cartListEl) {
+  cartAddBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    addToCart();
+  });
+  cartListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const action = btn.getAttribute('data-action');
+    const item = e.target.closest('.cart-item');
+    const id = item && item.getAttribute('data-id');
+    if (action === 'edit') {
+      editCartItem(id);
+      return;
+    }
+    if (action === 'cancel') {
+      state.cartEditing = null;
+    } else if (action === 'remove') {
+      state.cart = Cart.removeItem(state.cart, id);
+      if (state.cartEditing === id) state.cartEditing = null;
+    } else if (action === 'clear' && window.confirm(t('cart.confirmClear'))) {
+      state.cart = [];
+      state.cartEditing = null;
+    }
+    renderCart();
+    store.saveDraft(state);
+  });
+}
+
+mailPreviewSendBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  sendPendingMail();
+});
+mailPreviewCancelBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  closeMailPreview();
+});
+copyTextBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  copyPendingText();
+});
+shareTextBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  sharePendingText();
+});
+icsBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  downloadPendingIcs();
+});
+estimateBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  openEstimate();
+});
+estimatePrintBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  window.print();
+});
+estimateCloseBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  closeEstimate();
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && !mailPreviewEl.hidden) closeMailPreview();
+  if (e.key === 'Escape' && !estimateViewEl.hidden) closeEstimate();
+});
+
+if (historyListEl) {
+  historyListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    const item = e.target.closest('.history-item');
+    if (!btn || !item) return;
+    const id = item.getAttribute('data-id');
+    const action = btn.getAttribute('data-action');
+    if (action === 'open') openHistoryEntry(id);
+    else if (action === 'duplicate') duplicateHistoryEntry(id);
+    else if (action === 'delete' && window.confirm(t('history.confirmDelete'))) {
+      store.removeHistory(id);
+      renderHistory();
+    }
+  });
+}
+
+if (langSelectEl) langSelectEl.addEventListener('change', () => setLocale(langSelectEl.value));
+
+shareLinkBtn.addEventListener('click', (e) => {
+  e.preventDefault();
+  copyShareLink();
+});
+
+// A quote link pasted into the address bar of an open page
+window.addEventListener('hashchange', () => {
+  if (!catalog) return;
+  const link = QuoteLink.decode(window.location.hash);
+  if (link) applyQuoteLink(link);
+});
+
 resetBtn.addEventListener('click', () => {
   tripTypeEl.value = '乗合船';
   state.tripType = '乗合船';
   state.men = state.women = state.student = 0;
-  state.shikake = {};
+  state.items = {};
+  state.coupon = '';
+  if (couponEl) couponEl.value = '';
+  state.contact = Contact.emptyContact();
+  fillContactInputs();
+  renderContactErrors({});
+  state.split = emptySplit();
+  fillSplitInputs();
+  state.settle = emptySettle();
+  state.cancel = emptyCancel();
+  state.estimate = null;
   menEl.value = womenEl.value = studentEl.value = 0;
   dateEl.valueAsDate = new Date();
   state.date = dateEl.value;
+  renderRestoreNotice('', []);
   updatePlanOptions();
   calculateAndRender();
 });
 
+// --- Shareable quote links (quote-link.js) ---
+// Keep the URL hash in sync with the form so the address bar is always a shareable link
+function updateShareUrl() {
+  const hash = '#' + QuoteLink.encode(state);
+  if (window.location.hash === hash) return;
+  try {
+    window.history.replaceState(null, '', hash);
+  } catch (e) {
+    // some browsers refuse history updates for file:// pages; the copy button still works
+  }
+}
+
+function getShareUrl() {
+  return window.location.href.split('#')[0] + '#' + QuoteLink.encode(state);
+}
+
+// Apply a saved form state (quote link, draft or history entry) to the form.
+// Returns values that do not exist in the current catalog so they can be reported
+// instead of being silently dropped.
+function restoreFormState(s) {
+  if (s.tripType) {
+    state.tripType = s.tripType;
+    tripTypeEl.value = s.tripType;
+  }
+  if (s.date) {
+    state.date = s.date;
+    dateEl.value = s.date;
+    updateDateWeekdayDisplay();
+  }
+  for (const k of ['men', 'women', 'student']) {
+    if (s[k] !== undefined) state[k] = s[k];
+  }
+  if (s.coupon !== undefined) {
+    state.coupon = s.coupon;
+    if (couponEl) couponEl.value = s.coupon;
+  }
+  populateCountSelects();
+  return updatePlanOptions({ plan: s.plan, rentals: s.rentals || {}, items: s.items || {} });
+}
+
+function applyQuoteLink(link) {
+  const problems = link.problems.concat(restoreFormState(link.state));
+  renderRestoreNotice(t('notice.link'), problems);
+}
+
+function renderRestoreNotice(heading, lines) {
+  if (!restoreNoticeEl) return;
+  if (!lines.length) {
+    restoreNoticeEl.hidden = true;
+    return;
+  }
+  restoreNoticeEl.innerHTML = '<strong>' + escapeHtml(heading) + '</strong><br>'
+    + lines.map(p => '・' + escapeHtml(p)).join('<br>');
+  restoreNoticeEl.hidden = false;
+}
+
+function copyShareLink() {
+  updateShareUrl();
+  const url = getShareUrl();
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(
+      () => { shareLinkBtn.textContent = t('action.linkCopied'); setTimeout(() => { shareLinkBtn.textContent = t('action.copyLink'); }, 2000); },
+      () => window.prompt(t('prompt.copyLink'), url)
+    );
+  } else {
+    window.prompt(t('prompt.copyLink'), url);
+  }
+}
+
+// --- Draft / history (history-store.js) ---
+// The cart is kept in the draft too, and comes back even when a quote link fills the form
+function restoreCart() {
+  const draft = store.loadDraft();
+  if (draft && Array.isArray(draft.cart)) state.cart = draft.cart.filter(item => item && item.id && item.state);
+}
+
+function restoreDraft() {
+  const draft = store.loadDraft();
+  if (!draft) return false;
+  const s = Object.assign({}, draft.state);
+  // a draft for a day that has passed restarts from today's date
+  if (s.date && s.date < state.date) delete s.date;
+  if (draft.contact) {
+    state.contact = Object.assign(Contact.emptyContact(), draft.contact);
+    fillContactInputs();
+  }
+  if (draft.split) {
+    state.split = Object.assign(emptySplit(), draft.split);
+    fillSplitInputs();
+  }
+  if (draft.estimate && draft.estimate.number) state.estimate = draft.estimate;
+  const problems = restoreFormState(s);
+  renderRestoreNotice(t('notice.draft'), problems);
+  return true;
+}
+
+function renderHistory() {
+  if (!historyListEl) return;
+  const entries = store.listHistory();
+  if (!entries.length) {
+    historyListEl.innerHTML = `<div class="muted">${escapeHtml(t('history.empty'))}</div>`;
+    return;
+  }
+  historyListEl.innerHTML = entries.map(e => {
+    const s = e.state;
+    const party = t('history.party', { men: s.men, women: s.women, student: s.student });
+    const total = e.inquiry ? t('total.inquiry') : i18n.yen(e.total);
+    const sent = e.sentAt ? t('history.sent', { date: e.sentAt.slice(0, 10) }) : '';
+    const number = e.quoteNumber ? ' ／ ' + t('history.number', { number: e.quoteNumber }) : '';
+    return `<div class="history-item" data-id="${escapeHtml(e.id)}">`
+      + `<div class="history-title">${escapeHtml(formatDateWithWeekday(s.date))} ${escapeHtml(i18n.tripType(s.tripType))} ${escapeHtml(s.plan ? i18n.name('plans', s.plan) : '')}</div>`
+      + `<div class="history-meta muted">${escapeHtml(party)} ／ ${escapeHtml(total)} ／ ${escapeHtml(sent)}${escapeHtml(number)}</div>`
+      + '<div class="history-actions">'
+      + `<button type="button" class="btn btn-link" data-action="open">${escapeHtml(t('history.open'))}</button>`
+      + `<button type="button" class="btn btn-link" data-action="duplicate">${escapeHtml(t('history.duplicate'))}</button>`
+      + `<button type="button" class="btn btn-link" data-action="delete">${escapeHtml(t('history.delete'))}</button>`
+      + '</div></div>';
+  }).join('');
+}
+
+// Re-open a history entry (optionally on another date). Prices are recomputed against the
+// current catalog; a notice explains any difference from the amount that was sent.
+function openHistoryEntry(id, newDate) {
+  const entry = store.getHistory(id);
+  if (!entry || !catalog) return;
+  const s = Object.assign({}, entry.state, newDate ? { date: newDate } : {});
+  const problems = restoreFormState(s);
+  const quote = calculateAndRender();
+  if (quote && quote.available && !quote.inquiry && !entry.inquiry && quote.total !== entry.total) {
+    const sent = i18n.yen(entry.total);
+    const now = i18n.yen(quote.total);
+    problems.push(t(newDate ? 'notice.newDatePrice' : 'notice.priceChanged', { sent, now }));
+  }
+  renderRestoreNotice(t('notice.history'), problems);
+}
+
+function duplicateHistoryEntry(id) {
+  const input = window.prompt(t('history.promptDate'), state.date || '');
+  if (input === null) return;
+  const date = input.trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date + 'T00:00:00'))) {
+    alert(t('history.invalidDate'));
+    return;
+  }
+  openHistoryEntry(id, date);
+}
+
+// Show catalog load problems (invalid entries, fallback source) above the form
+// `inventory` (Inventory.loadInventory result) adds its problems once it has been loaded
+function renderCatalogErrors(result, inventory) {
+  if (!catalogErrorsEl) return;
+  const inv = inventory || { errors: [], notices: [] };
+  // Falling back to plans-data.js alone or running without inventory.json (e.g. opened via file://)
+  // is expected: a muted notice, not an error. Invalid inventory data is an error (nothing would be booked).
+  const notice = result.catalog && !result.errors.length && !inv.errors.length;
+  const lines = [];
+  const add = (notices, errors) => {
+    for (const n of notices) lines.push(notice ? `<span class="muted">${escapeHtml(n)}</span>` : escapeHtml(n));
+    for (const e of errors) lines.push(`・${escapeHtml(e.path)}：${escapeHtml(e.message)}`);
+  };
+  add(result.notices, result.errors);
+  add(inv.notices, inv.errors);
+  if (!result.catalog) lines.unshift(`<strong>${escapeHtml(t('catalog.unavailable'))}</strong>`);
+  catalogErrorsEl.innerHTML = lines.join('<br>');
+  catalogErrorsEl.classList.toggle('catalog-notice', notice);
+  catalogErrorsEl.hidden = !lines.length;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// --- Language (i18n.js) ---
+function setTranslators(locale) {
+  const names = catalog && catalog.displayNames;
+  i18n = I18n.createTranslator(locale, names);
+  mailI18n = I18n.createTranslator('ja', names);
+}
+
+function applyStaticText() {
+  I18n.applyToDocument(document, i18n);
+  if (langSelectEl) langSelectEl.value = i18n.locale;
+  // visitors who cannot type katakana may leave フリガナ empty outside the Japanese UI
+  if (kanaBadgeEl) {
+    const required = i18n.locale === 'ja';
+    kanaBadgeEl.textContent = t(required ? 'contact.required' : 'contact.optional');
+    kanaBadgeEl.classList.toggle('optional', !required);
+  }
+  const note = document.getElementById('mailPreviewNote');
+  if (note) note.hidden = !note.textContent;
+}
+
+// Switch the UI language, keeping the current selections
+function setLocale(locale) {
+  I18n.saveLocale(HistoryStore.browserStorage(), locale);
+  setTranslators(locale);
+  applyStaticText();
+  renderContactErrors({});
+  if (!catalog) return;
+  refreshPlanAvailability();
+  updateUnitPrices();
+  renderShikakeOptions(Object.assign({}, state.items));
+  renderRentalOptions(Object.assign({}, state.rentals));
+  renderHistory();
+  renderCart();
+  calculateAndRender();
+}
+
+// --- Catalog editor preview ---
+// Invalid data keeps the last valid catalog on screen; the editor lists the errors itself.
+function applyPreviewCatalog(raw) {
+  if (!Catalog.validateCatalog(raw).valid) return;
+  const first = !catalog;
+  catalog = Catalog.buildCatalog(raw);
+  setTranslators(i18n.locale);
+  mailtoBtn.disabled = false;
+  updatePlanOptions(first ? null : { plan: state.plan, rentals: Object.assign({}, state.rentals), items: Object.assign({}, state.items) });
+  calculateAndRender();
+}
+
+function startPreview() {
+  window.addEventListener('message', (e) => {
+    if (e.source !== window.parent || !e.data || e.data.type !== 'boatFee:catalog') return;
+    applyPreviewCatalog(e.data.catalog);
+  });
+  mailtoBtn.disabled = true;
+  breakdownEl.textContent = t('summary.empty');
+  window.parent.postMessage({ type: 'boatFee:previewReady' }, '*');
+}
+
 // Initialize
-(function init(){
+(async function init(){
+  applyStaticText();
+  if (PREVIEW_MODE) {
+    populateCountSelects();
+    startPreview();
+    return;
+  }
+  const result = await Catalog.loadCatalog({ url: CATALOG_URL });
+  renderCatalogErrors(result);
   populateCountSelects();
-  updatePlanOptions();
+  if (!result.catalog) {
+    // Without valid data any price would be wrong: keep the form inert
+    mailtoBtn.disabled = true;
+    breakdownEl.textContent = t('catalog.failed');
+    return;
+  }
+  catalog = result.catalog;
+  const inventory = await Inventory.loadInventory({ url: INVENTORY_URL });
+  // without it every date has the full stock
+  renderCatalogErrors(result, inventory);
+  catalog.inventory = inventory.inventory;
+  setTranslators(i18n.locale);
+  restoreCart();
+  // a quote link in the URL wins over the auto-saved draft
+  const link = QuoteLink.decode(window.location.hash);
+  if (link) {
+    applyQuoteLink(link);
+  } else if (!restoreDraft()) {
+    updatePlanOptions();
+  }
+  renderHistory();
+  renderCart();
   calculateAndRender();
 })();
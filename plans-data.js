@@ -1,26 +1,58 @@
 // Plans data separated for easier maintenance and potential future replacement with external JSON.
 // Exposes `window.plans` and `window.commonRental` so main.js can remain a simple script.
+//
+// 乗合船プランの項目:
+// - fare:       1人あたり料金 { men, women, student }
+// - rental:     プラン専用レンタル { 名称: 金額 } または { 名称: { price, refund, taxRate? } }
+// - note:       料金に含まれるもの
+// - times:      集合・出船時刻 { meet: "HH:MM", depart: "HH:MM" }（省略時はプラン名から推定）
+// - difficulty: "初心者" | "中級者" | "上級者" | null（省略時はプラン名から推定）
+// - items:      購入品の目安価格 { 名称: { min, max, note? } }（省略時はプラン名から推定）
+// - availability: 運航期間 { periods: [{ from, to }], daysOfWeek: [0-6], excludeDates: [YYYY-MM-DD] }
+//               from/to は "MM-DD"（毎年）または "YYYY-MM-DD"（from と to は同じ形式）。省略時は通年運航。
+// - capacity:   定員（乗船できる人数）。inventory.json の予約済み席数を引いた数が空席になります（仕立て船は同名の乗合船プランの定員）
+//               省略時は定員なし（空席の表示・人数の確認をしません）
+// - disabled:   true で受付停止（データは残したまま、料金計算の画面には表示しない。仕立て船も同様）
+// - relay:      リレー（2つ以上の釣り物を続けて釣るプラン）の区間 [{ plan: "区間のプラン名", fare: "料金にするプラン名" }]
+//               料金は各区間の合計（fare は書かない）。区間の料金は fare に書いたプラン（"午後リレー料金" など）の料金、
+//               省略時は区間のプランの料金。集合・出船時刻は最初の区間（times を書けばそちら）、レンタル・購入品は全区間の合計。
+//               区間・料金に使うプランは受付停止でも構いません（各区間の運航期間も確認します）
+//               例: "relay": [{ "plan": "午前アジ" }, { "plan": "午後アジ", "fare": "午後リレー料金" }]
+//
+// admin.html（料金データの編集画面）で編集し、このファイルまたは catalog.json として書き出せます。
 window.plans = {
   "乗合船": {
     "午前アジ": {
       "fare": { "men": 6800, "women": 5500, "student": 3800 },
       "rental": { "ビシセット": { "price": 2200, "refund": 2100 } },
-      "note": "コマセ・イカ短・アオイソ・氷付"
+      "note": "コマセ・イカ短・アオイソ・氷付",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": "初心者",
+      "items": { "仕掛け": { "min": 250, "max": 500 } }
     },
     "午後アジ": {
       "fare": { "men": 6800, "women": 5500, "student": 3800 },
       "rental": { "ビシセット": { "price": 2200, "refund": 2100 } },
-      "note": "コマセ・イカ短・アオイソ・氷付"
+      "note": "コマセ・イカ短・アオイソ・氷付",
+      "times": { "meet": "12:30", "depart": "13:00" },
+      "difficulty": null,
+      "items": { "仕掛け": { "min": 250, "max": 500 } }
     },
     "午前アミ五目": {
       "fare": { "men": 7000, "women": 5800, "student": 4300 },
       "rental": { "ビシセット": { "price": 1800, "refund": 1700 } },
-      "note": "アミコマセ・イカ短・付け餌・氷付き"
+      "note": "アミコマセ・イカ短・付け餌・氷付き",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": "初心者",
+      "items": { "仕掛け": { "min": 250, "max": 500 } }
     },
     "午後アミ五目": {
       "fare": { "men": 7000, "women": 5800, "student": 4300 },
       "rental": { "ビシセット": { "price": 1800, "refund": 1700 } },
-      "note": "アミコマセ・イカ短・付け餌・氷付き"
+      "note": "アミコマセ・イカ短・付け餌・氷付き",
+      "times": { "meet": "12:30", "depart": "13:00" },
+      "difficulty": null,
+      "items": { "仕掛け": { "min": 250, "max": 500 } }
     },
     "マダイ五目": { 
       "fare": { "men": 11500, "women": 9500, "student": 8000 }, 
@@ -28,68 +60,103 @@ window.plans = {
         "竿（手巻き）": 1200,
         "竿（電動リール）": 2200
       },
-      "note": "オキアミ規定量・氷付" 
+      "note": "オキアミ規定量・氷付",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": "中級者",
+      "items": { "仕掛け": { "min": 500, "max": 600 } }
     },
-    // "ＬＴイサキ五目": { "fare": { "men": 11500, "women": 9500, "student": 7500 }, "note": "アミコマセ・イカ短・氷付" },
+    "ＬＴイサキ五目": { "disabled": true, "fare": { "men": 11500, "women": 9500, "student": 7500 }, "note": "アミコマセ・イカ短・氷付" },
     "ヤリスルメイカ": { 
       "fare": { "men": 12000, "women": 10000, "student": 8000 }, 
       "rental": { 
         "竿（電動リール）": 2200
       },
-      "note": "氷付・投入器有り" 
+      "note": "氷付・投入器有り",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": "上級者",
+      "items": { "オモリ（150号）": { "min": 600, "max": 600 }, "仕掛け": { "min": 1000, "max": 1500 } }
     },
-    // "ワラサ": { "fare": { "men": 12000, "women": 10000, "student": 9500 }, "note": "氷付・オキアミ規定量" },
+    "ワラサ": { "disabled": true, "fare": { "men": 12000, "women": 10000, "student": 9500 }, "note": "氷付・オキアミ規定量" },
     "タチアジリレー": { 
       "fare": { "men": 11000, "women": 9000, "student": 7000 }, 
       "rental": { 
         "竿（手巻き）": 1200,
         "竿（電動リール）": 2200
       },
-      "note": "氷付・サバ餌・ミンチ" 
+      "note": "氷付・サバ餌・ミンチ",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": null,
+      "items": { "仕掛け": { "min": 250, "max": 500 } }
     },
-    // "遠征ウィリー五目": { "fare": { "men": 11500, "women": 9500, "student": 8000 }, "note": "アミコマセ・付け餌・氷付" },
+    "遠征ウィリー五目": { "disabled": true, "fare": { "men": 11500, "women": 9500, "student": 8000 }, "note": "アミコマセ・付け餌・氷付" },
     "カワハギ": { 
       "fare": { "men": 11000, "women": 9000, "student": 7000 }, 
       "rental": { 
         "竿（専用竿）": 1500
       },
-      "note": "付け餌・氷付" 
+      "note": "付け餌・氷付",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": null,
+      "items": { "仕掛け": { "min": 400, "max": 600 } }
     },
-    // "トラフグ": { "fare": { "men": 11500, "women": 9500, "student": 8000 }, "note": "オキアミ規定量・氷付" },
+    "トラフグ": { "disabled": true, "fare": { "men": 11500, "women": 9500, "student": 8000 }, "note": "オキアミ規定量・氷付" },
     "マゴチ": { 
       "fare": { "men": 10700, "women": 8700, "student": 6500 }, 
       "rental": { 
         "竿（専用竿）": 1500
       },
-      "note": "サイマキ５匹付※追加可能" 
+      "note": "サイマキ５匹付※追加可能",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": null,
+      "items": { "仕掛け": { "min": 450, "max": 450, "note": "450円程度" } }
     },
-    // "スミイカ": { "fare": { "men": 11000, "women": 9000, "student": 6500 }, "note": "サイマキ５匹もしくはシャコ５匹付※追加可能" },
+    "スミイカ": { "disabled": true, "fare": { "men": 11000, "women": 9000, "student": 6500 }, "note": "サイマキ５匹もしくはシャコ５匹付※追加可能" },
     "テンヤタチウオ": { 
       "fare": { "men": 9700, "women": 7700, "student": 6500 }, 
       "rental": { 
         "竿（専用竿）": 1500
       },
-      "note": "氷付・餌別" 
+      "note": "氷付・餌別",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": null,
+      "items": { "イワシ（10匹）": { "min": 650, "max": 650 }, "テンヤ": { "min": 1000, "max": 1000, "note": "1000円程度" } }
     },
-    // "マダコ": { "fare": { "men": 10000, "women": 8000, "student": 6500 }, "note": "カニ餌・氷付" },
-    "ショートメバル": { "fare": { "men": 7500, "women": 6000, "student": 4300 }, "note": "活きモエビ・アオイソメ・氷付" },
-    // "鬼カサゴ": { "fare": { "men": 12000, "women": 10000, "student": 8000 }, "note": "サバ餌・氷付" },
-    // "午前クロメバル": { "fare": { "men": 7000, "women": 5800, "student": 4300 }, "note": "活きモエビ・アオイソメ・氷付" },
-    // "午後カサゴ": { "fare": { "men": 6800, "women": 5500, "student": 3800 }, "note": "サバ餌・アオイソ・氷付" },
-    // "深場五目": { "fare": { "men": 12500, "women": 10500, "student": 8500 }, "note": "サバ餌・氷付" },
-    // "午前キス": { "fare": { "men": 6800, "women": 5500, "student": 3800 }, "note": "餌・氷付き" },
-    // "午後キス": { "fare": { "men": 6800, "women": 5500, "student": 3800 }, "note": "餌・氷付き" },
-    // "午後リレー料金": { "fare": { "men": 4500, "women": 4500, "student": 4500 }, "note": "餌・氷付き" },
-    // "キスアナゴリレー": { "fare": { "men": 10500, "women": 8500, "student": 7000 }, "note": "餌・氷付き" },
-    // "夜アナゴ": { "fare": { "men": 7200, "women": 5700, "student": 5000 }, "note": "餌・氷付き" },
-    // "夜アジ＆カサゴリレー": { "fare": { "men": 7500, "women": 6000, "student": 5000 }, "note": "コマセ・餌・氷付き" },
-    // "夜カサゴ＆メバル": { "fare": { "men": 7000, "women": 5500, "student": 4200 }, "note": "餌・氷付き" }
+    "マダコ": { "disabled": true, "fare": { "men": 10000, "women": 8000, "student": 6500 }, "note": "カニ餌・氷付" },
+    "ショートメバル": {
+      "fare": { "men": 7500, "women": 6000, "student": 4300 },
+      "note": "活きモエビ・アオイソメ・氷付",
+      "times": { "meet": "06:30", "depart": "07:00" },
+      "difficulty": null,
+      "items": { "仕掛け": { "min": 250, "max": 500 } }
+    },
+    "鬼カサゴ": { "disabled": true, "fare": { "men": 12000, "women": 10000, "student": 8000 }, "note": "サバ餌・氷付" },
+    "午前クロメバル": { "disabled": true, "fare": { "men": 7000, "women": 5800, "student": 4300 }, "note": "活きモエビ・アオイソメ・氷付" },
+    "午後カサゴ": { "disabled": true, "fare": { "men": 6800, "women": 5500, "student": 3800 }, "note": "サバ餌・アオイソ・氷付" },
+    "深場五目": { "disabled": true, "fare": { "men": 12500, "women": 10500, "student": 8500 }, "note": "サバ餌・氷付" },
+    "午前キス": { "disabled": true, "fare": { "men": 6800, "women": 5500, "student": 3800 }, "note": "餌・氷付き" },
+    "午後キス": { "disabled": true, "fare": { "men": 6800, "women": 5500, "student": 3800 }, "note": "餌・氷付き" },
+    "午後リレー料金": { "disabled": true, "fare": { "men": 4500, "women": 4500, "student": 4500 }, "note": "餌・氷付き" },
+    "キスアナゴリレー": { "disabled": true, "fare": { "men": 10500, "women": 8500, "student": 7000 }, "note": "餌・氷付き" },
+    "夜アナゴ": { "disabled": true, "fare": { "men": 7200, "women": 5700, "student": 5000 }, "note": "餌・氷付き" },
+    "夜アジ＆カサゴリレー": { "disabled": true, "fare": { "men": 7500, "women": 6000, "student": 5000 }, "note": "コマセ・餌・氷付き" },
+    "夜カサゴ＆メバル": { "disabled": true, "fare": { "men": 7000, "women": 5500, "student": 4200 }, "note": "餌・氷付き" }
   },
+  // 仕立て船の料金表（プランごと・料金区分ごと）
+  // - rates.weekday / saturday / sunday: 平日・土曜（連休初日・中日を含む）・日曜（連休最終日を含む）
+  // - rates.holiday: 祝日専用の料金がある場合のみ設定（未設定なら土曜・日曜料金を適用）
+  // - minPeople: 最低人数 / minPrice: 最低料金（または perHead: 1人あたり金額、"men" で乗合の男性料金）
+  // - extraPrice: 最低人数を超えた1人あたりの追加料金（省略時は乗合料金を区分ごとに適用）
+  // - extraPolicy: 乗合料金を適用するとき、追加人数に数える区分の決め方
+  //     "expensiveFirst"（料金の高い区分から・既定） / "cheapestFirst"（安い区分から） / "proportional"（人数比で按分）
+  //     / "flat"（区分によらず一律。各料金区分に金額の extraPrice が必要）
+  // 料金表がないプランは「要問合せ」と表示されます。
   "仕立て船": {
     "午前アジ": {
-      "weekday": { "minPeople": 8, "minPrice": 54400 },
-      "holiday": { "minPeople": 15, "minPrice": 102000 },
-      "sunday": { "minPeople": 12, "minPrice": 81600 }
+      "rates": {
+        "weekday": { "minPeople": 8, "minPrice": 54400 },
+        "saturday": { "minPeople": 15, "minPrice": 102000 },
+        "sunday": { "minPeople": 12, "minPrice": 81600 }
+      }
     }
   }
 };
@@ -100,24 +167,147 @@ window.commonRental = {
   "長靴のみ": 200
 };
 
-// 祝日リスト（YYYY-MM-DD）。
-// テスト用に 2026 年の祝日をここに入れてあります（必要に応じて追加・更新してください）。
-window.holidays = [
-  '2026-01-01', // 元日
-  '2026-01-12', // 成人の日
-  '2026-02-11', // 建国記念の日
-  '2026-02-23', // 天皇誕生日
-  '2026-03-20', // 春分の日
-  '2026-04-29', // 昭和の日
-  '2026-05-04', // みどりの日
-  '2026-05-05', // こどもの日
-  '2026-05-06', // 振替休日（憲法記念日の振替）
-  '2026-07-20', // 海の日
-  '2026-08-11', // 山の日
-  '2026-09-21', // 敬老の日
-  '2026-09-22', // 国民の休日
-  '2026-09-23', // 秋分の日
-  '2026-10-12', // スポーツの日
-  '2026-11-03', // 文化の日
-  '2026-11-23'  // 勤労感謝の日
-];
+// 祝日は holidays.js が年ごとに自動計算します（振替休日・国民の休日を含む）。
+// ここには店舗独自の設定のみを記載してください（日付は YYYY-MM-DD）。
+window.holidayOverrides = {
+  // 祝日扱い（料金判定も祝日として扱う）にする日 { 'YYYY-MM-DD': '名称' }
+  extra: {},
+  // 祝日扱いにしない日 ['YYYY-MM-DD']
+  exclude: [],
+  // 休業日 { 'YYYY-MM-DD': '名称' }（見積りに注意を表示）
+  closed: {}
+};
+
+// 予約メールの送信先と店舗情報（見積書のヘッダーに表示）。
+// harbor はカレンダー（.ics）の場所・見積書の住所に使用。空欄の項目は省略されます。
+window.contact = {
+  email: 'yoyaku@example.com',
+  shopName: '',
+  phone: '',
+  harbor: { name: '', address: '' }
+};
+
+// 消費税の設定（適格請求書の記載事項）
+// - inclusive: true = 上記の料金は税込価格 / false = 税抜価格（合計に消費税を加算）
+// - rate: 標準税率（%）。レンタルごとに { price, refund, taxRate: 8 } のように個別の税率も指定できます
+// - rounding: 消費税の端数処理 'floor'（切り捨て）| 'round'（四捨五入）| 'ceil'（切り上げ）。税率ごとに1回
+// - registrationNumber: 適格請求書発行事業者の登録番号（T + 13桁）。空欄なら表示しません
+// 返却時返金（refund）分は預り金として消費税の対象外です。
+window.tax = {
+  inclusive: true,
+  rate: 10,
+  rounding: 'floor',
+  registrationNumber: ''
+};
+
+// 見積書の設定: validDays = 有効期限（発行日からの日数）、notes = 備考欄に追記する文
+window.estimate = {
+  validDays: 14,
+  notes: []
+};
+
+// 予約メールのテンプレート（省略した種類は mail-template.js の標準テンプレートを使用）
+// { '乗合船' | '仕立て船': { subject: '件名', body: ['本文の行', ...] } }
+// 差し込み: {{plan}} {{tripType}} {{dateText}} {{date}} {{weekday}} {{times.meet}} {{times.depart}}
+//   {{people.men}} {{people.women}} {{people.student}} {{people.total}} {{total}} {{registrationNumber}}
+//   {{quoteNumber}}（見積番号。見積書を発行した内容ならその番号、それ以外は送信時に採番。履歴にも保存されます）
+//   {{charter.tierLabel}} {{charter.reason}} {{contact.name}} {{contact.kana}} {{contact.phone}} {{contact.email}} {{contact.request}}
+// 繰り返し・条件: {{#rentals}}{{name}}×{{qty}} {{amount}}{{/rentals}}、{{^rentals}}なし{{/rentals}}、
+//   {{#hasRefunds}}…{{#refunds}}{{name}} {{unitRefund}}×{{qty}}{{/refunds}}…{{/hasRefunds}}、{{#fareLines}}{{text}}{{/fareLines}}、{{#taxLines}}{{text}}{{/taxLines}}
+//   {{#hasDiscounts}}…{{#discounts}}{{label}} −{{amount}}{{/discounts}}…{{/hasDiscounts}}、{{coupon}}（適用されたクーポンコード）
+//   {{#hasItems}}…{{#items}}{{name}}×{{qty}} {{range}}{{/items}} 目安合計 {{itemRange}}…{{/hasItems}}（購入品の注文。合計金額には含まれません）
+//   {{#hasSplit}}…{{splitRule}}…{{#splitRows}}{{name}} {{total}} {{text}}{{/splitRows}}…{{/hasSplit}}（割り勘を表示しているときのお一人ずつの金額）
+//   {{#hasRelay}}…{{#relayLines}}{{plan}} {{amount}} {{text}}{{/relayLines}}…{{/hasRelay}}（リレーの区間ごとの料金）、
+//   {{#times}}…{{#relay}}{{plan}} {{depart}}{{/relay}}…{{/times}}（リレーで後の区間の出船時刻）、
+//   {{#deposit}}{{payable}} {{refund}} {{net}}{{/deposit}}（返却時返金のあるレンタルがあるときの当日お支払い・返金・実質負担額）、
+//   {{#cancellation}}{{text}}{{/cancellation}}（キャンセル規定を1行で。cancellation の設定がある種類のみ）
+// 例:
+//   '乗合船': {
+//     subject: '予約依頼 {{plan}} {{dateText}}',
+//     body: ['{{plan}}（{{dateText}}）に{{people.total}}名で予約をお願いします。', '合計：{{total}}']
+//   }
+window.mailTemplates = {};
+
+// 画面表示用の名前（英語モード）。料金計算・予約メールでは日本語名を使います。
+// { locale: { plans: { プラン名: '表示名' }, rentals: { レンタル品名: '表示名' }, items: { 購入品名: '表示名' } } }
+// 登録のない名前は日本語のまま表示されます。
+window.displayNames = {
+  en: {
+    plans: {
+      '午前アジ': 'Morning horse mackerel',
+      '午後アジ': 'Afternoon horse mackerel',
+      '午前アミ五目': 'Morning mixed catch (krill bait)',
+      '午後アミ五目': 'Afternoon mixed catch (krill bait)',
+      'マダイ五目': 'Red sea bream & mixed catch',
+      'ヤリスルメイカ': 'Spear & flying squid',
+      'ワラサ': 'Yellowtail (warasa)',
+      'タチアジリレー': 'Hairtail & horse mackerel relay',
+      'カワハギ': 'Thread-sail filefish',
+      'トラフグ': 'Tiger puffer',
+      'マゴチ': 'Bartail flathead',
+      'スミイカ': 'Golden cuttlefish',
+      'テンヤタチウオ': 'Hairtail (tenya)',
+      'ショートメバル': 'Short trip rockfish',
+      '夜アナゴ': 'Night conger eel'
+    },
+    rentals: {
+      'ビシセット': 'Bishi rig set',
+      '竿（手巻き）': 'Rod (manual reel)',
+      '竿（電動リール）': 'Rod (electric reel)',
+      '竿（専用竿）': 'Rod (dedicated)',
+      '竿（竿,リール）': 'Rod & reel',
+      'カッパ長靴セット': 'Rain gear & boots',
+      '長靴のみ': 'Boots only'
+    },
+    items: {
+      '仕掛け': 'Rigs',
+      'オモリ（150号）': 'Sinker (No. 150)',
+      'イワシ（10匹）': 'Sardines (10)',
+      'テンヤ': 'Tenya jig'
+    }
+  }
+};
+
+// 割引・クーポン（条件を満たすと乗船料から差し引き、内訳・見積書・予約メールに1行ずつ表示します）
+// rules: 上から順に判定します。各ルールの項目:
+// - id: 識別子（英数字・重複不可） / label: 表示名
+// - percent: 乗船料の○% 引き、または amount: ○円引き（per: 'person' なら対象人数 × 金額）
+// - categories: 対象の料金区分 ['men', 'women', 'student']（省略時は全員。指定したルールは仕立て船には適用されません）
+// - when: 条件（すべて満たすと適用）
+//     tripTypes ['乗合船'] / plans ['午前アジ'] / rateTypes ['weekday' | 'saturday' | 'sunday' | 'holiday']
+//     periods [{ from: 'MM-DD', to: 'MM-DD' }] / minPeople・maxPeople（合計人数） / minCounts { women: 1 }
+//     coupon: 'クーポンコード'（お客様がフォームに入力。大文字・小文字、全角・半角は区別しません）
+// - group: 同じ group のルールは割引額の最も大きいもの1つだけ適用 / max: このルールの割引上限（円）
+// maxAmount: 割引合計の上限（円） / maxPercent: 割引合計の上限（乗船料の%）
+// 例:
+//   rules: [
+//     { id: 'group10', label: '団体割引（10名以上）', percent: 5, group: 'group', when: { minPeople: 10 } },
+//     { id: 'group20', label: '団体割引（20名以上）', percent: 10, group: 'group', when: { minPeople: 20 } },
+//     { id: 'ladies', label: '女性・お子様応援割', amount: 500, per: 'person', categories: ['women', 'student'],
+//       when: { tripTypes: ['乗合船'], rateTypes: ['weekday'] } },
+//     { id: 'repeat', label: 'リピーター割引', amount: 1000, when: { coupon: 'AGAIN' } }
+//   ]
+window.discounts = {
+  rules: [],
+  maxPercent: 30
+};
+
+// レンタル品の数量ルール（フォームで選べる数を制限し、理由を表示します）
+// - limits: { 名称: { maxPerPerson: 1名あたりの上限, stock: 店の保有数 } }
+//   stock から inventory.json の予約済み数（日付ごと）を引いた数が、その日に選べる上限になります。
+//   書いていないレンタル品・項目は制限なし。例: "竿（電動リール）": { maxPerPerson: 1, stock: 10 }
+// - exclusive: 同時に選べない組み合わせ [[名称, 名称, ...]]（先に書いたものが優先）
+window.rentalRules = {
+  limits: {},
+  exclusive: [["竿（手巻き）", "竿（電動リール）"]]
+};
+
+// キャンセル規定（キャンセル料の計算と予約メールの規定の記載に使用）
+// { '乗合船' | '仕立て船': { fees, weatherExempt } }
+// - fees: [{ daysBefore: 乗船日の何日前から, percent: 乗船料（割引後）に対する% }]
+//   例えば { daysBefore: 1, percent: 50 } は前日・当日のキャンセルで50%。より前のキャンセルは無料です。
+// - weatherExempt: true = 荒天など船長判断で出船中止になった場合はキャンセル料なし
+// レンタル料金はキャンセル料の対象外です。規定のない種類のプランはキャンセル料を計算せず、予約メールにも記載しません。
+// 例:
+//   '乗合船': { fees: [{ daysBefore: 1, percent: 50 }, { daysBefore: 0, percent: 100 }], weatherExempt: true }
+window.cancellation = {};
@@ -0,0 +1,1096 @@
+// Pricing engine (DOM-free).
+// Works as a plain <script> (exposes `window.Pricing`) and as a CommonJS module for Node / tests.
+//
+// Contract (short):
+// - Input:  { tripType, plan, date, people: {men, women, student}, rentals: {name: qty} }
+// - Catalog: { plans, commonRental, calendar, tax }
+//   calendar is a holiday calendar from holidays.js ({isHoliday, isClosed, ...});
+//   a plain `holidays: ['YYYY-MM-DD', ...]` list is still accepted instead.
+//   tax: { inclusive, rate (%), rounding: 'floor' | 'round' | 'ceil', registrationNumber } (default: 10% 税込・切り捨て)
+//   discounts: { rules: [...], maxAmount, maxPercent } (optional, see computeDiscounts)
+//   rentalRules: { limits, exclusive } and inventory: { reserved(date, name) } (optional, see getRentalLimits)
+//   inventory may also give bookedSeats(date, tripType, plan) for plans with a `capacity` (see getSeatAvailability)
+//   legPlans: { name: plan } 乗合船 plans used by relay legs, including disabled ones (catalog.js; see getRelayLegs)
+//   cancellation: { tripType: { fees: [{ daysBefore, percent }], weatherExempt } } (optional, see computeCancellation)
+// - Input may also carry `coupon` (the code typed by the customer) and
+//   `items: {name: qty}` (purchasable tackle, quoted as a min–max estimate outside the total)
+// - Output: itemized quote object (fare lines, charter minimum, extras, rentals, refunds, tax, total)
+//   and `deposit`: { payable, refund, net } — paid at the dock, refunded when the rentals come back,
+//   and the cost after refunds (see settleDeposits for items that are not returned)
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Pricing = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const PEOPLE_CATEGORIES = [
+    { key: 'men', label: '男性' },
+    { key: 'women', label: '女性' },
+    { key: 'student', label: '子供' }
+  ];
+
+  // --- date helpers ---
+  function parseISODate(dateStr) {
+    if (!dateStr) return null;
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+  function toISODate(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  function offsetISO(isoStr, days) {
+    const d = parseISODate(isoStr);
+    d.setDate(d.getDate() + days);
+    return toISODate(d);
+  }
+
+  // --- 祝日（連休）を考慮した rateType 判定 ---
+  // classifyDate returns { rateType, holiday, reason, reasonCode } where rateType is 'weekday' | 'saturday' | 'sunday'
+  // (reason is the Japanese explanation; reasonCode lets the UI show it in other languages, see i18n.js)
+  // Rules implemented:
+  // - 単独祝日（前後が祝日でない）は 'sunday'（金曜祝日のみ 'saturday'）
+  // - 連休の先頭・中日は 'saturday'
+  // - 連休の最終日（d == end && start != end）は 'sunday'
+  // - 日曜で翌日が祝日の場合は連休中日扱い（'saturday'）
+  function classifyDate(dateStr, isHolidayISO) {
+    const result = (rateType, reasonCode, reason, holiday) => ({ rateType, reason, reasonCode, holiday: !!holiday });
+    if (!dateStr) return result('weekday', 'noDate', '日付未選択のため平日料金');
+    const isHoliday = isHolidayISO || (() => false);
+    const iso = dateStr;
+    const d = parseISODate(iso);
+    if (!d || isNaN(d)) return result('weekday', 'noDate', '日付未選択のため平日料金');
+    const dow = d.getDay(); // 0=Sun,6=Sat
+
+    // Non-holiday branch
+    if (!isHoliday(iso)) {
+      if (dow === 6) return result('saturday', 'saturday', '土曜日のため土曜料金');
+      if (dow === 0) {
+        // Sunday: if next day is holiday -> treat as 連休中日 (saturday)
+        if (isHoliday(offsetISO(iso, +1))) return result('saturday', 'holidayMiddle', '連休中日のため土曜料金');
+        return result('sunday', 'sunday', '日曜日のため日曜料金');
+      }
+      return result('weekday', 'weekday', '平日のため平日料金');
+    }
+
+    // Holiday branch: find contiguous holiday block
+    let start = iso, end = iso;
+    while (isHoliday(offsetISO(start, -1))) start = offsetISO(start, -1);
+    while (isHoliday(offsetISO(end, +1))) end = offsetISO(end, +1);
+
+    if (start === end) {
+      // single isolated holiday -> normally 'sunday',
+      // but if the holiday itself falls on Friday, treat it as 'saturday'
+      // (so 金曜祝日は金/土が土曜料金、日曜は日曜料金になります)
+      if (dow === 5) return result('saturday', 'fridayHoliday', '金曜祝日のため土曜料金', true);
+      return result('sunday', 'holiday', '祝日のため日曜料金', true);
+    }
+    // final day of a multi-day block -> 'sunday', start / middle -> 'saturday'
+    if (iso === end) return result('sunday', 'holidayLast', '連休最終日のため日曜料金', true);
+    if (iso === start) return result('saturday', 'holidayFirst', '連休初日のため土曜料金', true);
+    return result('saturday', 'holidayMiddle', '連休中日のため土曜料金', true);
+  }
+
+  function getRateType(dateStr, isHolidayISO) {
+    return classifyDate(dateStr, isHolidayISO).rateType;
+  }
+
+  // Build an isHoliday(iso) predicate from the catalog's calendar (or legacy holiday list)
+  function holidayPredicate(catalog) {
+    if (catalog && catalog.calendar) return (iso) => catalog.calendar.isHoliday(iso);
+    const set = new Set((catalog && catalog.holidays) || []);
+    return (iso) => set.has(iso);
+  }
+
+  // --- catalog lookups ---
+  function getPlans(catalog) {
+    return (catalog && catalog.plans) || {};
+  }
+
+  // Plan entry for the selected trip type. 仕立て船 may select a plan that only exists on 乗合船,
+  // so fall back to the 乗合船 entry of the same name.
+  function findPlan(tripType, planName, catalog) {
+    const plans = getPlans(catalog);
+    if (plans[tripType] && plans[tripType][planName]) return plans[tripType][planName];
+    if (plans['乗合船'] && plans['乗合船'][planName]) return plans['乗合船'][planName];
+    return null;
+  }
+
+  // Per-person fare for a plan ({men, women, student}) or null. A relay plan costs the sum of its legs.
+  function findFare(tripType, planName, catalog) {
+    const plans = getPlans(catalog);
+    if (plans[tripType] && plans[tripType][planName] && plans[tripType][planName].fare) {
+      return plans[tripType][planName].fare;
+    }
+    if (plans['乗合船'] && plans['乗合船'][planName] && plans['乗合船'][planName].fare) {
+      return plans['乗合船'][planName].fare;
+    }
+    const legs = getRelayLegs(tripType, planName, catalog);
+    if (legs) {
+      const fare = {};
+      for (const c of PEOPLE_CATEGORIES) fare[c.key] = legs.reduce((sum, l) => sum + l.fare[c.key], 0);
+      return fare;
+    }
+    return null;
+  }
+
+  // --- relay (combination) plans ---
+  // plan.relay: [{ plan, fare? }] — legs fished one after the other on the same trip
+  //   plan: the 乗合船 plan of the leg; times, rentals, purchasable items and season come from it
+  //   fare: name of the 乗合船 plan whose fare is charged for the leg (e.g. '午後リレー料金');
+  //         defaults to the leg plan's own fare
+  // Leg plans may be disabled (data only). The relay plan itself declares no fare.
+  function findLegPlan(name, catalog) {
+    const legPlans = (catalog && catalog.legPlans) || {};
+    const plans = getPlans(catalog)['乗合船'] || {};
+    return legPlans[name] || plans[name] || null;
+  }
+
+  // [{ plan, fareFrom: plan name | null, fare: { men, women, student } }] or null for other plans
+  function getRelayLegs(tripType, planName, catalog) {
+    const legs = planName ? findPlanField(tripType, planName, 'relay', catalog) : undefined;
+    if (!Array.isArray(legs) || !legs.length) return null;
+    return legs.map(leg => {
+      const source = findLegPlan(leg.fare || leg.plan, catalog) || {};
+      const fare = {};
+      for (const c of PEOPLE_CATEGORIES) fare[c.key] = Number((source.fare || {})[c.key]) || 0;
+      return { plan: leg.plan, fareFrom: leg.fare || null, fare };
+    });
+  }
+
+  // Rental entries may be a number or {price, refund}; always return {price, refund}
+  // { price, refund, taxRate } — taxRate (%) is null when the rental uses the catalog's standard rate
+  function normalizeRental(info) {
+    if (info && typeof info === 'object') {
+      return {
+        price: Number(info.price) || 0,
+        refund: Number(info.refund) || 0,
+        taxRate: typeof info.taxRate === 'number' ? info.taxRate : null
+      };
+    }
+    return { price: Number(info) || 0, refund: 0, taxRate: null };
+  }
+
+  // Rentals offered for a plan, in display order: plan-specific, 乗合船 counterpart (for 仕立て船), common.
+  // Returns [{name, price, refund, taxRate}]
+  function listRentals(tripType, planName, catalog) {
+    const plans = getPlans(catalog);
+    const commonRental = (catalog && catalog.commonRental) || {};
+    const planSpecific = findPlan(tripType, planName, catalog);
+    const list = [];
+    const added = new Set();
+    const add = (name, info) => {
+      if (added.has(name)) return;
+      added.add(name);
+      list.push(Object.assign({ name }, normalizeRental(info)));
+    };
+
+    if (planSpecific && planSpecific.rental) {
+      for (const name of Object.keys(planSpecific.rental)) add(name, planSpecific.rental[name]);
+    }
+    // 仕立て船 can rent the same items as the corresponding 乗合船 plan (e.g., ビシセット)
+    if (tripType === '仕立て船' && plans['乗合船'] && plans['乗合船'][planName] && plans['乗合船'][planName].rental) {
+      const shared = plans['乗合船'][planName].rental;
+      for (const name of Object.keys(shared)) add(name, shared[name]);
+    }
+    // relay plans offer the rentals of every leg
+    const legRentals = legRentalMaps(tripType, planName, catalog);
+    for (const rental of legRentals) {
+      for (const name of Object.keys(rental)) add(name, rental[name]);
+    }
+    for (const name of Object.keys(commonRental)) {
+      // Treat '仕掛け' as a備考 (note) only — never a rental option.
+      if (name === '仕掛け') continue;
+      // 専用竿が定義されているプランでは、共通の竿（竿,リール）を非表示
+      if (name === '竿（竿,リール）' && ((planSpecific && planSpecific.rental) || legRentals.length)) {
+        const own = [(planSpecific && planSpecific.rental) || {}].concat(legRentals);
+        if (own.some(r => r['竿（手巻き）'] || r['竿（電動リール）'] || r['竿（専用竿）'])) continue;
+      }
+      add(name, commonRental[name]);
+    }
+    return list;
+  }
+
+  // Rental maps of a relay plan's legs (empty for other plans)
+  function legRentalMaps(tripType, planName, catalog) {
+    return (getRelayLegs(tripType, planName, catalog) || [])
+      .map(l => (findLegPlan(l.plan, catalog) || {}).rental)
+      .filter(Boolean);
+  }
+
+  // Single rental lookup with the same precedence as listRentals; null if unknown
+  function resolveRental(name, tripType, planName, catalog) {
+    const plans = getPlans(catalog);
+    const commonRental = (catalog && catalog.commonRental) || {};
+    const own = plans[tripType] && plans[tripType][planName] && plans[tripType][planName].rental;
+    if (own && own[name]) return normalizeRental(own[name]);
+    const shared = plans['乗合船'] && plans['乗合船'][planName] && plans['乗合船'][planName].rental;
+    if (shared && shared[name]) return normalizeRental(shared[name]);
+    const leg = legRentalMaps(tripType, planName, catalog).find(r => r[name]);
+    if (leg) return normalizeRental(leg[name]);
+    if (commonRental[name] !== undefined) return normalizeRental(commonRental[name]);
+    return null;
+  }
+
+  // --- plan metadata (times, difficulty, purchasable items) ---
+  // Read from the catalog first; the name-based heuristics below are only a fallback
+  // for plans that do not declare these fields yet.
+
+  // Field of the plan entry for tripType, falling back to the 乗合船 entry of the same name
+  function findPlanField(tripType, planName, field, catalog) {
+    const plans = getPlans(catalog);
+    const own = plans[tripType] && plans[tripType][planName];
+    if (own && own[field] !== undefined) return own[field];
+    const shared = plans['乗合船'] && plans['乗合船'][planName];
+    if (shared && shared[field] !== undefined) return shared[field];
+    return undefined;
+  }
+
+  // Fallback: '午後' -> 12:30集合 / 13:00出船, otherwise -> 6:30集合 / 7:00出船
+  function guessTimesFromName(planName) {
+    if (!planName) return { meet: '', depart: '' };
+    if (planName.indexOf('午後') !== -1) return { meet: '12:30', depart: '13:00' };
+    return { meet: '06:30', depart: '07:00' };
+  }
+
+  // Fallback difficulty by keyword (precedence: 上級者 -> 中級者 -> 初心者); null when unknown
+  function guessDifficultyFromName(planName) {
+    const name = planName || '';
+    const rules = [
+      { level: '上級者', keywords: ['イカ'] },
+      { level: '中級者', keywords: ['マダイ'] },
+      { level: '初心者', keywords: ['午前アジ', '午前アミ五目'] }
+    ];
+    for (const r of rules) {
+      if (r.keywords.some(kw => name.indexOf(kw) !== -1)) return r.level;
+    }
+    return null;
+  }
+
+  // Fallback purchasable items by keyword
+  function guessItemsFromName(planName) {
+    if (!planName) return {};
+    const has = (...kws) => kws.some(kw => planName.indexOf(kw) !== -1);
+    if (has('マダイ')) return { '仕掛け': { min: 500, max: 600 } };
+    if (has('ヤリスルメイカ', 'ヤリイカ')) {
+      return { 'オモリ（150号）': { min: 600, max: 600 }, '仕掛け': { min: 1000, max: 1500 } };
+    }
+    if (has('タチアジ')) return { '仕掛け': { min: 250, max: 500 } };
+    if (has('カワハギ')) return { '仕掛け': { min: 400, max: 600 } };
+    if (has('マゴチ')) return { '仕掛け': { min: 450, max: 450, note: '450円程度' } };
+    if (has('テンヤタチウオ')) {
+      return { 'イワシ（10匹）': { min: 650, max: 650 }, 'テンヤ': { min: 1000, max: 1000, note: '1000円程度' } };
+    }
+    if (has('午前', '午後', 'アジ', 'アミ五目', 'キス', 'メバル', 'カサゴ')) return { '仕掛け': { min: 250, max: 500 } };
+    return {};
+  }
+
+  // Meeting / departure time: { meet: 'HH:MM', depart: 'HH:MM' }.
+  // Relay plans meet and depart with their first leg unless they declare their own times, and add
+  // relay: [{ plan, depart }] for later legs that leave at another time (e.g. 午後アジ 13:00).
+  function getPlanTimes(tripType, planName, catalog) {
+    if (!planName) return { meet: '', depart: '' };
+    const times = findPlanField(tripType, planName, 'times', catalog);
+    const legs = getRelayLegs(tripType, planName, catalog);
+    if (!legs) {
+      if (times && times.meet && times.depart) return { meet: times.meet, depart: times.depart };
+      return guessTimesFromName(planName);
+    }
+    const legTimes = legs.map(l => {
+      const own = (findLegPlan(l.plan, catalog) || {}).times;
+      return Object.assign({ plan: l.plan }, own && own.meet && own.depart ? own : guessTimesFromName(l.plan));
+    });
+    const result = (times && times.meet && times.depart)
+      ? { meet: times.meet, depart: times.depart }
+      : { meet: legTimes[0].meet, depart: legTimes[0].depart };
+    result.relay = legTimes.slice(1).filter(l => l.depart && l.depart !== result.depart).map(l => ({ plan: l.plan, depart: l.depart }));
+    return result;
+  }
+
+  // '初心者' | '中級者' | '上級者' | null. A plan may set difficulty: null to show nothing.
+  // A relay plan without its own setting takes its hardest leg.
+  function getPlanDifficulty(tripType, planName, catalog) {
+    const level = findPlanField(tripType, planName, 'difficulty', catalog);
+    if (level !== undefined) return level;
+    const legs = getRelayLegs(tripType, planName, catalog);
+    if (legs) {
+      const order = ['初心者', '中級者', '上級者'];
+      const levels = legs.map(l => {
+        const own = (findLegPlan(l.plan, catalog) || {}).difficulty;
+        return own !== undefined ? own : guessDifficultyFromName(l.plan);
+      }).filter(l => order.indexOf(l) !== -1);
+      return levels.length ? levels.sort((a, b) => order.indexOf(b) - order.indexOf(a))[0] : null;
+    }
+    return guessDifficultyFromName(planName);
+  }
+
+  // Purchasable items (購入品): { name: { min, max, price, note } }
+  // price is the midpoint used as a rough estimate; note is the display range (e.g. '250〜500円')
+  function getPurchaseItems(tripType, planName, catalog) {
+    if (!planName) return {};
+    const declared = findPlanField(tripType, planName, 'items', catalog);
+    const legs = getRelayLegs(tripType, planName, catalog);
+    let items = declared !== undefined ? declared : guessItemsFromName(planName);
+    if (declared === undefined && legs) {
+      // relay plans: the items of every leg (the first leg's price range wins for shared names)
+      items = {};
+      for (const l of legs) {
+        const leg = findLegPlan(l.plan, catalog) || {};
+        const legItems = leg.items !== undefined ? leg.items : guessItemsFromName(l.plan);
+        for (const [name, raw] of Object.entries(legItems || {})) if (!items[name]) items[name] = raw;
+      }
+    }
+    const result = {};
+    for (const [name, raw] of Object.entries(items || {})) {
+      const min = Number(raw.min) || 0;
+      const max = Number(raw.max !== undefined ? raw.max : raw.min) || 0;
+      const note = raw.note || (min === max ? `${min}円` : `${min}〜${max}円`);
+      result[name] = { min, max, price: Math.round((min + max) / 2), note };
+    }
+    return result;
+  }
+
+  // --- seasonal availability ---
+  // availability: {
+  //   periods: [{ from: 'MM-DD' | 'YYYY-MM-DD', to: ... }]  // 年をまたぐ期間（11-01〜03-31）も可
+  //   daysOfWeek: [0..6]                                    // 0=日 … 6=土
+  //   excludeDates: ['YYYY-MM-DD']                          // 運休日
+  // }
+  // Plans without `availability` are available every day.
+  const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+  function inPeriod(iso, period) {
+    const from = period.from || '';
+    const to = period.to || '';
+    if (from.length === 10 || to.length === 10) {
+      return (!from || iso >= from) && (!to || iso <= to);
+    }
+    const md = iso.slice(5);
+    if (from <= to) return md >= from && md <= to;
+    return md >= from || md <= to; // wraps the new year
+  }
+
+  function formatPeriod(period) {
+    const fmt = (s) => {
+      const parts = s.split('-').map(Number);
+      const [m, d] = parts.slice(-2);
+      return (parts.length === 3 ? parts[0] + '年' : '') + m + '月' + d + '日';
+    };
+    return `${fmt(period.from)}〜${fmt(period.to)}`;
+  }
+
+  // Returns { available: true } or { available: false, reason, reasonCode, reasonParams }.
+  // A relay plan only runs when every leg is in season (the reason names the leg).
+  function checkAvailability(tripType, planName, dateStr, catalog) {
+    for (const leg of getRelayLegs(tripType, planName, catalog) || []) {
+      const legRules = (findLegPlan(leg.plan, catalog) || {}).availability;
+      const result = legRules ? checkRules(legRules, leg.plan, dateStr) : { available: true };
+      if (!result.available) return result;
+    }
+    return checkRules(findPlanField(tripType, planName, 'availability', catalog), planName, dateStr);
+  }
+
+  function checkRules(rules, planName, dateStr) {
+    if (!rules || !dateStr) return { available: true };
+    const d = parseISODate(dateStr);
+    if (!d || isNaN(d)) return { available: true };
+
+    if ((rules.excludeDates || []).indexOf(dateStr) !== -1) {
+      return { available: false, reason: `${planName} は ${dateStr} 運休です`, reasonCode: 'excluded', reasonParams: { plan: planName, date: dateStr } };
+    }
+    const periods = rules.periods || [];
+    if (periods.length && !periods.some(pr => inPeriod(dateStr, pr))) {
+      return {
+        available: false,
+        reason: `${planName} は期間外です（運航期間：${periods.map(formatPeriod).join('、')}）`,
+        reasonCode: 'outOfSeason',
+        reasonParams: { plan: planName, periods }
+      };
+    }
+    const days = rules.daysOfWeek || [];
+    if (days.length && days.indexOf(d.getDay()) === -1) {
+      return {
+        available: false,
+        reason: `${planName} は${WEEKDAY_NAMES[d.getDay()]}曜日は運航していません（運航曜日：${days.map(i => WEEKDAY_NAMES[i]).join('・')}）`,
+        reasonCode: 'dayOfWeek',
+        reasonParams: { plan: planName, day: d.getDay(), days }
+      };
+    }
+    return { available: true };
+  }
+
+  // --- seats ---
+  // plan.capacity: 定員（1隻に乗れる人数）。仕立て船は同名の乗合船プランの定員を使う。
+  // catalog.inventory.bookedSeats(date, tripType, plan) (inventory.js, or any provider with the same
+  // method) gives the seats already booked; without it the whole capacity is free.
+  // 乗合船 and 仕立て船 of the same plan share one boat and a charter takes all of it: any booking of
+  // the other trip type leaves no seats (boatTaken).
+  // Returns { capacity, booked, remaining, boatTaken } or null when the plan declares no capacity.
+  function getSeatAvailability(tripType, planName, dateStr, catalog) {
+    if (!planName) return null;
+    const capacity = findPlanField(tripType, planName, 'capacity', catalog);
+    if (capacity === undefined) return null;
+    const inventory = catalog && catalog.inventory;
+    const bookedFor = (type) => (inventory && inventory.bookedSeats && dateStr ? inventory.bookedSeats(dateStr, type, planName) : 0);
+    const booked = bookedFor(tripType);
+    const boatTaken = bookedFor(tripType === '仕立て船' ? '乗合船' : '仕立て船') > 0;
+    return { capacity, booked, remaining: boatTaken ? 0 : Math.max(0, capacity - booked), boatTaken };
+  }
+
+  // Alternatives when the party does not fit: nearby dates for the same plan (up to options.days before
+  // and after, never before options.from) and other plans on the same date that run and have enough seats.
+  // Returns { dates: ['YYYY-MM-DD'], plans: [name] }, each at most options.limit long (nearest dates first, then sorted).
+  function suggestAlternatives(input, catalog, options) {
+    const src = input || {};
+    const opts = options || {};
+    const days = opts.days || 7;
+    const limit = opts.limit || 3;
+    const p = src.people || {};
+    const people = (Number(p.men) || 0) + (Number(p.women) || 0) + (Number(p.student) || 0);
+    const calendar = catalog && catalog.calendar;
+    const fits = (planName, date) => {
+      if (!checkAvailability(src.tripType, planName, date, catalog).available) return false;
+      if (calendar && calendar.isClosed && calendar.isClosed(date)) return false;
+      const seats = getSeatAvailability(src.tripType, planName, date, catalog);
+      return !seats || seats.remaining >= people;
+    };
+
+    const dates = [];
+    if (src.date && src.plan) {
+      for (let i = 1; i <= days && dates.length < limit; i++) {
+        for (const date of [offsetISO(src.date, i), offsetISO(src.date, -i)]) {
+          if (dates.length >= limit || (opts.from && date < opts.from)) continue;
+          if (fits(src.plan, date)) dates.push(date);
+        }
+      }
+      dates.sort();
+    }
+
+    // 仕立て船 can also be booked for any 乗合船 plan (same list as the plan select)
+    const plans = getPlans(catalog);
+    const names = Object.keys(plans[src.tripType] || {});
+    if (src.tripType === '仕立て船') {
+      for (const name of Object.keys(plans['乗合船'] || {})) if (names.indexOf(name) === -1) names.push(name);
+    }
+    const otherPlans = src.date ? names.filter(name => name !== src.plan && fits(name, src.date)).slice(0, limit) : [];
+    return { dates, plans: otherPlans };
+  }
+
+  // --- rental limits ---
+  // rentalRules: {
+  //   limits: { 名称: { maxPerPerson, stock } }   // 1名あたりの上限 / 店の保有数
+  //   exclusive: [[名称, 名称, ...]]              // 同時に選べない組み合わせ（手巻き竿と電動リール竿など）
+  // }
+  // catalog.inventory ({ reserved(date, name) }, inventory.js) lowers the stock by what is already booked that day.
+  const MAX_RENTAL_QTY = 100;
+
+  // { name: { max, reason, reasonCode, reasonParams } } for each rental offered with the plan;
+  // reason explains the tightest limit (empty when only MAX_RENTAL_QTY applies).
+  // In an exclusive group the item listed first keeps its quantity when several are selected.
+  function getRentalLimits(input, catalog) {
+    const src = input || {};
+    const rules = (catalog && catalog.rentalRules) || {};
+    const limits = rules.limits || {};
+    const inventory = catalog && catalog.inventory;
+    const selected = src.rentals || {};
+    const p = src.people || {};
+    const people = (Number(p.men) || 0) + (Number(p.women) || 0) + (Number(p.student) || 0);
+    const result = {};
+    for (const { name } of listRentals(src.tripType, src.plan, catalog)) {
+      const limit = { max: MAX_RENTAL_QTY, reason: '', reasonCode: null, reasonParams: null };
+      const tighten = (max, reason, reasonCode, reasonParams) => {
+        if (max >= limit.max) return;
+        Object.assign(limit, { max: Math.max(0, max), reason, reasonCode, reasonParams });
+      };
+      const rule = limits[name] || {};
+      if (rule.maxPerPerson !== undefined && people > 0) {
+        const max = rule.maxPerPerson * people;
+        tighten(max, `${name}は1名につき${rule.maxPerPerson}点までです（${people}名で${max}点まで）`,
+          'rentalPerPerson', { rental: name, perPerson: rule.maxPerPerson, people, max });
+      }
+      if (rule.stock !== undefined) {
+        const reserved = inventory && src.date ? inventory.reserved(src.date, name) : 0;
+        const remaining = Math.max(0, rule.stock - reserved);
+        if (remaining > 0) {
+          tighten(remaining, `${name}はこの日の在庫が残り${remaining}点です`, 'rentalStock', { rental: name, remaining });
+        } else {
+          tighten(0, `${name}はこの日の在庫がありません`, 'rentalSoldOut', { rental: name });
+        }
+      }
+      for (const group of rules.exclusive || []) {
+        const own = group.indexOf(name);
+        if (own === -1) continue;
+        const keepsOwn = Number(selected[name]) > 0;
+        const other = group.find((n, i) => n !== name && Number(selected[n]) > 0 && (!keepsOwn || i < own));
+        if (other) tighten(0, `${name}は${other}と同時には選べません`, 'rentalExclusive', { rental: name, other });
+      }
+      result[name] = limit;
+    }
+    return result;
+  }
+
+  // --- quote ---
+  function computeRentals(input, catalog) {
+    const lines = [];
+    for (const [name, rawQty] of Object.entries(input.rentals || {})) {
+      const qty = Number(rawQty) || 0;
+      // skip 仕掛け if it somehow exists in rentals input
+      if (name === '仕掛け') continue;
+      if (qty <= 0) continue;
+      const info = resolveRental(name, input.tripType, input.plan, catalog) || normalizeRental(0);
+      lines.push({
+        name,
+        qty,
+        unitPrice: info.price,
+        amount: info.price * qty,
+        unitRefund: info.refund,
+        refundAmount: info.refund * qty,
+        taxRate: info.taxRate
+      });
+    }
+    return lines;
+  }
+
+  // 購入品（仕掛け・オモリなど）は当日精算の目安。合計金額・消費税には含めない。
+  function computeItems(input, catalog) {
+    const items = getPurchaseItems(input.tripType, input.plan, catalog);
+    const lines = [];
+    for (const [name, rawQty] of Object.entries(input.items || {})) {
+      const qty = Number(rawQty) || 0;
+      if (qty <= 0 || !items[name]) continue;
+      const info = items[name];
+      lines.push({ name, qty, min: info.min, max: info.max, minAmount: info.min * qty, maxAmount: info.max * qty });
+    }
+    return lines;
+  }
+
+  // --- consumption tax (消費税) ---
+  const TAX_ROUNDING = {
+    floor: { label: '切り捨て', fn: Math.floor },
+    round: { label: '四捨五入', fn: Math.round },
+    ceil: { label: '切り上げ', fn: Math.ceil }
+  };
+  const DEFAULT_TAX = { inclusive: true, rate: 10, rounding: 'floor', registrationNumber: '' };
+
+  function getTaxSettings(catalog) {
+    return Object.assign({}, DEFAULT_TAX, (catalog && catalog.tax) || {});
+  }
+
+  // Tax per rate, computed once from each rate's total (適格請求書: one rounding per rate, not per line).
+  // The refundable part of a rental (返却時返金) is a deposit, not a sale: it is listed as nonTaxable.
+  // Amounts in `lines` are in the catalog's pricing (税込 when inclusive, 税抜 otherwise).
+  function computeTax(quote, catalog) {
+    const settings = getTaxSettings(catalog);
+    const rounding = TAX_ROUNDING[settings.rounding] ? settings.rounding : DEFAULT_TAX.rounding;
+    const round = TAX_ROUNDING[rounding].fn;
+    const byRate = new Map();
+    const add = (rate, amount) => byRate.set(rate, (byRate.get(rate) || 0) + amount);
+    add(settings.rate, quote.fareTotal - (quote.discountTotal || 0));
+    for (const l of quote.rentalLines) {
+      add(l.taxRate === null || l.taxRate === undefined ? settings.rate : l.taxRate, Math.max(0, l.amount - l.refundAmount));
+    }
+    const lines = Array.from(byRate.entries())
+      .filter(([, amount]) => amount > 0)
+      .sort((a, b) => b[0] - a[0])
+      .map(([rate, amount]) => {
+        // The rate in hundredths of a percent makes numerator and denominator integers, so the one division is
+        // correctly rounded and exact results stay whole before rounding (3,000 × 2.3 / 100 would give 68.99999999999999)
+        const hundredths = Math.round(rate * 100);
+        const tax = round(amount * hundredths / (settings.inclusive ? 10000 + hundredths : 10000));
+        return { rate, label: `${rate}%`, amount, tax, net: settings.inclusive ? amount - tax : amount };
+      });
+    return {
+      inclusive: !!settings.inclusive,
+      rounding,
+      roundingLabel: TAX_ROUNDING[rounding].label,
+      registrationNumber: settings.registrationNumber || '',
+      lines,
+      taxTotal: lines.reduce((sum, l) => sum + l.tax, 0),
+      nonTaxable: quote.refundTotal
+    };
+  }
+
+  const RATE_TIER_LABELS = {
+    weekday: '平日料金',
+    saturday: '土曜料金',
+    sunday: '日曜料金',
+    holiday: '祝日料金'
+  };
+
+  // How people above minPeople are charged (plans['仕立て船'][plan].extraPolicy):
+  //   expensiveFirst  the categories with the highest 乗合料金 are counted as extras first (default)
+  //   cheapestFirst   the cheapest categories are counted as extras first
+  //   proportional    extras are split by the party's make-up (largest remainder for the fractions)
+  //   flat            one extra rate per person whatever the category (the tier's extraPrice amount)
+  // A tier with an amount as extraPrice is always charged flat.
+  const EXTRA_POLICIES = ['expensiveFirst', 'cheapestFirst', 'proportional', 'flat'];
+
+  // { men, women, student }: how many of each category are charged as extras
+  function allocateExtras(people, extra, refFare, policy) {
+    const result = { men: 0, women: 0, student: 0 };
+    const keys = PEOPLE_CATEGORIES.map(c => c.key);
+    if (policy === 'proportional') {
+      const quotas = keys.map((key, i) => ({ key, i, exact: people.total ? people[key] * extra / people.total : 0 }));
+      let left = extra;
+      for (const q of quotas) {
+        result[q.key] = Math.floor(q.exact);
+        left -= result[q.key];
+      }
+      quotas.sort((a, b) => (b.exact - Math.floor(b.exact)) - (a.exact - Math.floor(a.exact)) || a.i - b.i);
+      for (const q of quotas) {
+        if (left <= 0) break;
+        if (result[q.key] >= people[q.key]) continue;
+        result[q.key]++;
+        left--;
+      }
+      return result;
+    }
+    const sign = policy === 'cheapestFirst' ? 1 : -1;
+    const order = keys.slice().sort((a, b) => sign * ((refFare[a] || 0) - (refFare[b] || 0)) || keys.indexOf(a) - keys.indexOf(b));
+    let left = extra;
+    for (const key of order) {
+      result[key] = Math.min(people[key], left);
+      left -= result[key];
+    }
+    return result;
+  }
+
+  // Charter rate table for a plan (plans['仕立て船'][plan].rates) or null if not defined
+  function findCharterRates(planName, catalog) {
+    const charterPlans = getPlans(catalog)['仕立て船'] || {};
+    const entry = charterPlans[planName];
+    return (entry && entry.rates) || null;
+  }
+
+  // Pick the rate tier for a date. A plan-defined 'holiday' tier wins on actual 祝日;
+  // otherwise the tier follows getRateType (連休の扱いを含む).
+  function selectCharterTier(rates, dateStr, catalog) {
+    const cls = classifyDate(dateStr, holidayPredicate(catalog));
+    if (cls.holiday && rates.holiday) {
+      return { key: 'holiday', info: rates.holiday, reason: '祝日のため祝日料金', reasonCode: 'holidayRate' };
+    }
+    return { key: cls.rateType, info: rates[cls.rateType] || null, reason: cls.reason, reasonCode: cls.reasonCode };
+  }
+
+  // Tier fields:
+  // - minPeople: 最低人数
+  // - minPrice:  最低料金（固定額）または perHead: 1人あたり金額（数値 or 'men' などの乗合料金区分）
+  // - extraPrice: 最低人数超過分の1人あたり金額（数値）。省略または 'fare' なら乗合料金を区分ごとに適用
+  function computeCharter(input, people, refFare, catalog) {
+    const rates = findCharterRates(input.plan, catalog);
+    if (!rates) {
+      return { inquiry: true, reason: 'このプランの仕立て料金表が未設定です', reasonCode: 'noRates' };
+    }
+    const tier = selectCharterTier(rates, input.date, catalog);
+    const tierLabel = RATE_TIER_LABELS[tier.key] || tier.key;
+    if (!tier.info) {
+      return {
+        inquiry: true, tier: tier.key, tierLabel,
+        reason: `${tierLabel}が未設定です（${tier.reason}）`,
+        reasonCode: 'tierMissing', reasonParams: { tier: tier.key, dateReason: tier.reasonCode }
+      };
+    }
+
+    const info = tier.info;
+    const minPeople = Number(info.minPeople) || 0;
+    let minPrice = 0;
+    let perHead = null;
+    if (info.minPrice !== undefined) {
+      minPrice = Number(info.minPrice) || 0;
+    } else if (info.perHead !== undefined) {
+      perHead = (typeof info.perHead === 'number') ? info.perHead : (Number(refFare[info.perHead]) || 0);
+      minPrice = perHead * minPeople;
+    }
+    if (!minPrice && !minPeople) {
+      return { inquiry: true, tier: tier.key, tierLabel, reason: `${tierLabel}の最低料金が未設定です`, reasonCode: 'minMissing', reasonParams: { tier: tier.key } };
+    }
+
+    const charter = {
+      inquiry: false,
+      tier: tier.key,
+      tierLabel,
+      reason: tier.reason,
+      reasonCode: tier.reasonCode,
+      minPeople,
+      minPrice,
+      perHead,
+      shortageCount: 0,
+      extraPolicy: null, // EXTRA_POLICIES, set when there are extras
+      minimumLines: [], // { category, label, count } — people covered by the minimum charge (per category unless flat)
+      extraCount: 0,
+      extraLines: [],
+      extraAmount: 0
+    };
+
+    if (people.total > minPeople) {
+      const extra = people.total - minPeople;
+      const planPolicy = (getPlans(catalog)['仕立て船'][input.plan] || {}).extraPolicy;
+      charter.extraPolicy = typeof info.extraPrice === 'number' ? 'flat' : (planPolicy || 'expensiveFirst');
+      if (charter.extraPolicy === 'flat') {
+        const unitPrice = typeof info.extraPrice === 'number' ? info.extraPrice : 0;
+        charter.minimumLines.push({ category: 'all', label: '全員', count: minPeople });
+        charter.extraLines.push({ category: 'extra', label: '追加', count: extra, unitPrice, amount: extra * unitPrice });
+      } else {
+        // 最低人数を超えた分は乗合料金で加算（区分の割り当ては extraPolicy による）
+        const extras = allocateExtras(people, extra, refFare, charter.extraPolicy);
+        for (const c of PEOPLE_CATEGORIES) {
+          const included = people[c.key] - extras[c.key];
+          if (included > 0) charter.minimumLines.push({ category: c.key, label: c.label, count: included });
+          if (extras[c.key] <= 0) continue;
+          const unitPrice = refFare[c.key] || 0;
+          charter.extraLines.push({ category: c.key, label: c.label, count: extras[c.key], unitPrice, amount: extras[c.key] * unitPrice });
+        }
+      }
+      charter.extraCount = extra;
+      charter.extraAmount = charter.extraLines.reduce((sum, l) => sum + l.amount, 0);
+    } else if (people.total < minPeople) {
+      // 人数が最低人数に満たない場合も最低料金を適用（表示用に不足人数を記録）
+      charter.shortageCount = minPeople - people.total;
+    }
+    return charter;
+  }
+
+  // --- discounts (割引・クーポン) ---
+  // catalog.discounts: {
+  //   rules: [{
+  //     id, label,                        label is shown in the breakdown, estimate and mail
+  //     percent | amount,                 percent of the eligible fare, or a fixed amount in yen
+  //     per: 'booking' | 'person',        fixed amount once, or per eligible person (default 'booking')
+  //     categories: ['women', 'student'], fare categories the discount applies to (default: all).
+  //                                       Charter fares are not split by category, so such rules skip 仕立て船.
+  //     when: { tripTypes, plans, rateTypes ('weekday' | 'saturday' | 'sunday' | 'holiday'),
+  //             periods: [{ from, to }] ("MM-DD" or "YYYY-MM-DD"), minPeople, maxPeople,
+  //             minCounts: { women: 1 }, coupon: 'CODE' },   every condition given must hold
+  //     group,                            only the largest discount of a group is applied
+  //     max                               cap for this rule (yen)
+  //   }],
+  //   maxAmount, maxPercent               cap for all discounts together (yen / % of the fare)
+  // }
+  // Discounts only reduce the fare (乗船料), never rentals; rules are applied in catalog order.
+  const normalizeCoupon = (code) => String(code || '').normalize('NFKC').trim().toUpperCase();
+
+  function matchesDiscount(when, quote, coupon, catalog) {
+    const w = when || {};
+    const has = (list, value) => !Array.isArray(list) || list.indexOf(value) !== -1;
+    if (!has(w.tripTypes, quote.tripType) || !has(w.plans, quote.plan)) return false;
+    if (Array.isArray(w.rateTypes)) {
+      const holiday = !!quote.date && classifyDate(quote.date, holidayPredicate(catalog)).holiday;
+      if (w.rateTypes.indexOf(quote.rateType) === -1 && !(holiday && w.rateTypes.indexOf('holiday') !== -1)) return false;
+    }
+    if (Array.isArray(w.periods) && !(quote.date && w.periods.some(p => inPeriod(quote.date, p)))) return false;
+    if (w.minPeople !== undefined && quote.people.total < w.minPeople) return false;
+    if (w.maxPeople !== undefined && quote.people.total > w.maxPeople) return false;
+    for (const [key, min] of Object.entries(w.minCounts || {})) {
+      if ((quote.people[key] || 0) < min) return false;
+    }
+    if (w.coupon !== undefined && normalizeCoupon(w.coupon) !== coupon) return false;
+    return true;
+  }
+
+  // Discount a rule gives on this quote (0 when nothing is eligible)
+  function discountAmount(rule, quote) {
+    let base = quote.fareTotal;
+    let count = quote.people.total;
+    if (Array.isArray(rule.categories)) {
+      if (quote.charter) return 0;
+      const lines = quote.fareLines.filter(l => rule.categories.indexOf(l.category) !== -1);
+      base = lines.reduce((sum, l) => sum + l.amount, 0);
+      count = lines.reduce((sum, l) => sum + l.count, 0);
+    }
+    let amount = 0;
+    if (typeof rule.percent === 'number') amount = Math.floor(base * rule.percent / 100);
+    else if (typeof rule.amount === 'number') amount = rule.per === 'person' ? rule.amount * count : rule.amount;
+    if (typeof rule.max === 'number') amount = Math.min(amount, rule.max);
+    return Math.max(0, Math.min(amount, base));
+  }
+
+  // Returns { lines: [{ id, label, amount, capped }], total, coupon: { code, status } }
+  // coupon.status: 'none' (no code) | 'applied' | 'unknown' (no rule has the code) | 'notApplicable' (conditions not met)
+  function computeDiscounts(quote, couponCode, catalog) {
+    const settings = (catalog && catalog.discounts) || {};
+    const rules = Array.isArray(settings.rules) ? settings.rules : [];
+    const coupon = normalizeCoupon(couponCode);
+    const result = { lines: [], total: 0, coupon: { code: coupon, status: coupon ? 'unknown' : 'none' } };
+    const couponRules = rules.filter(r => r.when && r.when.coupon !== undefined && normalizeCoupon(r.when.coupon) === coupon);
+    if (coupon && couponRules.length) result.coupon.status = 'notApplicable';
+    if (quote.inquiry || !quote.available || quote.fareTotal <= 0) return result;
+
+    const best = new Map(); // group -> line
+    for (const rule of rules) {
+      if (!matchesDiscount(rule.when, quote, coupon, catalog)) continue;
+      const amount = discountAmount(rule, quote);
+      if (amount <= 0) continue;
+      const line = { id: rule.id, label: rule.label, amount, capped: false };
+      if (rule.group === undefined) {
+        result.lines.push(line);
+      } else if (!best.has(rule.group) || best.get(rule.group).amount < amount) {
+        if (best.has(rule.group)) result.lines.splice(result.lines.indexOf(best.get(rule.group)), 1, line);
+        else result.lines.push(line);
+        best.set(rule.group, line);
+      }
+    }
+
+    // overall cap: trim the last discounts first
+    let cap = quote.fareTotal;
+    if (typeof settings.maxAmount === 'number') cap = Math.min(cap, settings.maxAmount);
+    if (typeof settings.maxPercent === 'number') cap = Math.min(cap, Math.floor(quote.fareTotal * settings.maxPercent / 100));
+    let excess = result.lines.reduce((sum, l) => sum + l.amount, 0) - cap;
+    for (let i = result.lines.length - 1; i >= 0 && excess > 0; i--) {
+      const cut = Math.min(result.lines[i].amount, excess);
+      result.lines[i].amount -= cut;
+      result.lines[i].capped = true;
+      excess -= cut;
+    }
+    result.lines = result.lines.filter(l => l.amount > 0);
+    result.total = result.lines.reduce((sum, l) => sum + l.amount, 0);
+    if (coupon && result.lines.some(l => couponRules.some(r => r.id === l.id))) result.coupon.status = 'applied';
+    return result;
+  }
+
+  function computeQuote(input, catalog) {
+    const src = input || {};
+    const p = src.people || {};
+    const people = {
+      men: Number(p.men) || 0,
+      women: Number(p.women) || 0,
+      student: Number(p.student) || 0
+    };
+    people.total = people.men + people.women + people.student;
+
+    const quote = {
+      tripType: src.tripType,
+      plan: src.plan || null,
+      date: src.date || null,
+      rateType: getRateType(src.date, holidayPredicate(catalog)),
+      people,
+      inquiry: false, // true when the fare cannot be quoted (要問合せ)
+      available: true, // false when the plan does not run on the date (no prices are computed)
+      fareLines: [],
+      relayLines: [], // { plan, fareFrom, fare, amount } — each leg's share of a relay plan's fare (乗合船)
+      charter: null,
+      fareTotal: 0,
+      rentalLines: [],
+      rentalTotal: 0,
+      refundLines: [],
+      refundTotal: 0,
+      discountLines: [], // { id, label, amount, capped } — amounts taken off the fare
+      discountTotal: 0,
+      coupon: { code: '', status: 'none' },
+      seats: null, // { capacity, booked, remaining, enough } for plans with a capacity
+      itemLines: [], // { name, qty, min, max, minAmount, maxAmount } — purchases, not part of the total
+      itemEstimate: { min: 0, max: 0 },
+      tax: null, // set by computeTax once prices are known
+      total: 0,
+      deposit: { payable: 0, refund: 0, net: 0 }, // 当日お支払い・返却時返金・実質負担額
+      warnings: [], // Japanese messages
+      warningCodes: [] // { code, params } for each warning, for translated display (i18n.js)
+    };
+
+    const calendar = catalog && catalog.calendar;
+    if (quote.date && calendar && calendar.isClosed && calendar.isClosed(quote.date)) {
+      const name = calendar.getClosedName(quote.date);
+      quote.warnings.push(`${quote.date} は休業日（${name}）です`);
+      quote.warningCodes.push({ code: 'closed', params: { date: quote.date, name } });
+    }
+
+    const availability = checkAvailability(src.tripType, src.plan, src.date, catalog);
+    if (!availability.available) {
+      quote.available = false;
+      quote.warnings.push(availability.reason);
+      quote.warningCodes.push({ code: availability.reasonCode, params: availability.reasonParams });
+      return quote;
+    }
+
+    quote.seats = getSeatAvailability(src.tripType, src.plan, src.date, catalog);
+    if (quote.seats) {
+      const seats = quote.seats;
+      seats.enough = people.total <= seats.remaining;
+      if (!seats.enough) {
+        const params = { plan: src.plan, date: src.date, people: people.total, capacity: seats.capacity, remaining: seats.remaining };
+        if (seats.boatTaken) {
+          const other = src.tripType === '仕立て船' ? '乗合船' : '仕立て船';
+          quote.warnings.push(`${src.plan} は ${src.date} ${other}の予約が入っているため${src.tripType}では予約できません`);
+          quote.warningCodes.push({ code: 'boatTaken', params });
+        } else if (people.total > seats.capacity) {
+          quote.warnings.push(`${src.plan} の定員は${seats.capacity}名です（${people.total}名では乗船できません）`);
+          quote.warningCodes.push({ code: 'overCapacity', params });
+        } else if (seats.remaining === 0) {
+          quote.warnings.push(`${src.plan} は ${src.date} 満席です`);
+          quote.warningCodes.push({ code: 'seatsFull', params });
+        } else {
+          quote.warnings.push(`${src.plan} の ${src.date} の空席は残り${seats.remaining}席です（${people.total}名では予約できません）`);
+          quote.warningCodes.push({ code: 'seatsShort', params });
+        }
+      }
+    }
+
+    if (src.tripType === '乗合船') {
+      const fare = findFare('乗合船', src.plan, catalog) || { men: 0, women: 0, student: 0 };
+      for (const c of PEOPLE_CATEGORIES) {
+        if (!people[c.key]) continue;
+        const unitPrice = fare[c.key] || 0;
+        quote.fareLines.push({ category: c.key, label: c.label, count: people[c.key], unitPrice, amount: people[c.key] * unitPrice });
+      }
+      quote.fareTotal = quote.fareLines.reduce((sum, l) => sum + l.amount, 0);
+      quote.relayLines = (getRelayLegs('乗合船', src.plan, catalog) || []).map(l => Object.assign({}, l, {
+        amount: PEOPLE_CATEGORIES.reduce((sum, c) => sum + people[c.key] * l.fare[c.key], 0)
+      }));
+    } else if (src.tripType === '仕立て船') {
+      // 最低料金 +（最低人数を超えた人数分 × 追加料金）。乗合料金は同名の乗合船プランを参照。
+      const refFare = findFare('乗合船', src.plan, catalog) || { men: 0, women: 0, student: 0 };
+      quote.charter = computeCharter(src, people, refFare, catalog);
+      if (quote.charter.inquiry) {
+        quote.inquiry = true;
+      } else {
+        quote.fareTotal = quote.charter.minPrice + quote.charter.extraAmount;
+      }
+    }
+
+    quote.rentalLines = computeRentals(src, catalog);
+    quote.rentalTotal = quote.rentalLines.reduce((sum, l) => sum + l.amount, 0);
+    quote.refundLines = quote.rentalLines.filter(l => l.refundAmount > 0);
+    quote.refundTotal = quote.refundLines.reduce((sum, l) => sum + l.refundAmount, 0);
+    // the form caps quantities; links or saved states may still ask for more than allowed
+    const rentalLimits = getRentalLimits(src, catalog);
+    for (const l of quote.rentalLines) {
+      const limit = rentalLimits[l.name];
+      if (!limit || l.qty <= limit.max) continue;
+      quote.warnings.push(limit.reason);
+      quote.warningCodes.push({ code: limit.reasonCode, params: limit.reasonParams });
+    }
+    quote.itemLines = computeItems(src, catalog);
+    quote.itemEstimate = {
+      min: quote.itemLines.reduce((sum, l) => sum + l.minAmount, 0),
+      max: quote.itemLines.reduce((sum, l) => sum + l.maxAmount, 0)
+    };
+    const discounts = computeDiscounts(quote, src.coupon, catalog);
+    quote.discountLines = discounts.lines;
+    quote.discountTotal = discounts.total;
+    quote.coupon = discounts.coupon;
+    quote.tax = computeTax(quote, catalog);
+    // 税抜価格のカタログでは消費税を加算（税込価格ならそのまま）
+    quote.total = quote.fareTotal - quote.discountTotal + quote.rentalTotal + (quote.tax.inclusive ? 0 : quote.tax.taxTotal);
+    // 返却時返金は預り金：当日は合計金額を受け取り、レンタル品がすべて返却されれば refundTotal を返金する
+    quote.deposit = { payable: quote.total, refund: quote.refundTotal, net: quote.total - quote.refundTotal };
+    return quote;
+  }
+
+  // --- dockside settlement (返却時の精算) ---
+  // marks: { rentalName: { returned, lost } } counted by staff at the dock. Only returned items are refunded;
+  // the deposit of a lost item is kept. Items neither returned nor lost yet are `pending` (refund not decided).
+  // Returns { lines: [{ name, qty, returned, lost, pending, unitRefund, refundAmount, forfeited }],
+  //           payable, refund, forfeited, pendingRefund, net, complete }
+  function settleDeposits(quote, marks) {
+    const count = (v, max) => Math.min(Math.max(0, Math.floor(Number(v) || 0)), max);
+    const lines = quote.refundLines.map(l => {
+      const mark = (marks || {})[l.name] || {};
+      const returned = count(mark.returned, l.qty);
+      const lost = count(mark.lost, l.qty - returned);
+      const pending = l.qty - returned - lost;
+      return {
+        name: l.name,
+        qty: l.qty,
+        returned,
+        lost,
+        pending,
+        unitRefund: l.unitRefund,
+        refundAmount: returned * l.unitRefund,
+        forfeited: lost * l.unitRefund
+      };
+    });
+    const sum = (key) => lines.reduce((total, l) => total + l[key], 0);
+    const refund = sum('refundAmount');
+    return {
+      lines,
+      payable: quote.deposit.payable,
+      refund,
+      forfeited: sum('forfeited'),
+      pendingRefund: lines.reduce((total, l) => total + l.pending * l.unitRefund, 0),
+      net: quote.deposit.payable - refund,
+      complete: lines.every(l => l.pending === 0)
+    };
+  }
+
+  // --- cancellation fee (キャンセル料) ---
+  // Policy per trip type: fees [{ daysBefore, percent }] = cancelling `daysBefore` days or fewer before the
+  // departure date costs `percent` % of the fare (the tier with the smallest daysBefore that still applies);
+  // earlier cancellations are free. weatherExempt: no fee when the trip is called off for the weather.
+  // Returns { fees (sorted by daysBefore, descending), weatherExempt } or null when the catalog has no policy.
+  function getCancellationPolicy(tripType, catalog) {
+    const policy = catalog && catalog.cancellation && catalog.cancellation[tripType];
+    if (!policy) return null;
+    return {
+      fees: (policy.fees || []).slice().sort((a, b) => b.daysBefore - a.daysBefore),
+      weatherExempt: !!policy.weatherExempt
+    };
+  }
+
+  // Fee for cancelling `quote` on cancelDate (ISO). The fee is a share of the fare after discounts (乗船料);
+  // rentals are not charged. A date past the departure counts as the day itself.
+  // options: { weather: true } when the trip is called off for the weather.
+  // Returns null without a policy or a date, otherwise
+  //   { daysBefore, afterDeparture, percent, exempt, inquiry, base, fee, paid, refund }
+  //   (refund = what goes back when the total was paid in advance; fee / refund are null when inquiry)
+  function computeCancellation(quote, cancelDate, options, catalog) {
+    const policy = getCancellationPolicy(quote.tripType, catalog);
+    if (!policy || !quote.date || !cancelDate) return null;
+    const days = Math.round((parseISODate(quote.date) - parseISODate(cancelDate)) / 86400000);
+    const daysBefore = Math.max(0, days);
+    const applied = policy.fees.filter(f => f.daysBefore >= daysBefore).pop();
+    const exempt = !!(options && options.weather) && policy.weatherExempt;
+    const percent = exempt || !applied ? 0 : applied.percent;
+    const base = quote.fareTotal - quote.discountTotal;
+    const fee = quote.inquiry ? null : Math.floor(base * percent / 100);
+    return {
+      daysBefore,
+      afterDeparture: days < 0,
+      percent,
+      exempt,
+      inquiry: !!quote.inquiry,
+      base,
+      fee,
+      paid: quote.total,
+      refund: quote.inquiry ? null : quote.total - fee
+    };
+  }
+
+  return {
+    PEOPLE_CATEGORIES,
+    parseISODate,
+    toISODate,
+    offsetISO,
+    classifyDate,
+    getRateType,
+    holidayPredicate,
+    RATE_TIER_LABELS,
+    EXTRA_POLICIES,
+    allocateExtras,
+    findCharterRates,
+    findPlan,
+    findFare,
+    getRelayLegs,
+    normalizeRental,
+    listRentals,
+    resolveRental,
+    MAX_RENTAL_QTY,
+    getRentalLimits,
+    getPlanTimes,
+    getPlanDifficulty,
+    getPurchaseItems,
+    checkAvailability,
+    getSeatAvailability,
+    suggestAlternatives,
+    TAX_ROUNDING,
+    getTaxSettings,
+    computeTax,
+    computeDiscounts,
+    computeQuote,
+    settleDeposits,
+    getCancellationPolicy,
+    computeCancellation
+  };
+});
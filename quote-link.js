@@ -0,0 +1,96 @@
+// Shareable quote links: the form state encoded in the URL hash.
+// Works as a plain <script> (exposes `window.QuoteLink`) and as a CommonJS module.
+//
+// Format (URLSearchParams in the hash, values percent-encoded):
+//   #v=1&type=乗合船&plan=午前アジ&date=2026-05-02&men=2&women=1&student=0&rental=ビシセット:2&item=仕掛け:3&coupon=AGAIN
+// `rental` (and `item` for purchasable tackle) is repeated once per entry with a quantity above zero.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.QuoteLink = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const LINK_VERSION = 1;
+  const TRIP_TYPES = ['乗合船', '仕立て船'];
+  const MAX_COUNT = 100;
+
+  // state -> hash string without the leading '#'
+  function encode(state) {
+    const params = new URLSearchParams();
+    params.set('v', String(LINK_VERSION));
+    if (state.tripType) params.set('type', state.tripType);
+    if (state.plan) params.set('plan', state.plan);
+    if (state.date) params.set('date', state.date);
+    for (const k of ['men', 'women', 'student']) {
+      const n = Number(state[k]) || 0;
+      if (n > 0) params.set(k, String(n));
+    }
+    for (const [name, qty] of Object.entries(state.rentals || {})) {
+      if (Number(qty) > 0) params.append('rental', `${name}:${Number(qty)}`);
+    }
+    for (const [name, qty] of Object.entries(state.items || {})) {
+      if (Number(qty) > 0) params.append('item', `${name}:${Number(qty)}`);
+    }
+    if (state.coupon && state.coupon.trim()) params.set('coupon', state.coupon.trim());
+    return params.toString();
+  }
+
+  // hash string ('#...' or '...') -> { state, problems } or null when the hash holds no quote.
+  // state only contains the fields present in the link; problems lists values that could not be used.
+  function decode(hash) {
+    const raw = String(hash || '').replace(/^#/, '');
+    if (!raw) return null;
+    const params = new URLSearchParams(raw);
+    if (!params.has('v')) return null;
+    const state = {};
+    const problems = [];
+
+    if (params.get('v') !== String(LINK_VERSION)) {
+      problems.push(`リンクの形式（v=${params.get('v')}）が古いか不明です`);
+    }
+    const type = params.get('type');
+    if (type !== null) {
+      if (TRIP_TYPES.indexOf(type) !== -1) state.tripType = type;
+      else problems.push(`不明な釣り船の種類「${type}」`);
+    }
+    if (params.get('plan')) state.plan = params.get('plan');
+    const date = params.get('date');
+    if (date !== null) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date + 'T00:00:00'))) state.date = date;
+      else problems.push(`不正な日付「${date}」`);
+    }
+    for (const k of ['men', 'women', 'student']) {
+      const v = params.get(k);
+      if (v === null) continue;
+      const n = Number(v);
+      if (Number.isInteger(n) && n >= 0 && n <= MAX_COUNT) state[k] = n;
+      else problems.push(`不正な人数「${k}=${v}」`);
+    }
+    // 'name:qty' entries -> { name: qty }
+    const counts = (key, label) => {
+      const result = {};
+      for (const entry of params.getAll(key)) {
+        const idx = entry.lastIndexOf(':');
+        const name = idx > 0 ? entry.slice(0, idx) : '';
+        const qty = Number(idx > 0 ? entry.slice(idx + 1) : NaN);
+        if (name && Number.isInteger(qty) && qty > 0 && qty <= MAX_COUNT) result[name] = qty;
+        else problems.push(`不正な${label}指定「${entry}」`);
+      }
+      return result;
+    };
+    const rentals = counts('rental', 'レンタル');
+    if (Object.keys(rentals).length) state.rentals = rentals;
+    const items = counts('item', '購入品');
+    if (Object.keys(items).length) state.items = items;
+    if (params.get('coupon')) state.coupon = params.get('coupon');
+    return { state, problems };
+  }
+
+  return {
+    LINK_VERSION,
+    encode,
+    decode
+  };
+});
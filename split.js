@@ -0,0 +1,99 @@
+// Per-participant cost split (割り勘) built from a quote (pricing.js computeQuote).
+// Works as a plain <script> (exposes `window.Split`) and as a CommonJS module.
+//
+// computeSplit(quote, participants, options) -> {
+//   rows: [{ name, category, fare, rentals, tax, total, refund }],   one per participant, in yen
+//   total,                                                           always equals quote.total
+//   overAssigned: [rentalName]                                       more assigned than rented (capped)
+// }
+// participants: [{ name, category: 'men' | 'women' | 'student', rentals: { name: qty } }]
+// options: {
+//   fare: 'weighted' | 'equal',      乗船料（割引後・仕立て料金を含む）を乗合料金の比率で / 均等に分ける
+//   rentals: 'renter' | 'shared',    レンタル料金は借りた人が払う / 全員で均等に分ける（割り当てのない分は均等）
+//   weights: { men, women, student } 乗合料金（'weighted' の比率。すべて0なら均等）
+// }
+// Amounts are split with the largest remainder method so the rows add up to the quote exactly;
+// consumption tax added on top (税抜カタログ) follows each person's share. Refunds on return go to the renter.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Split = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const FARE_RULES = ['weighted', 'equal'];
+  const RENTAL_RULES = ['renter', 'shared'];
+
+  // Split an integer amount by weights; the shares add up to `amount` (equal split when all weights are 0)
+  function apportion(amount, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const w = total > 0 ? weights : weights.map(() => 1);
+    const sum = total > 0 ? total : weights.length;
+    if (!w.length) return [];
+    const exact = w.map(x => amount * x / sum);
+    const shares = exact.map(Math.floor);
+    let left = amount - shares.reduce((s, x) => s + x, 0);
+    const order = exact.map((x, i) => i).sort((a, b) => (exact[b] - shares[b]) - (exact[a] - shares[a]) || a - b);
+    for (const i of order) {
+      if (left <= 0) break;
+      shares[i]++;
+      left--;
+    }
+    return shares;
+  }
+
+  function computeSplit(quote, participants, options) {
+    const opts = options || {};
+    const list = participants || [];
+    const n = list.length;
+    const add = (a, b) => a.map((x, i) => x + b[i]);
+    const zeros = list.map(() => 0);
+    const equal = list.map(() => 1);
+
+    const farePart = quote.inquiry ? 0 : quote.fareTotal - quote.discountTotal;
+    const weights = opts.fare === 'equal' ? equal : list.map(p => Number((opts.weights || {})[p.category]) || 0);
+    const fares = n ? apportion(farePart, weights) : [];
+
+    let rentals = zeros.slice();
+    let refunds = zeros.slice();
+    const overAssigned = [];
+    for (const line of quote.rentalLines) {
+      if (opts.rentals === 'shared') {
+        rentals = add(rentals, apportion(line.amount, equal));
+        refunds = add(refunds, apportion(line.refundAmount, equal));
+        continue;
+      }
+      // renters pay for what they took; anything not assigned to someone is shared equally
+      let left = line.qty;
+      const taken = list.map(p => {
+        const qty = Math.min(Math.max(0, Number((p.rentals || {})[line.name]) || 0), left);
+        if (qty < (Number((p.rentals || {})[line.name]) || 0) && overAssigned.indexOf(line.name) === -1) overAssigned.push(line.name);
+        left -= qty;
+        return qty;
+      });
+      rentals = add(rentals, add(taken.map(q => q * line.unitPrice), apportion(left * line.unitPrice, equal)));
+      refunds = add(refunds, add(taken.map(q => q * line.unitRefund), apportion(left * line.unitRefund, equal)));
+    }
+
+    const taxOnTop = quote.tax && !quote.tax.inclusive ? quote.tax.taxTotal : 0;
+    const taxes = n ? apportion(taxOnTop, add(fares, rentals)) : [];
+    const rows = list.map((p, i) => ({
+      name: p.name || '',
+      category: p.category,
+      fare: fares[i],
+      rentals: rentals[i],
+      tax: taxes[i],
+      total: fares[i] + rentals[i] + taxes[i],
+      refund: refunds[i]
+    }));
+    return { rows, total: rows.reduce((sum, r) => sum + r.total, 0), overAssigned };
+  }
+
+  return {
+    FARE_RULES,
+    RENTAL_RULES,
+    apportion,
+    computeSplit
+  };
+});